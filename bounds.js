@@ -0,0 +1,19 @@
+// bounds.js - Bounding box of a piece's outline.
+
+/**
+ * Bounding box of an absolute SVG path (M/L/C/Z), including its nominal width × height.
+ * Bézier control points are included, which bounds the curves conservatively.
+ * @param {string} path - SVG path data.
+ * @param {number} w - Nominal width.
+ * @param {number} h - Nominal height.
+ * @returns {{minX: number, minY: number, width: number, height: number}}
+ */
+export function bounds(path, w, h) {
+    const numbers = (path.match(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi) || []).map(Number);
+    let minX = 0, minY = 0, maxX = w, maxY = h;
+    for (let i = 0; i + 1 < numbers.length; i += 2) {
+        minX = Math.min(minX, numbers[i]); maxX = Math.max(maxX, numbers[i]);
+        minY = Math.min(minY, numbers[i + 1]); maxY = Math.max(maxY, numbers[i + 1]);
+    }
+    return { minX, minY, width: maxX - minX, height: maxY - minY };
+}
@@ -0,0 +1,26 @@
+// broadcast-transport.js - Sync transport between tabs of the same browser.
+
+import { Transport } from './transport.js';
+
+/**
+ * Shares a board between pages of the same origin in one browser, over a BroadcastChannel.
+ */
+export class BroadcastChannelTransport extends Transport {
+    /**
+     * @param {string} name - Channel name; puzzles using the same name share a board.
+     */
+    constructor(name) {
+        super();
+        this._channel = new BroadcastChannel(name);
+        this._channel.onmessage = event => this._receive(event.data);
+    }
+
+    send(message) {
+        this._channel.postMessage(message);
+    }
+
+    close() {
+        super.close();
+        this._channel.close();
+    }
+}
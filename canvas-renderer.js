@@ -0,0 +1,444 @@
+// canvas-renderer.js - Draws the board and every piece onto a single canvas.
+
+import { bounds } from './bounds.js';
+import { SpatialIndex } from './spatial-index.js';
+import { PiecePointer } from './piece-pointer.js';
+import { toBlob } from './image-source.js';
+
+const OUTLINE = ['width', 'height', 'path-data']; // Attributes changing a piece's shape
+const PICTURE = ['image-width', 'image-height', 'correct-x', 'correct-y']; // ...or what's drawn in it
+const PLACEMENT = ['x', 'y', 'rotation', 'selected', 'locked']; // ...or where and how it's drawn
+const STROKE_PADDING = 2; // Screen pixels an outline may reach past a piece's bounds
+const GHOST_OPACITY = 0.3; // Of the faint copy of the image on the board (as jigsaw-board draws it)
+const HINT_WIDTH = 3; // Screen pixels wide the outline of a hinted place is drawn
+
+/**
+ * Stands in for a jigsaw-piece in canvas mode: it takes the same attributes, and tells its
+ * renderer when they change. It's not in the DOM, so it can't be focused.
+ */
+class CanvasPiece {
+    /**
+     * @param {CanvasRenderer} renderer - Renderer drawing the piece.
+     */
+    constructor(renderer) {
+        this._renderer = renderer;
+        this._attributes = new Map();
+        this.box = null;    // Bounds of the outline relative to the piece's top-left (see bounds())
+        this.path = null;   // Path2D of the outline relative to the piece's top-left
+        this.extent = null; // World box covered as drawn, or null while not shown
+        this.bitmap = null; // Cached canvas holding the piece's clip of the image
+    }
+
+    get id() { return parseInt(this.getAttribute('piece-id'), 10); }
+
+    getAttribute(name) {
+        return this._attributes.has(name) ? this._attributes.get(name) : null;
+    }
+
+    hasAttribute(name) {
+        return this._attributes.has(name);
+    }
+
+    setAttribute(name, value) {
+        const previous = this.getAttribute(name);
+        this._attributes.set(name, String(value));
+        if (previous !== String(value)) this._renderer._changed(this, name);
+    }
+
+    removeAttribute(name) {
+        if (this._attributes.delete(name)) this._renderer._changed(this, name);
+    }
+
+    toggleAttribute(name, force = !this.hasAttribute(name)) {
+        if (force) this.setAttribute(name, '');
+        else this.removeAttribute(name);
+        return force;
+    }
+
+    focus() {}
+
+    // Numeric value of an attribute, or 0.
+    number(name) {
+        return parseFloat(this.getAttribute(name) || 0);
+    }
+}
+
+/**
+ * Renders for large piece counts: pieces are plain objects drawn from cached bitmaps onto one
+ * canvas, hit-tested through a spatial index instead of DOM events, and only the part of the
+ * board they moved over is redrawn. Pointer input dispatches the same select/move/place/rotate
+ * events as jigsaw-piece does; pieces can't take keyboard focus.
+ *
+ * Shares its interface with SvgRenderer, whose documentation describes it.
+ */
+export class CanvasRenderer {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas covering the puzzle.
+     */
+    constructor(canvas) {
+        this._canvas = canvas;
+        this._context = canvas.getContext('2d');
+        this._pieces = []; // Shown CanvasPieces, from bottom to top
+        this._index = new SpatialIndex(1); // Finds the pieces under a point
+        this._board = null; // {width, height, dots} of the target area, dots being [x, y] piece centres
+        this._image = null; // The puzzle's image, once loaded
+        this._loading = null; // Image being loaded for the current board
+        this._loaded = Promise.resolve(); // Settles once that image has loaded (or failed to)
+        this._ghost = false; // True while the board shows a faint copy of the image
+        this._hint = null; // {pieces, box, timer} of the places being highlighted, if any
+        this._viewport = null;
+        this._ratio = 1; // Canvas pixels per viewport pixel
+        this._dirty = null; // World box to redraw on the next frame
+        this._everything = false; // True when the next frame redraws the whole canvas
+        this._frame = 0; // Pending requestAnimationFrame handle, or 0
+        this._pointer = new PiecePointer(canvas, this._hit.bind(this));
+        canvas.addEventListener('pointermove', this._onHover.bind(this));
+    }
+
+    reset(imageInfo, pieces) {
+        this.clear();
+        const dots = pieces.map(piece => [piece.originX + piece.width / 2, piece.originY + piece.height / 2]);
+        this._board = { width: imageInfo.width, height: imageInfo.height, dots };
+        this._index = new SpatialIndex(Math.max(1, ...pieces.map(piece => Math.max(piece.width, piece.height))));
+        const image = new Image();
+        this._loaded = new Promise(resolve => {
+            image.onload = () => {
+                resolve();
+                if (this._loading !== image) return;
+                this._image = image;
+                this._pieces.forEach(piece => { piece.bitmap = null; });
+                this._invalidateAll();
+            };
+            image.onerror = resolve;
+        });
+        this._loading = image;
+        if (imageInfo.crossOrigin) image.crossOrigin = 'anonymous';
+        image.src = imageInfo.url;
+    }
+
+    createPiece() {
+        return new CanvasPiece(this);
+    }
+
+    raise(piece) {
+        this._unstack(piece);
+        this._pieces.push(piece);
+        this._place(piece);
+    }
+
+    lower(piece) {
+        this._unstack(piece);
+        this._pieces.unshift(piece);
+        this._place(piece);
+    }
+
+    order() {
+        return this._pieces.map(piece => piece.id);
+    }
+
+    ghost(visible) {
+        this._ghost = visible;
+        this._invalidateAll();
+    }
+
+    highlight(pieces, duration) {
+        this._unhighlight();
+        pieces.forEach(piece => this._outline(piece));
+        const boxes = pieces.map(piece => {
+            const x = piece.number('correct-x');
+            const y = piece.number('correct-y');
+            const { minX, minY, width, height } = piece.box;
+            return { left: x + minX, top: y + minY, right: x + minX + width, bottom: y + minY + height };
+        });
+        const box = {
+            left: Math.min(...boxes.map(b => b.left)), top: Math.min(...boxes.map(b => b.top)),
+            right: Math.max(...boxes.map(b => b.right)), bottom: Math.max(...boxes.map(b => b.bottom))
+        };
+        this._hint = { pieces, box, timer: setTimeout(() => this._unhighlight(), duration) };
+        this._invalidate(box);
+    }
+
+    transform(viewport) {
+        this._viewport = viewport;
+        this._ratio = window.devicePixelRatio || 1;
+        const width = Math.round(viewport.width * this._ratio);
+        const height = Math.round(viewport.height * this._ratio);
+        if (this._canvas.width !== width) this._canvas.width = width;
+        if (this._canvas.height !== height) this._canvas.height = height;
+        this._invalidateAll();
+    }
+
+    /**
+     * Draws the whole view at once, as soon as the image has loaded, and copies it. (Not shared with SvgRenderer.)
+     * @param {string} background - Colour to fill in behind the board and pieces.
+     * @returns {Promise<Blob>} A PNG; rejects if the image came from another site without CORS.
+     */
+    toBlob(background) {
+        return this._loaded.then(() => {
+            cancelAnimationFrame(this._frame);
+            this._everything = true;
+            this._draw();
+            const context = this._context;
+            context.save();
+            context.globalCompositeOperation = 'destination-over'; // Behind what's drawn
+            context.fillStyle = background;
+            context.fillRect(0, 0, this._canvas.width, this._canvas.height);
+            context.restore();
+            return toBlob(this._canvas);
+        });
+    }
+
+    clear() {
+        this._unhighlight();
+        this._pieces = [];
+        this._index.clear();
+        this._board = null;
+        this._image = null;
+        this._loading = null;
+        this._invalidateAll();
+    }
+
+    // Called by a CanvasPiece whenever one of its attributes changes.
+    _changed(piece, name) {
+        if (name === 'drag-threshold') {
+            const threshold = parseFloat(piece.getAttribute(name));
+            if (!isNaN(threshold)) this._pointer.threshold = threshold;
+            return;
+        }
+        if (OUTLINE.includes(name)) Object.assign(piece, { box: null, path: null, bitmap: null });
+        if (PICTURE.includes(name)) piece.bitmap = null;
+        if (piece.extent && (OUTLINE.includes(name) || PICTURE.includes(name) || PLACEMENT.includes(name))) this._place(piece);
+    }
+
+    // Stops highlighting hinted places, if any are.
+    _unhighlight() {
+        if (!this._hint) return;
+        clearTimeout(this._hint.timer);
+        this._invalidate(this._hint.box);
+        this._hint = null;
+    }
+
+    _unstack(piece) {
+        if (!piece.extent) return;
+        this._pieces.splice(this._pieces.indexOf(piece), 1);
+    }
+
+    // Re-indexes a piece where it's now drawn, redrawing where it was and where it is.
+    _place(piece) {
+        const previous = piece.extent;
+        piece.extent = this._extent(piece);
+        this._index.set(piece, piece.extent);
+        if (previous) this._invalidate(previous);
+        this._invalidate(piece.extent);
+    }
+
+    _outline(piece) {
+        if (piece.box) return;
+        const w = piece.number('width');
+        const h = piece.number('height');
+        let path = piece.getAttribute('path-data');
+        if (!path || w <= 0 || h <= 0) path = `M 0 0 L ${w} 0 L ${w} ${h} L 0 ${h} Z`;
+        piece.box = bounds(path, w, h);
+        piece.path = new Path2D(path);
+    }
+
+    // World box around a piece's outline, turned about its nominal centre.
+    _extent(piece) {
+        this._outline(piece);
+        const w = piece.number('width');
+        const h = piece.number('height');
+        const angle = piece.number('rotation') * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const centreX = piece.number('x') + w / 2;
+        const centreY = piece.number('y') + h / 2;
+        const { minX, minY, width, height } = piece.box;
+        const corners = [[minX, minY], [minX + width, minY], [minX, minY + height], [minX + width, minY + height]].map(([x, y]) => [
+            centreX + (x - w / 2) * cos - (y - h / 2) * sin,
+            centreY + (x - w / 2) * sin + (y - h / 2) * cos
+        ]);
+        const xs = corners.map(([x]) => x);
+        const ys = corners.map(([, y]) => y);
+        return { left: Math.min(...xs), top: Math.min(...ys), right: Math.max(...xs), bottom: Math.max(...ys) };
+    }
+
+    _invalidate(box) {
+        if (!this._everything) {
+            this._dirty = this._dirty ? {
+                left: Math.min(this._dirty.left, box.left), top: Math.min(this._dirty.top, box.top),
+                right: Math.max(this._dirty.right, box.right), bottom: Math.max(this._dirty.bottom, box.bottom)
+            } : { ...box };
+        }
+        this._schedule();
+    }
+
+    _invalidateAll() {
+        this._everything = true;
+        this._dirty = null;
+        this._schedule();
+    }
+
+    _schedule() {
+        if (!this._frame) this._frame = requestAnimationFrame(() => this._draw());
+    }
+
+    // Pieces in drawing order: selected pieces float above the rest.
+    _stack() {
+        return [
+            ...this._pieces.filter(piece => !piece.hasAttribute('selected')),
+            ...this._pieces.filter(piece => piece.hasAttribute('selected'))
+        ];
+    }
+
+    _draw() {
+        this._frame = 0;
+        const context = this._context;
+        const viewport = this._viewport;
+        const everything = this._everything;
+        const dirty = this._dirty;
+        this._everything = false;
+        this._dirty = null;
+        if (!viewport || !context) return;
+
+        // Only the visible part of the dirty box needs drawing.
+        const topLeft = viewport.transform(0, 0);
+        const bottomRight = viewport.transform(viewport.width, viewport.height);
+        const padding = STROKE_PADDING / viewport.scale;
+        const region = {
+            left: Math.max(topLeft.x, everything ? -Infinity : dirty.left - padding),
+            top: Math.max(topLeft.y, everything ? -Infinity : dirty.top - padding),
+            right: Math.min(bottomRight.x, everything ? Infinity : dirty.right + padding),
+            bottom: Math.min(bottomRight.y, everything ? Infinity : dirty.bottom + padding)
+        };
+        if (region.left >= region.right || region.top >= region.bottom) return;
+
+        const origin = viewport.screen(0, 0);
+        const scale = viewport.scale * this._ratio;
+        context.save();
+        context.setTransform(scale, 0, 0, scale, origin.x * this._ratio, origin.y * this._ratio);
+        context.beginPath();
+        context.rect(region.left, region.top, region.right - region.left, region.bottom - region.top);
+        context.clip();
+        context.clearRect(region.left, region.top, region.right - region.left, region.bottom - region.top);
+        if (this._board) this._drawBoard();
+        this._stack().forEach(piece => {
+            const { left, top, right, bottom } = piece.extent;
+            if (right + padding < region.left || left - padding > region.right || bottom + padding < region.top || top - padding > region.bottom) return;
+            this._drawPiece(piece);
+        });
+        if (this._hint) this._drawHint();
+        context.restore();
+    }
+
+    // The outlined target area, with a dot at the centre of every piece's place (as jigsaw-board draws it).
+    _drawBoard() {
+        const context = this._context;
+        const { width, height, dots } = this._board;
+        context.fillStyle = 'rgba(255, 255, 255, 0.04)';
+        context.fillRect(0, 0, width, height);
+        context.lineWidth = 1 / this._viewport.scale;
+        context.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        context.strokeRect(0, 0, width, height);
+        if (this._ghost && this._image) {
+            context.globalAlpha = GHOST_OPACITY;
+            context.drawImage(this._image, 0, 0, width, height);
+            context.globalAlpha = 1;
+        }
+
+        const radius = Math.max(1, Math.sqrt(width * height / Math.max(1, dots.length)) * 0.04);
+        context.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        context.beginPath();
+        dots.forEach(([x, y]) => {
+            context.moveTo(x + radius, y);
+            context.arc(x, y, radius, 0, 2 * Math.PI);
+        });
+        context.fill();
+    }
+
+    // Outlines of where hinted pieces belong, the right way up, above every piece.
+    _drawHint() {
+        const context = this._context;
+        context.fillStyle = 'rgba(255, 215, 0, 0.25)';
+        context.strokeStyle = 'gold';
+        context.lineWidth = HINT_WIDTH / this._viewport.scale;
+        this._hint.pieces.forEach(piece => {
+            context.save();
+            context.translate(piece.number('correct-x'), piece.number('correct-y'));
+            context.fill(piece.path);
+            context.stroke(piece.path);
+            context.restore();
+        });
+    }
+
+    _drawPiece(piece) {
+        const context = this._context;
+        const w = piece.number('width');
+        const h = piece.number('height');
+        const { minX, minY, width, height } = piece.box;
+        const [stroke, lineWidth] = piece.hasAttribute('selected') ? ['gold', 2] :
+            piece.hasAttribute('locked') ? ['rgba(0, 0, 0, 0.25)', 1] : ['black', 1];
+
+        context.save();
+        context.translate(piece.number('x') + w / 2, piece.number('y') + h / 2);
+        context.rotate(piece.number('rotation') * Math.PI / 180);
+        context.translate(-w / 2, -h / 2);
+        context.drawImage(this._bitmap(piece), minX, minY, width, height);
+        context.lineWidth = lineWidth / this._viewport.scale;
+        context.strokeStyle = stroke;
+        context.stroke(piece.path);
+        context.restore();
+    }
+
+    // The piece's clip of the image at full resolution, drawn once and reused every frame.
+    _bitmap(piece) {
+        if (piece.bitmap) return piece.bitmap;
+        const { minX, minY, width, height } = piece.box;
+        const bitmap = document.createElement('canvas');
+        bitmap.width = Math.max(1, Math.ceil(width));
+        bitmap.height = Math.max(1, Math.ceil(height));
+        const context = bitmap.getContext('2d');
+        context.translate(-minX, -minY);
+        context.clip(piece.path);
+        if (this._image) {
+            context.drawImage(this._image, -piece.number('correct-x'), -piece.number('correct-y'), piece.number('image-width'), piece.number('image-height'));
+        } else {
+            context.fillStyle = '#555';
+            context.fillRect(minX, minY, width, height);
+        }
+        piece.bitmap = bitmap;
+        return bitmap;
+    }
+
+    // Id of the topmost loose piece under a pointer, or null.
+    _hit(event) {
+        if (!this._viewport) return null;
+        const rect = this._canvas.getBoundingClientRect();
+        const point = this._viewport.transform(event.clientX - rect.left, event.clientY - rect.top);
+        const candidates = new Set(this._index.query(point.x, point.y));
+        if (candidates.size === 0) return null;
+        const piece = this._stack().reverse().find(piece =>
+            candidates.has(piece) && !piece.hasAttribute('locked') && this._contains(piece, point));
+        return piece ? piece.id : null;
+    }
+
+    _contains(piece, point) {
+        const w = piece.number('width');
+        const h = piece.number('height');
+        const angle = -piece.number('rotation') * Math.PI / 180;
+        const dx = point.x - (piece.number('x') + w / 2);
+        const dy = point.y - (piece.number('y') + h / 2);
+        const context = this._context;
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        const inside = context.isPointInPath(piece.path,
+            w / 2 + dx * Math.cos(angle) - dy * Math.sin(angle),
+            h / 2 + dx * Math.sin(angle) + dy * Math.cos(angle));
+        context.restore();
+        return inside;
+    }
+
+    _onHover(event) {
+        if (event.buttons) return;
+        this._canvas.style.cursor = this._hit(event) === null ? '' : 'grab';
+    }
+}
@@ -0,0 +1,236 @@
+// clusters.js - Domain model for groups of pieces which have been joined together.
+
+import { randomTurns } from './piece.js';
+
+/**
+ * Rotates a vector clockwise on screen (y points down), matching CSS `rotate()`.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} degrees
+ * @returns {number[]} The rotated [x, y].
+ */
+const rotateVector = (x, y, degrees) => {
+    const radians = degrees * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    return [x * cos - y * sin, x * sin + y * cos];
+};
+
+/**
+ * How far to turn clockwise from one rotation to another, the short way round.
+ * @param {number} from - Rotation in degrees.
+ * @param {number} to - Rotation in degrees.
+ * @returns {number} Degrees, from -180 up to 180.
+ */
+const difference = (from, to) => ((to - from) % 360 + 540) % 360 - 180;
+
+/**
+ * Tracks which pieces have been joined into rigid groups that move and rotate together.
+ * Each piece's `group` names its cluster; a lone piece is a cluster of one.
+ */
+export class Clusters {
+    /**
+     * @param {Piece[]} pieces - Every piece in the puzzle.
+     */
+    constructor(pieces) {
+        this._groups = new Map(); // Map<group, Piece[]>
+        pieces.forEach(piece => this._groups.set(piece.group, [...(this._groups.get(piece.group) || []), piece]));
+    }
+
+    /**
+     * @param {Piece} piece
+     * @returns {Piece[]} Every piece in the same cluster, including this one.
+     */
+    members(piece) {
+        return this._groups.get(piece.group) || [piece];
+    }
+
+    /**
+     * Fuses the clusters of two pieces.
+     * @param {Piece} a - A piece whose group survives.
+     * @param {Piece} b - A piece whose group is absorbed.
+     * @returns {Piece[]} Members of the merged cluster.
+     */
+    merge(a, b) {
+        if (a.group === b.group) return this.members(a);
+        // In id order, as a fresh Clusters lists them, so a rebuilt cluster behaves exactly like the one it replaces.
+        const members = [...this.members(a), ...this.members(b)].sort((p, q) => p.id - q.id);
+        this._groups.delete(b.group);
+        members.forEach(member => { member.group = a.group; });
+        this._groups.set(a.group, members);
+        return members;
+    }
+
+    /**
+     * Moves a piece's whole cluster, along with any other clusters given.
+     * @param {Piece} piece - Any member of the cluster.
+     * @param {number} dx - Horizontal distance, in image pixels.
+     * @param {number} dy - Vertical distance, in image pixels.
+     * @param {Piece[]} [others=[]] - A member of each other cluster moving with it, as a group.
+     * @returns {Piece[]} The moved members.
+     */
+    translate(piece, dx, dy, others = []) {
+        const members = this._union(piece, others);
+        members.forEach(member => member.place(member.currentX + dx, member.currentY + dy));
+        return members;
+    }
+
+    /**
+     * The area a piece's cluster covers on the board, allowing for its rotation (but not its nibs).
+     * @param {Piece} piece - Any member of the cluster.
+     * @returns {{left: number, top: number, right: number, bottom: number}} In image pixels.
+     */
+    box(piece) {
+        const boxes = this.members(piece).map(member => {
+            const radians = member.rotation * Math.PI / 180;
+            const cos = Math.abs(Math.cos(radians));
+            const sin = Math.abs(Math.sin(radians));
+            const halfWidth = (member.width * cos + member.height * sin) / 2;
+            const halfHeight = (member.width * sin + member.height * cos) / 2;
+            const { x, y } = member.center();
+            return { left: x - halfWidth, top: y - halfHeight, right: x + halfWidth, bottom: y + halfHeight };
+        });
+        return {
+            left: Math.min(...boxes.map(box => box.left)),
+            top: Math.min(...boxes.map(box => box.top)),
+            right: Math.max(...boxes.map(box => box.right)),
+            bottom: Math.max(...boxes.map(box => box.bottom))
+        };
+    }
+
+    /**
+     * The centre a piece's cluster turns around: the middle of its members' centres.
+     * @param {Piece} piece - Any member of the cluster.
+     * @param {Piece[]} [others=[]] - A member of each other cluster turning with it; the group turns around the middle of them all.
+     * @returns {{x: number, y: number}}
+     */
+    pivot(piece, others = []) {
+        const centers = this._union(piece, others).map(member => member.center());
+        const xs = centers.map(c => c.x);
+        const ys = centers.map(c => c.y);
+        return { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+    }
+
+    /**
+     * Rotates a piece's whole cluster around its pivot, along with any other clusters given, as one rigid group.
+     * @param {Piece} piece - Any member of the cluster.
+     * @param {number} turns - Number of 90-degree counter-clockwise turns.
+     * @param {Piece[]} [others=[]] - A member of each other cluster turning with it.
+     * @returns {Piece[]} The rotated members.
+     */
+    rotate(piece, turns, others = []) {
+        const members = this._union(piece, others);
+        const pivot = this.pivot(piece, others);
+        members.forEach(member => {
+            const center = member.center();
+            const [x, y] = rotateVector(center.x - pivot.x, center.y - pivot.y, turns * -90);
+            member.rotate(turns);
+            member.place(pivot.x + x - member.width / 2, pivot.y + y - member.height / 2);
+        });
+        return members;
+    }
+
+    /**
+     * Drops a piece's cluster, randomly rotated, somewhere inside an area.
+     * @param {Piece} piece - Any member of the cluster.
+     * @param {Position} minimum - Top-left of the area, in image pixels.
+     * @param {Position} maximum - Bottom-right of the area, in image pixels.
+     * @param {Function} [random=Math.random] - Source of random numbers in [0, 1).
+     * @param {string} [rotation='quarter'] - How pieces may turn (see ROTATIONS).
+     * @returns {Piece[]} The scattered members.
+     */
+    scatter(piece, minimum, maximum, random = Math.random, rotation = 'quarter') {
+        const members = this.rotate(piece, randomTurns(rotation, random));
+        const left = Math.min(...members.map(m => m.currentX));
+        const top = Math.min(...members.map(m => m.currentY));
+        const right = Math.max(...members.map(m => m.currentX + m.width));
+        const bottom = Math.max(...members.map(m => m.currentY + m.height));
+        const x = minimum.x + random() * Math.max(0, maximum.x - minimum.x - (right - left));
+        const y = minimum.y + random() * Math.max(0, maximum.y - minimum.y - (bottom - top));
+        return this.translate(piece, x - left, y - top);
+    }
+
+    /**
+     * Joins a piece's cluster to every neighbouring cluster lying where it belongs
+     * relative to it (rotation and offset within tolerance), aligning them exactly.
+     * The piece's own cluster moves onto its first match; later matches move onto the result.
+     * @param {Piece} piece - A piece of the cluster that was just dropped or rotated.
+     * @param {number} tolerance - Maximum misalignment on each axis, in image pixels.
+     * @param {number} [angle=0] - Maximum difference in rotation, in degrees.
+     * @returns {boolean} True if anything was joined.
+     */
+    join(piece, tolerance, angle = 0) {
+        let joined = false;
+        for (let pair = this._match(piece, tolerance, angle); pair; pair = this._match(piece, tolerance, angle)) {
+            const [member, neighbour] = pair;
+            if (!joined && !member.locked) this._align(member, neighbour);
+            else if (!neighbour.locked) this._align(neighbour, member);
+            this.merge(member, neighbour);
+            joined = true;
+        }
+        return joined;
+    }
+
+    /**
+     * Snaps a piece's cluster onto the grid if the piece is correctly placed, locking every member.
+     * @param {Piece} piece - Any member of the cluster.
+     * @param {number} tolerance - Maximum distance from the origin on each axis, in image pixels.
+     * @param {number} [angle=0] - Maximum rotation either way, in degrees.
+     * @returns {Piece[]} The snapped members (empty if it didn't snap).
+     */
+    snap(piece, tolerance, angle = 0) {
+        if (piece.locked || !piece.test(tolerance, angle)) return [];
+        const members = this.members(piece);
+        members.forEach(member => {
+            member.place(member.originX, member.originY);
+            member.rotation = 0;
+            member.locked = true;
+        });
+        return members;
+    }
+
+    // Every member of a piece's cluster and of the other pieces' clusters, each cluster once.
+    _union(piece, others) {
+        const clusters = new Map([piece, ...others].map(member => [member.group, member])); // One piece per group
+        return Array.from(clusters.values()).flatMap(member => this.members(member));
+    }
+
+    /**
+     * Finds a neighbour in another cluster which lines up with a member of this one.
+     * @returns {Piece[]|undefined} [member, neighbour].
+     */
+    _match(piece, tolerance, angle) {
+        for (const member of this.members(piece)) {
+            for (const neighbour of member.neighbours()) {
+                if (neighbour.group === member.group || Math.abs(difference(member.rotation, neighbour.rotation)) > angle) continue;
+                const [dx, dy] = this._offset(member, neighbour);
+                if (Math.abs(dx) <= tolerance && Math.abs(dy) <= tolerance) return [member, neighbour];
+            }
+        }
+    }
+
+    /**
+     * How far a piece is from where it belongs beside a neighbour, going by the neighbour's rotation.
+     * @returns {number[]} [dx, dy] moving the piece into line.
+     */
+    _offset(piece, neighbour) {
+        const [ox, oy] = rotateVector(
+            neighbour.originX + neighbour.width / 2 - piece.originX - piece.width / 2,
+            neighbour.originY + neighbour.height / 2 - piece.originY - piece.height / 2,
+            neighbour.rotation
+        );
+        const actual = neighbour.center();
+        const center = piece.center();
+        return [actual.x - ox - center.x, actual.y - oy - center.y];
+    }
+
+    // Turns and moves a piece's cluster to line up exactly with a neighbour.
+    _align(piece, neighbour) {
+        const degrees = difference(piece.rotation, neighbour.rotation);
+        if (degrees !== 0) {
+            this.rotate(piece, -degrees / 90).forEach(member => { member.rotation = neighbour.rotation; });
+        }
+        const [dx, dy] = this._offset(piece, neighbour);
+        this.translate(piece, dx, dy);
+    }
+}
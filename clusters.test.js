@@ -0,0 +1,101 @@
+import { expect } from 'lovecraft';
+import { Puzzle } from './puzzle.js';
+import { ImageInfo } from './image-info.js';
+import { Clusters } from './clusters.js';
+
+const image = new ImageInfo('cat.jpg', 1344, 960);
+const ids = pieces => pieces.map(piece => piece.id);
+
+// Where a piece's centre sits relative to another's.
+const offset = (piece, other) => {
+    const a = piece.center();
+    const b = other.center();
+    return [b.x - a.x, b.y - a.y];
+};
+
+describe('Clusters', () => {
+    let pieces;
+    let clusters;
+    let piece;
+    let neighbour;
+
+    // Puts a piece beside another, as it is in the picture but nudged by (dx, dy).
+    const beside = (moving, still, dx = 0, dy = 0) =>
+        moving.place(still.currentX + moving.originX - still.originX + dx, still.currentY + moving.originY - still.originY + dy);
+
+    beforeEach(() => {
+        ({ pieces } = new Puzzle(image, { size: 12, seed: 'ghoul', rotation: 'none' }));
+        clusters = new Clusters(pieces);
+        [piece] = pieces;
+        [neighbour] = piece.neighbours();
+    });
+
+    describe('join', () => {
+        it('joins a neighbour lying nearly where it belongs, lining the dropped piece up with it', () => {
+            beside(piece, neighbour, 4, -3);
+            const { currentX, currentY } = neighbour;
+            expect(clusters.join(piece, 5)).to.be.true;
+            expect(piece.group).to.equal(neighbour.group);
+            expect(ids(clusters.members(neighbour))).to.deep.equal([piece.id, neighbour.id]);
+            expect(neighbour).to.include({ currentX, currentY });
+            const [dx, dy] = offset(piece, neighbour);
+            expect(dx).to.be.closeTo(neighbour.originX - piece.originX + (neighbour.width - piece.width) / 2, 1e-9);
+            expect(dy).to.be.closeTo(neighbour.originY - piece.originY + (neighbour.height - piece.height) / 2, 1e-9);
+        });
+
+        it("leaves neighbours that aren't close enough", () => {
+            beside(piece, neighbour, 6, 0);
+            expect(clusters.join(piece, 5)).to.be.false;
+            expect(piece.group).not.to.equal(neighbour.group);
+        });
+
+        it('joins only neighbours turned the same way, within the angle allowed', () => {
+            beside(piece, neighbour);
+            piece.rotation = 90;
+            expect(clusters.join(piece, 5, 5)).to.be.false;
+            piece.rotation = 357;
+            expect(clusters.join(piece, 5)).to.be.false;
+            expect(clusters.join(piece, 5, 5)).to.be.true;
+            expect(piece.rotation).to.equal(neighbour.rotation);
+        });
+
+        it('moves the neighbour instead when the dropped piece is placed', () => {
+            piece.place(piece.originX, piece.originY);
+            piece.locked = true;
+            beside(neighbour, piece, 2, 2);
+            clusters.join(piece, 5);
+            expect(piece).to.include({ currentX: piece.originX, currentY: piece.originY });
+            expect(neighbour).to.include({ currentX: neighbour.originX, currentY: neighbour.originY });
+        });
+
+        it('moves a joined cluster as one', () => {
+            beside(piece, neighbour);
+            clusters.join(piece, 1);
+            const [dx, dy] = offset(piece, neighbour);
+            clusters.translate(neighbour, 100, -50);
+            expect(offset(piece, neighbour)).to.deep.equal([dx, dy]);
+        });
+    });
+
+    describe('snap', () => {
+        it('locks the whole cluster in place once a piece is close enough', () => {
+            beside(piece, neighbour);
+            clusters.join(piece, 1);
+            clusters.translate(piece, piece.originX - piece.currentX + 3, piece.originY - piece.currentY - 3);
+            expect(ids(clusters.snap(neighbour, 5))).to.have.members([piece.id, neighbour.id]);
+            [piece, neighbour].forEach(member => {
+                expect(member).to.include({ currentX: member.originX, currentY: member.originY, rotation: 0, locked: true });
+            });
+        });
+
+        it('leaves pieces too far away or turned', () => {
+            piece.place(piece.originX + 6, piece.originY);
+            expect(clusters.snap(piece, 5)).to.be.empty;
+            piece.place(piece.originX, piece.originY);
+            piece.rotation = 10;
+            expect(clusters.snap(piece, 5, 5)).to.be.empty;
+            expect(ids(clusters.snap(piece, 5, 10))).to.deep.equal([piece.id]);
+            expect(clusters.snap(piece, 5, 10)).to.be.empty; // Already placed
+        });
+    });
+});
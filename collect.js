@@ -0,0 +1,12 @@
+// collect.js - Custom event for collecting every loose piece into a tray around the board.
+
+/**
+ * Creates a custom 'collect' event.
+ * @returns {CustomEvent}
+ */
+export function createCollectEvent() {
+    return new CustomEvent('collect', {
+        bubbles: true, composed: true,
+        detail: {}
+    });
+}
@@ -0,0 +1,13 @@
+// complete.js - Custom event for the puzzle being solved.
+
+/**
+ * Creates a custom 'complete' event.
+ * @param {number} total - Number of pieces in the solved puzzle.
+ * @returns {CustomEvent}
+ */
+export function createCompleteEvent(total) {
+    return new CustomEvent('complete', {
+        bubbles: true, composed: true,
+        detail: { placed: total, total } // Shaped like 'progress', which reports the same count
+    });
+}
@@ -0,0 +1,33 @@
+// cut.js - Domain model for the wavy line separating two pieces.
+
+import { Wave } from './wave.js';
+
+/**
+ * A cut is the sum of a few waves; sampling it gives the distance from a straight cut.
+ */
+export class Cut {
+    /**
+     * @param {Wave[]} components - Waves which are summed when sampling.
+     */
+    constructor(components = []) {
+        this.components = components;
+    }
+
+    /**
+     * @param {number} t - Position along the edge (0-1).
+     * @returns {number} Offset from a straight cut, in edge lengths.
+     */
+    sample(t) {
+        return this.components.reduce((sum, wave) => sum + wave.sample(t), 0);
+    }
+
+    /**
+     * Creates a cut from one or two random waves.
+     * @param {Function} [random=Math.random] - Source of random numbers in [0, 1).
+     * @returns {Cut}
+     */
+    static random(random = Math.random) {
+        const count = 1 + Math.floor(random() * 2);
+        return new Cut(Array.from({ length: count }, () => Wave.random(random)));
+    }
+}
@@ -0,0 +1,8 @@
+// engine.js - Entry point for jigsawyer without the page: the engine, sharing and timelapses, none of which touch the DOM.
+
+export { Puzzle } from './puzzle.js';
+export { Game } from './game.js';
+export { ImageInfo } from './image-info.js';
+export { Sync } from './sync.js';
+export { Transport } from './transport.js';
+export { Recorder, Player, validateTimelapse } from './timelapse.js';
@@ -0,0 +1,29 @@
+import { expect } from 'lovecraft';
+import { execFile } from 'child_process';
+
+// Runs a module in a Node of its own, away from the jsdom window the component tests set up.
+const run = source => new Promise((resolve, reject) => {
+    execFile(process.execPath, ['--input-type=module', '-e', source], { cwd: process.cwd() }, (error, stdout, stderr) => {
+        if (error) reject(new Error(stderr || error.message));
+        else resolve(stdout.trim());
+    });
+});
+
+describe('engine', function () {
+    this.timeout(10000);
+
+    it('loads without a DOM', async () => {
+        const exported = await run("import * as engine from 'jigsawyer/engine'; console.log(Object.keys(engine).sort().join());");
+        expect(exported.split(',')).to.deep.equal(['Game', 'ImageInfo', 'Player', 'Puzzle', 'Recorder', 'Sync', 'Transport', 'validateTimelapse']);
+    });
+
+    it('plays a puzzle in Node', async () => {
+        const placed = await run(`
+            import { Puzzle, ImageInfo } from 'jigsawyer/engine';
+            const puzzle = new Puzzle(new ImageInfo('cat.jpg', 1344, 960), { size: 20, seed: 'ghoul' });
+            puzzle.solve();
+            console.log(puzzle.complete);
+        `);
+        expect(placed).to.equal('true');
+    });
+});
@@ -0,0 +1,14 @@
+// error.js - Custom event for a puzzle's image failing to load.
+
+/**
+ * Creates a custom 'error' event.
+ * @param {string|Blob|HTMLImageElement|HTMLCanvasElement|ImageBitmap} image - What the image was given as.
+ * @param {Error} error - What went wrong.
+ * @returns {CustomEvent}
+ */
+export function createErrorEvent(image, error) {
+    return new CustomEvent('error', {
+        bubbles: true, composed: true,
+        detail: { image, error }
+    });
+}
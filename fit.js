@@ -0,0 +1,12 @@
+// fit.js - Custom event for fitting the whole board into view.
+
+/**
+ * Creates a custom 'fit' event.
+ * @returns {CustomEvent}
+ */
+export function createFitEvent() {
+    return new CustomEvent('fit', {
+        bubbles: true, composed: true,
+        detail: {}
+    });
+}
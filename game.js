@@ -0,0 +1,442 @@
+// game.js - One player's game of a puzzle: their drags, undo history and stats, without any DOM.
+
+import { History, snapshot, diff } from './history.js';
+import { Stats } from './stats.js';
+
+const API_POINTER = 'api'; // pointerId other puzzles see for pieces moved through move() and rotate()
+
+// pointerId other puzzles see dragging one of the other clusters of a group (see Sync), each claimed on its own.
+const companion = (pointerId, pieceId) => `${pointerId}/${pieceId}`;
+
+// Everything about a state but where its pieces lie (and the stats), to tell whether it's of the same puzzle.
+const outline = ({ pieces, stats, ...rest }) => JSON.stringify(rest);
+
+// How each rearrangement of the whole board is made on a puzzle.
+const ARRANGEMENTS = {
+    shuffle: puzzle => puzzle.shuffle(),
+    'gather-edges': puzzle => puzzle.gatherEdges(),
+    spread: puzzle => puzzle.spread(),
+    collect: puzzle => puzzle.collect(),
+    solve: puzzle => puzzle.solve()
+};
+
+/**
+ * A player's game of a Puzzle, played by the rules the element plays by: pointers pick clusters up, drag, turn
+ * and twist them and let go, a piece settles once it's let go, each drop or rearrangement is one step to undo,
+ * and the player's own moves, turns, merges, snaps and hints count towards their Stats. Given a `sync`, the game
+ * tells the other puzzles sharing the board of every drag and plays theirs; the board is shared, but the
+ * history and stats stay personal, so changes made elsewhere settle here without counting. Needs nothing but
+ * plain JavaScript.
+ *
+ * Changes are reported to subscribers as `{type}`: 'history' when what can be undone or redone changes,
+ * 'stats' when a counter goes up, 'select' and 'place' (with the `pieceId`, the `together` pieces of the rest
+ * of its group, and whether it was `local`) when a cluster is picked up or let go, and 'merge' or 'snap' (with
+ * the `pieceId` settled, the ids of the `pieces` that joined up or went into place, and `local`) when settling
+ * joins or places pieces.
+ */
+export class Game {
+    /**
+     * @param {Puzzle} puzzle - The board.
+     * @param {Object} [options]
+     * @param {Object} [options.stats] - Totals from Stats#serialize() to carry on from.
+     * @param {Function} [options.order] - Returns the piece ids from bottom to top as they're shown, which undoing
+     *     puts back too. By default, id order.
+     */
+    constructor(puzzle, { stats, order = () => puzzle.pieces.map(piece => piece.id) } = {}) {
+        this.puzzle = puzzle;
+        this.stats = new Stats(stats);
+        this.history = new History();
+        this.sync = null; // Sync sharing the board with other puzzles, if connected
+        this._order = order;
+        this._listeners = new Set();
+        // Map<pointerId, {pieceId, together, offsetX, offsetY, x, y, before, moved, rotated}> of pieces being dragged (x, y
+        // being the pointer, in image pixels; together naming a piece of each other cluster dragged along with it),
+        // plus {pieceId, twist, x, y, angle} for second pointers twisting another pointer's drag.
+        this._drags = new Map();
+    }
+
+    /**
+     * @param {Function} listener - Called with each change (see above).
+     * @returns {Function} Stops calling the listener.
+     */
+    subscribe(listener) {
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    }
+
+    get canUndo() { return this.history.canUndo; }
+    get canRedo() { return this.history.canRedo; }
+
+    /** True while a pointer is dragging something here. */
+    get dragging() { return this._drags.size > 0; }
+
+    /**
+     * @param {Piece} piece
+     * @returns {boolean} True if a pointer (here, or on a shared board elsewhere) is dragging the piece's cluster.
+     */
+    held(piece) {
+        if (this.sync && this.sync.held(piece.id)) return true;
+        return Array.from(this._drags.values()).some(drag =>
+            [drag.pieceId, ...(drag.together || [])].some(id => this.puzzle.pieces[id].group === piece.group));
+    }
+
+    /**
+     * Moves a piece's cluster so the piece's top-left corner is at (x, y) and lets go of it there, as if it had
+     * been dragged.
+     * @param {number} pieceId
+     * @param {number} x - Image pixels from the board's left.
+     * @param {number} y - Image pixels from the board's top.
+     * @param {number[]} [together=[]] - Other pieces whose clusters go along with it, as a group (but for any
+     *     someone is dragging).
+     * @returns {boolean} False for placed (locked) or unknown pieces, and pieces someone is dragging.
+     */
+    move(pieceId, x, y, together = []) {
+        const piece = this.puzzle.pieces[pieceId];
+        if (!piece || piece.locked || this.held(piece)) return false;
+        const others = this._free(together);
+        const before = this.snapshot();
+        this._emit({ type: 'select', pieceId, together: others, local: true });
+        this.puzzle.move(pieceId, x, y, others);
+        if (this.sync) {
+            this._syncDrag('select', API_POINTER, { pieceId, together: others });
+            this._syncDrag('place', API_POINTER, { pieceId, together: others });
+        }
+        this._emit({ type: 'place', pieceId, together: others, local: true });
+        this.drop([pieceId, ...others], before, { moved: true });
+        return true;
+    }
+
+    /**
+     * Turns a piece's cluster (or a group, as one) about its centre, as a rotate button does.
+     * @param {number} pieceId
+     * @param {number} turns - 90° turns counter-clockwise (negative for clockwise); in free rotation, any fraction.
+     * @param {number[]} [together=[]] - Other pieces whose clusters turn along with it, as a group (but for any
+     *     someone is dragging).
+     * @returns {boolean} False for placed (locked) or unknown pieces, pieces someone is dragging, and turns the
+     *     puzzle's rotation doesn't allow.
+     */
+    rotate(pieceId, turns, together = []) {
+        const piece = this.puzzle.pieces[pieceId];
+        if (!piece || piece.locked || this.held(piece) || !this.puzzle.allows(turns)) return false;
+        const others = this._free(together);
+        const before = this.snapshot();
+        this.puzzle.rotate(pieceId, turns, others);
+        if (this.sync && others.length === 0) {
+            this.sync.rotate(pieceId, turns);
+        } else if (this.sync) {
+            // Elsewhere each cluster turns about its own centre, then is dropped where the group's turn put it.
+            this._syncDrag('select', API_POINTER, { pieceId, together: others });
+            this._syncDrag('rotate', API_POINTER, { pieceId, together: others }, turns);
+            this._syncDrag('place', API_POINTER, { pieceId, together: others });
+        }
+        // Turning a piece the right way round next to its neighbours (or in its cell) joins it too.
+        this.drop([pieceId, ...others], before, { rotated: true });
+        return true;
+    }
+
+    /**
+     * Picks a piece's cluster up with a pointer, to drag (see drag()) until place(). In free rotation, a second
+     * pointer on a cluster already being dragged here twists it instead.
+     * @param {*} pointerId
+     * @param {number} pieceId
+     * @param {{x: number, y: number}} pointer - Where the pointer is, in image pixels.
+     * @param {number[]} [together=[]] - Other pieces whose clusters go along with it, as a group (but for any
+     *     someone is dragging).
+     * @returns {Object|null} The drag (`twist` naming the pointer being twisted, for a twist); null for placed or
+     *     unknown pieces, and clusters someone else is dragging.
+     */
+    pickUp(pointerId, pieceId, { x, y }, together = []) {
+        const piece = this.puzzle.pieces[pieceId];
+        if (!piece || piece.locked) return null;
+        const [holder] = Array.from(this._drags).find(([, drag]) => drag.twist === undefined && this.puzzle.pieces[drag.pieceId].group === piece.group) || [];
+        if (holder !== undefined && this.puzzle.rotation === 'free') {
+            const drag = this._drags.get(holder);
+            const twist = { pieceId, twist: holder, x, y, angle: Math.atan2(y - drag.y, x - drag.x) * 180 / Math.PI };
+            this._drags.set(pointerId, twist);
+            return twist;
+        }
+        // Each pointer drags its own cluster; a cluster held by another pointer stays with it.
+        if (this.held(piece)) return null;
+        const others = this._free(together);
+        if (this.sync) this._syncDrag('select', pointerId, { pieceId, together: others });
+        this._emit({ type: 'select', pieceId, together: others, local: true });
+        const drag = {
+            pieceId, together: others, before: this.snapshot(), x, y,
+            offsetX: x - piece.currentX,
+            offsetY: y - piece.currentY,
+            moved: false,
+            rotated: false
+        };
+        this._drags.set(pointerId, drag);
+        return drag;
+    }
+
+    /**
+     * Moves a pointer dragging a piece: the whole cluster (or group) follows it, or for a twist, turns.
+     * @param {*} pointerId
+     * @param {number} pieceId - The piece it picked up.
+     * @param {{x: number, y: number}} pointer - Where the pointer is now, in image pixels.
+     * @returns {boolean} False if the pointer isn't dragging that piece.
+     */
+    drag(pointerId, pieceId, { x, y }) {
+        const drag = this._drags.get(pointerId);
+        if (!drag || drag.pieceId !== pieceId) return false;
+        Object.assign(drag, { x, y });
+        if (drag.twist !== undefined) {
+            this._twist(drag);
+            return true;
+        }
+        drag.moved = true;
+        this.puzzle.move(pieceId, x - drag.offsetX, y - drag.offsetY, drag.together);
+        if (this.sync) this._syncDrag('move', pointerId, drag);
+        this._drags.forEach(twist => { if (twist.twist === pointerId) this._twist(twist); });
+        return true;
+    }
+
+    /**
+     * Turns the cluster (or group) a pointer is dragging, as the rotate buttons would; it settles once let go.
+     * @param {*} pointerId
+     * @param {number} pieceId - The piece it picked up.
+     * @param {number} turns - 90° turns counter-clockwise (negative for clockwise); in free rotation, any fraction.
+     * @returns {boolean} False if the pointer isn't dragging that piece, or the puzzle's rotation doesn't allow the turn.
+     */
+    turn(pointerId, pieceId, turns) {
+        const drag = this._drags.get(pointerId);
+        if (!drag || drag.pieceId !== pieceId || drag.twist !== undefined || !this.puzzle.allows(turns)) return false;
+        this._turn(pointerId, turns);
+        return true;
+    }
+
+    /**
+     * Lets go of what a pointer is dragging: the clusters settle, and the drag is one step to undo (see drop()).
+     * @param {*} pointerId
+     * @param {number} pieceId - The piece it picked up.
+     * @returns {boolean} True if that let go of a dragged cluster (rather than a twist, or nothing).
+     */
+    place(pointerId, pieceId) {
+        const drag = this._drags.get(pointerId);
+        if (!drag || drag.pieceId !== pieceId) return false;
+        this._drags.delete(pointerId);
+        if (drag.twist !== undefined) return false;
+        this._drags.forEach((twist, id) => { if (twist.twist === pointerId) this._drags.delete(id); });
+        if (this.sync) this._syncDrag('place', pointerId, drag);
+        this._emit({ type: 'place', pieceId, together: drag.together, local: true });
+        this.drop([pieceId, ...drag.together], drag.before, { moved: drag.moved, rotated: drag.rotated });
+        return true;
+    }
+
+    /**
+     * Lets go of everything being dragged, where it is, without settling or recording it: for a board about to
+     * be replaced. Other puzzles sharing the board hear the clusters were let go of, so they don't wait on them for ever.
+     */
+    release() {
+        if (this.sync) this._drags.forEach((drag, pointerId) => { if (drag.twist === undefined) this._syncDrag('place', pointerId, drag); });
+        this._drags.clear();
+    }
+
+    /**
+     * Finishes the player moving or turning some pieces' clusters: settles each, counts the move and turn, and
+     * records what the clusters went through since a snapshot as one step to undo. Other clusters' changes
+     * meanwhile (by other pointers, or other players) are left out of it.
+     * @param {number[]} pieceIds - A piece of each cluster let go of.
+     * @param {Object} before - A snapshot() from when the player picked them up.
+     * @param {Object} [options]
+     * @param {boolean} [options.moved=false] - True if they were moved.
+     * @param {boolean} [options.rotated=false] - True if they were turned; the step is a 'rotate' rather than a 'move'.
+     */
+    drop(pieceIds, before, { moved = false, rotated = false } = {}) {
+        pieceIds.forEach(pieceId => this.settle(pieceId));
+        if (moved) this.count('moves');
+        if (rotated) this.count('rotations');
+        const ids = new Set(pieceIds.flatMap(pieceId => this.puzzle.members(pieceId)).map(member => member.id));
+        this.record(rotated ? 'rotate' : 'move', before, Array.from(ids));
+    }
+
+    /**
+     * Joins a piece's cluster to its neighbours and snaps it into place, if it's close enough (see Puzzle#settle).
+     * @param {number} pieceId
+     * @param {boolean} [local=true] - False for pieces other players moved, which don't count towards the stats.
+     * @returns {{joined: Piece[], snapped: Piece[]}} The pieces that joined up and went into place (none for unknown pieces).
+     */
+    settle(pieceId, local = true) {
+        if (!this.puzzle.pieces[pieceId]) return { joined: [], snapped: [] };
+        const { joined, snapped } = this.puzzle.settle(pieceId);
+        if (joined.length > 0) {
+            this._emit({ type: 'merge', pieceId, pieces: joined.map(member => member.id), local });
+            if (local) this.count('merges');
+        }
+        if (snapped.length > 0) {
+            this._emit({ type: 'snap', pieceId, pieces: snapped.map(member => member.id), local });
+            if (local) this.count('snaps');
+        }
+        return { joined, snapped };
+    }
+
+    /**
+     * Plays another puzzle's piece operation (see Sync), which doesn't count, nor go in the history.
+     * @param {Object} message - A select, move, place or rotate message.
+     * @returns {boolean} True if it let go of (and so settled) a piece: a place, or a turn outside a drag.
+     */
+    apply({ type, pieceId, x, y, turns, pointerId }) {
+        const piece = this.puzzle.pieces[pieceId];
+        if (!piece || piece.locked) return false;
+        if (type === 'select') {
+            this._emit({ type: 'select', pieceId, together: [], local: false });
+            return false;
+        }
+        if (type === 'rotate') this.puzzle.rotate(pieceId, turns);
+        else this.puzzle.move(pieceId, x, y);
+        if (type === 'place') this._emit({ type: 'place', pieceId, together: [], local: false });
+        if (type === 'move' || (type === 'rotate' && pointerId !== undefined)) return false; // Settles once placed
+        this.settle(pieceId, false);
+        return true;
+    }
+
+    /**
+     * Ends a drag here whose claim another puzzle overruled. A group's other clusters are claimed one by one
+     * (see companion()): losing one of those just leaves it behind, and losing the dragged piece's lets go of the rest.
+     * @param {string} pointerId - The claim's pointerId.
+     */
+    cancel(pointerId) {
+        const drag = this._drags.get(pointerId);
+        if (drag) {
+            this._drags.delete(pointerId);
+            (drag.together || []).forEach(id => {
+                this.sync.place(id, companion(pointerId, id), this.puzzle.pieces[id].currentX, this.puzzle.pieces[id].currentY);
+            });
+            return;
+        }
+        this._drags.forEach((other, id) => {
+            if (other.together) other.together = other.together.filter(pieceId => companion(id, pieceId) !== pointerId);
+        });
+    }
+
+    /**
+     * Lays the pieces out as a state of this same puzzle (shared by another puzzle, say) has them, but for clusters
+     * being dragged here. The history and stats stay as they are.
+     * @param {Object} state - A valid Puzzle#serialize() snapshot.
+     * @returns {boolean} False, changing nothing, for a state of any other puzzle (cut differently, or with other edges).
+     */
+    load(state) {
+        if (outline(state) !== outline(this.puzzle.serialize())) return false;
+        const dragged = new Set(Array.from(this._drags.values())
+            .flatMap(drag => [drag.pieceId, ...(drag.together || [])])
+            .flatMap(pieceId => this.puzzle.members(pieceId).map(member => member.id)));
+        this.puzzle.restore(state.pieces
+            .map(({ x, y, rotation, locked, group }, id) => [id, [x, y, rotation, locked, group]])
+            .filter(([id]) => !dragged.has(id)));
+        return true;
+    }
+
+    /**
+     * Rearranges the board as one step to undo. Solving doesn't count towards the stats.
+     * @param {string} type - 'shuffle', 'gather-edges', 'spread', 'collect' or 'solve' (see the Puzzle methods).
+     */
+    arrange(type) {
+        const before = this.snapshot();
+        ARRANGEMENTS[type](this.puzzle);
+        this.record(type, before);
+    }
+
+    /**
+     * Adds one to a stats counter (see COUNTERS).
+     * @param {string} name
+     */
+    count(name) {
+        this.stats[name]++;
+        this._emit({ type: 'stats' });
+    }
+
+    /**
+     * Captures every piece's undoable state, and their stacking order, to record() what an action changed.
+     * @returns {Object}
+     */
+    snapshot() {
+        return snapshot(this.puzzle.pieces, this._order());
+    }
+
+    /**
+     * Records whatever changed since a snapshot (optionally among some pieces only) as one step to undo.
+     * @param {string} type - What happened ('move', 'rotate', 'shuffle', ...).
+     * @param {Object} before - A snapshot() from before it happened.
+     * @param {number[]} [ids] - Ids of the only pieces to compare (by default, every piece).
+     */
+    record(type, before, ids) {
+        const entry = diff(type, before, this.snapshot(), ids);
+        if (!entry) return;
+        this.history.record(entry);
+        this._emit({ type: 'history' });
+    }
+
+    /**
+     * Reverts the most recent step (including any snaps and merges it caused), unless something is being dragged.
+     * @returns {Object|null} The `{pieces, order}` it put back (see diff()), for the view to restack; null if there was nothing to undo.
+     */
+    undo() {
+        if (this.dragging) return null;
+        const entry = this.history.undo();
+        return entry ? this._apply(entry.before) : null;
+    }
+
+    /**
+     * Makes the most recently undone step again, unless something is being dragged.
+     * @returns {Object|null} The `{pieces, order}` it put back (see diff()); null if there was nothing to redo.
+     */
+    redo() {
+        if (this.dragging) return null;
+        const entry = this.history.redo();
+        return entry ? this._apply(entry.after) : null;
+    }
+
+    // Puts pieces back as part of a history entry recorded them, clusters and locks included.
+    _apply(part) {
+        this.puzzle.restore(part.pieces);
+        this._emit({ type: 'history' });
+        return part;
+    }
+
+    // Those of some pieces nobody is dragging.
+    _free(pieceIds) {
+        return pieceIds.filter(id => !this.held(this.puzzle.pieces[id]));
+    }
+
+    // Turns the cluster (or group) a pointer is dragging, keeping the dragged piece moving with the pointer from where it ends up.
+    _turn(pointerId, turns) {
+        const drag = this._drags.get(pointerId);
+        const piece = this.puzzle.pieces[drag.pieceId];
+        const { currentX: x, currentY: y } = piece;
+        this.puzzle.rotate(drag.pieceId, turns, drag.together);
+        drag.offsetX -= piece.currentX - x;
+        drag.offsetY -= piece.currentY - y;
+        drag.rotated = true;
+        if (!this.sync) return;
+        this._syncDrag('rotate', pointerId, drag, turns);
+        // Elsewhere each cluster turns about its own centre, so a group's then move to where its turn put them.
+        if (drag.together.length > 0) this._syncDrag('move', pointerId, drag);
+    }
+
+    // Turns a twisted cluster as far as the line from its dragging pointer to the twisting one has turned.
+    _twist(twist) {
+        const drag = this._drags.get(twist.twist);
+        if (!drag) return;
+        const angle = Math.atan2(twist.y - drag.y, twist.x - drag.x) * 180 / Math.PI;
+        const degrees = ((angle - twist.angle) % 360 + 540) % 360 - 180; // The short way round
+        twist.angle = angle;
+        if (degrees !== 0) this._turn(twist.twist, -degrees / 90);
+    }
+
+    // Sends a select, move, place or rotate (by some turns) message for each cluster a drag moves: the dragged
+    // piece's under the drag's pointerId, and each other cluster of a group under a companion() pointerId.
+    _syncDrag(type, pointerId, { pieceId, together }, turns) {
+        [pieceId, ...together].forEach(id => {
+            const pointer = id === pieceId ? pointerId : companion(pointerId, id);
+            if (type === 'rotate') this.sync.rotate(id, turns, pointer);
+            else this.sync[type](id, pointer, this.puzzle.pieces[id].currentX, this.puzzle.pieces[id].currentY);
+        });
+    }
+
+    // Reports a change to the subscribers.
+    _emit(change) {
+        this._listeners.forEach(listener => listener(change));
+    }
+}
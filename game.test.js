@@ -0,0 +1,225 @@
+import { expect } from 'lovecraft';
+import { Puzzle } from './puzzle.js';
+import { Game } from './game.js';
+import { ImageInfo } from './image-info.js';
+
+const image = new ImageInfo('cat.jpg', 1344, 960);
+const where = puzzle => puzzle.pieces.map(({ currentX, currentY, rotation, locked, group }) => [currentX, currentY, rotation, locked, group]);
+
+describe('Game', () => {
+    let puzzle;
+    let game;
+    let changes;
+
+    beforeEach(() => {
+        puzzle = new Puzzle(image, { size: 20, seed: 'ghoul', rotation: 'none' });
+        game = new Game(puzzle);
+        changes = [];
+        game.subscribe(change => changes.push(change));
+    });
+
+    describe('move', () => {
+        it('settles the piece where it was let go, counting what happened', () => {
+            const [piece] = puzzle.pieces;
+            expect(game.move(piece.id, piece.originX + 3, piece.originY - 3)).to.be.true;
+            expect(piece.locked).to.be.true;
+            expect(game.stats).to.include({ moves: 1, snaps: 1, merges: 0 });
+            expect(changes.map(change => change.type)).to.deep.equal(['select', 'place', 'snap', 'stats', 'stats', 'history']);
+            expect(changes[2]).to.deep.equal({ type: 'snap', pieceId: piece.id, pieces: [piece.id], local: true });
+        });
+
+        it('joins neighbours', () => {
+            const [left, right] = puzzle.pieces;
+            game.move(right.id, left.currentX + right.originX - left.originX, left.currentY + right.originY - left.originY);
+            expect(right.group).to.equal(left.group);
+            expect(game.stats).to.include({ moves: 1, merges: 1 });
+        });
+
+        it('leaves placed pieces alone', () => {
+            puzzle.lock(0);
+            expect(game.move(0, 0, 0)).to.be.false;
+            expect(game.stats.moves).to.equal(0);
+            expect(game.canUndo).to.be.false;
+        });
+    });
+
+    describe('rotate', () => {
+        it('only turns as far as the puzzle allows', () => {
+            expect(game.rotate(0, 1)).to.be.false;
+            const free = new Game(new Puzzle(image, { size: 20, seed: 'ghoul', rotation: 'free' }));
+            expect(free.rotate(0, 0.5)).to.be.true;
+            expect(free.stats.rotations).to.equal(1);
+            expect(free.canUndo).to.be.true;
+        });
+    });
+
+    describe('settle', () => {
+        it("doesn't count other players' moves", () => {
+            const [piece] = puzzle.pieces;
+            puzzle.move(piece.id, piece.originX, piece.originY);
+            const { snapped } = game.settle(piece.id, false);
+            expect(snapped).to.deep.equal([piece]);
+            expect(game.stats.snaps).to.equal(0);
+            expect(changes).to.deep.equal([{ type: 'snap', pieceId: piece.id, pieces: [piece.id], local: false }]);
+        });
+
+        it('ignores unknown pieces', () => {
+            expect(game.settle(99)).to.deep.equal({ joined: [], snapped: [] });
+        });
+    });
+
+    describe('drag', () => {
+        it('drags a cluster by a pointer and settles it once let go', () => {
+            const [piece] = puzzle.pieces;
+            game.pickUp(1, piece.id, { x: piece.currentX + 10, y: piece.currentY + 20 });
+            expect(game.dragging).to.be.true;
+            expect(game.held(piece)).to.be.true;
+            expect(game.drag(1, piece.id, { x: piece.originX + 12, y: piece.originY + 18 })).to.be.true;
+            expect(piece.locked).to.be.false; // Not until it's let go
+            expect(game.undo()).to.be.null;
+            expect(game.place(1, piece.id)).to.be.true;
+            expect(piece.locked).to.be.true;
+            expect(game.dragging).to.be.false;
+            expect(game.stats).to.include({ moves: 1, snaps: 1 });
+            expect(game.history.undo().type).to.equal('move');
+        });
+
+        it('leaves a cluster another pointer holds alone', () => {
+            const [piece] = puzzle.pieces;
+            expect(game.pickUp(1, piece.id, { x: 0, y: 0 })).to.be.an('object');
+            expect(game.pickUp(2, piece.id, { x: 0, y: 0 })).to.be.null;
+            expect(game.move(piece.id, 0, 0)).to.be.false;
+            expect(game.drag(2, piece.id, { x: 50, y: 50 })).to.be.false;
+            expect(game.place(2, piece.id)).to.be.false;
+        });
+
+        it('turns a dragged cluster, counting the turn once let go', () => {
+            const free = new Game(new Puzzle(image, { size: 20, seed: 'ghoul', rotation: 'free' }));
+            free.pickUp(1, 3, { x: 0, y: 0 });
+            expect(free.turn(1, 3, 1)).to.be.true;
+            expect(free.turn(2, 3, 1)).to.be.false;
+            expect(free.stats.rotations).to.equal(0);
+            free.place(1, 3);
+            expect(free.stats).to.include({ moves: 0, rotations: 1 });
+        });
+
+        it('twists a cluster with a second pointer in free rotation', () => {
+            const free = new Game(new Puzzle(image, { size: 20, seed: 'ghoul', rotation: 'free' }));
+            const piece = free.puzzle.pieces[3];
+            const rotation = piece.rotation;
+            free.pickUp(1, 3, { x: 0, y: 0 });
+            expect(free.pickUp(2, 3, { x: 100, y: 0 })).to.include({ twist: 1 });
+            free.drag(2, 3, { x: 0, y: 100 }); // A quarter turn clockwise, about the first pointer
+            expect((piece.rotation - rotation + 360) % 360).to.be.closeTo(90, 1e-9);
+            expect(free.place(2, 3)).to.be.false;
+            expect(free.dragging).to.be.true;
+        });
+
+        it('lets go of everything when released', () => {
+            game.pickUp(1, 0, { x: 0, y: 0 });
+            game.release();
+            expect(game.dragging).to.be.false;
+            expect(game.canUndo).to.be.false;
+        });
+    });
+
+    describe('drop', () => {
+        it("records only the dropped clusters' changes", () => {
+            const before = game.snapshot();
+            puzzle.move(1, -500, -400);
+            puzzle.move(2, -300, -200); // Someone else's drag, meanwhile
+            game.drop([1], before, { moved: true });
+            game.undo();
+            expect(puzzle.pieces[1]).to.include({ currentX: before.pieces[1][0], currentY: before.pieces[1][1] });
+            expect(puzzle.pieces[2]).to.include({ currentX: -300, currentY: -200 });
+        });
+
+        it('records a turn as a rotation', () => {
+            const before = game.snapshot();
+            puzzle.move(1, -500, -400);
+            game.drop([1], before, { moved: true, rotated: true });
+            expect(game.stats).to.include({ moves: 1, rotations: 1 });
+            expect(game.history.undo().type).to.equal('rotate');
+        });
+    });
+
+    describe('undo', () => {
+        it('takes back moves and snaps, and redo makes them again', () => {
+            const start = where(puzzle);
+            const [piece] = puzzle.pieces;
+            game.move(piece.id, piece.originX, piece.originY);
+            const end = where(puzzle);
+            expect(game.undo().pieces.map(([id]) => id)).to.deep.equal([piece.id]);
+            expect(where(puzzle)).to.deep.equal(start);
+            expect(game.canUndo).to.be.false;
+            expect(game.redo()).to.be.an('object');
+            expect(where(puzzle)).to.deep.equal(end);
+            expect(game.redo()).to.be.null;
+        });
+
+        it('puts back the stacking order as it was', () => {
+            const order = [3, 1, 2, 0];
+            const stacked = new Game(puzzle, { order: () => order });
+            stacked.move(0, -500, -400);
+            expect(stacked.undo().order).to.deep.equal(order);
+        });
+    });
+
+    describe('apply', () => {
+        it("plays another puzzle's drag without counting or recording it", () => {
+            const [piece] = puzzle.pieces;
+            expect(game.apply({ type: 'select', pieceId: piece.id })).to.be.false;
+            expect(game.apply({ type: 'move', pieceId: piece.id, x: piece.originX + 2, y: piece.originY })).to.be.false;
+            expect(piece.locked).to.be.false;
+            expect(game.apply({ type: 'place', pieceId: piece.id, x: piece.originX + 2, y: piece.originY })).to.be.true;
+            expect(piece.locked).to.be.true;
+            expect(game.stats.serialize()).to.include({ moves: 0, snaps: 0 });
+            expect(game.canUndo).to.be.false;
+            expect(changes.map(change => [change.type, change.local])).to.deep.equal([['select', false], ['place', false], ['snap', false]]);
+        });
+    });
+
+    describe('load', () => {
+        it('lays out a state of the same puzzle, but for clusters being dragged', () => {
+            const other = new Puzzle(image, { state: puzzle.serialize() });
+            other.move(1, -500, -400);
+            other.move(2, -300, -200);
+            const held = puzzle.pieces[2];
+            game.pickUp(1, 2, { x: held.currentX, y: held.currentY });
+            expect(game.load(other.serialize())).to.be.true;
+            expect(puzzle.pieces[1]).to.include({ currentX: -500, currentY: -400 });
+            expect(held).not.to.include({ currentX: -300, currentY: -200 });
+        });
+
+        it('refuses a state of another puzzle', () => {
+            const start = where(puzzle);
+            expect(game.load(new Puzzle(image, { size: 20, seed: 'ghast' }).serialize())).to.be.false;
+            expect(where(puzzle)).to.deep.equal(start);
+        });
+    });
+
+    describe('arrange', () => {
+        it('rearranges the board as one step', () => {
+            const start = where(puzzle);
+            game.arrange('collect');
+            expect(where(puzzle)).not.to.deep.equal(start);
+            game.undo();
+            expect(where(puzzle)).to.deep.equal(start);
+        });
+
+        it('solves without counting', () => {
+            game.arrange('solve');
+            expect(puzzle.complete).to.be.true;
+            expect(game.stats.serialize()).to.include({ moves: 0, snaps: 0, merges: 0 });
+            expect(game.canUndo).to.be.true;
+        });
+    });
+
+    describe('stats', () => {
+        it('carries on from saved totals', () => {
+            const saved = new Game(puzzle, { stats: { elapsed: 5000, hints: 2 } });
+            saved.count('hints');
+            expect(saved.stats.serialize()).to.include({ elapsed: 5000, hints: 3 });
+        });
+    });
+});
@@ -0,0 +1,12 @@
+// gather-edges.js - Custom event for laying the loose edge pieces out around the board.
+
+/**
+ * Creates a custom 'gather-edges' event.
+ * @returns {CustomEvent}
+ */
+export function createGatherEdgesEvent() {
+    return new CustomEvent('gather-edges', {
+        bubbles: true, composed: true,
+        detail: {}
+    });
+}
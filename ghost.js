@@ -0,0 +1,13 @@
+// ghost.js - Custom event for showing or hiding the ghost image under the board.
+
+/**
+ * Creates a custom 'ghost' event.
+ * @param {boolean} [show] - Whether to show the ghost image; toggles it if omitted.
+ * @returns {CustomEvent}
+ */
+export function createGhostEvent(show) {
+    return new CustomEvent('ghost', {
+        bubbles: true, composed: true,
+        detail: { show }
+    });
+}
@@ -0,0 +1,15 @@
+// hint-used.js - Custom event reporting that the player took a hint.
+
+/**
+ * Creates a custom 'hint-used' event.
+ * @param {string} kind - 'piece' (a piece's place was highlighted), 'reference' or 'ghost' (the image was shown).
+ * @param {number|null} pieceId - The ID of the piece hinted at, for 'piece' hints.
+ * @param {number} hints - How many hints have been taken on this puzzle, this one included.
+ * @returns {CustomEvent}
+ */
+export function createHintUsedEvent(kind, pieceId, hints) {
+    return new CustomEvent('hint-used', {
+        bubbles: true, composed: true,
+        detail: { kind, pieceId, hints }
+    });
+}
@@ -0,0 +1,13 @@
+// hint.js - Custom event asking where a piece belongs.
+
+/**
+ * Creates a custom 'hint' event.
+ * @param {number} pieceId - The ID of the piece to show the place of.
+ * @returns {CustomEvent}
+ */
+export function createHintEvent(pieceId) {
+    return new CustomEvent('hint', {
+        bubbles: true, composed: true,
+        detail: { pieceId }
+    });
+}
@@ -0,0 +1,14 @@
+// history-change.js - Custom event for changes in what can be undone or redone.
+
+/**
+ * Creates a custom 'history-change' event.
+ * @param {boolean} canUndo - True if undo() would revert something.
+ * @param {boolean} canRedo - True if redo() would reapply something.
+ * @returns {CustomEvent}
+ */
+export function createHistoryChangeEvent(canUndo, canRedo) {
+    return new CustomEvent('history-change', {
+        bubbles: true, composed: true,
+        detail: { canUndo, canRedo }
+    });
+}
@@ -0,0 +1,80 @@
+// history.js - Undo/redo stack of changes to the pieces.
+
+const DEFAULT_LIMIT = 200; // Entries kept before the oldest are forgotten
+
+/**
+ * Captures the undoable state of every piece, plus their stacking order.
+ * @param {Piece[]} pieces - Every piece, in id order.
+ * @param {number[]} order - Piece ids from bottom to top.
+ * @returns {Object} A snapshot for diff().
+ */
+export function snapshot(pieces, order) {
+    return {
+        pieces: pieces.map(({ currentX, currentY, rotation, locked, group }) => [currentX, currentY, rotation, locked, group]),
+        order
+    };
+}
+
+/**
+ * Builds a history entry holding only the pieces that changed between two snapshots.
+ * @param {string} type - What happened ('move', 'rotate', 'shuffle', ...).
+ * @param {Object} before - Snapshot taken before the change.
+ * @param {Object} after - Snapshot taken after the change.
+ * @param {number[]} [ids] - Ids of the only pieces to compare (by default, every piece).
+ * @returns {Object|null} An entry with `before` and `after` parts, or null if no piece changed.
+ */
+export function diff(type, before, after, ids = before.pieces.map((state, id) => id)) {
+    const changed = ids.filter(id => before.pieces[id].some((value, i) => value !== after.pieces[id][i]));
+    if (changed.length === 0) return null;
+    const part = ({ pieces, order }) => ({ pieces: changed.map(id => [id, pieces[id]]), order });
+    return { type, before: part(before), after: part(after) };
+}
+
+/**
+ * A bounded undo/redo stack. Recording a new entry discards anything that could be redone.
+ */
+export class History {
+    /**
+     * @param {number} [limit] - Maximum number of entries to keep.
+     */
+    constructor(limit = DEFAULT_LIMIT) {
+        this.limit = limit;
+        this._undo = [];
+        this._redo = [];
+    }
+
+    get canUndo() { return this._undo.length > 0; }
+    get canRedo() { return this._redo.length > 0; }
+
+    /**
+     * @param {Object} entry - An entry from diff().
+     */
+    record(entry) {
+        this._undo.push(entry);
+        if (this._undo.length > this.limit) this._undo.shift();
+        this._redo = [];
+    }
+
+    /**
+     * @returns {Object|undefined} The entry to revert (apply its `before`), if any.
+     */
+    undo() {
+        const entry = this._undo.pop();
+        if (entry) this._redo.push(entry);
+        return entry;
+    }
+
+    /**
+     * @returns {Object|undefined} The entry to reapply (apply its `after`), if any.
+     */
+    redo() {
+        const entry = this._redo.pop();
+        if (entry) this._undo.push(entry);
+        return entry;
+    }
+
+    clear() {
+        this._undo = [];
+        this._redo = [];
+    }
+}
@@ -8,10 +8,20 @@ export class ImageInfo {
      * @param {string} url - The URL of the image.
      * @param {number} width - The pixel width of the image.
      * @param {number} height - The pixel height of the image.
+     * @param {boolean} [crossOrigin=false] - True if the image loaded with CORS, so canvases may draw it and stay exportable.
+     * @param {string} [name=url] - What saved states call the image (their `src`): the URL, but for files, whose
+     *     object URLs change with every page load, a name that doesn't (see fileName()).
      */
-    constructor(url, width, height) {
+    constructor(url, width, height, crossOrigin = false, name = url) {
         this.url = url;       // URL to the image file
         this.width = width;   // Pixel width
         this.height = height; // Pixel height
+        this.crossOrigin = crossOrigin;
+        this.name = name;
+    }
+
+    /** False for images known only by an object URL, which dies with the page, so saves of them could never be restored. */
+    get lasting() {
+        return !this.name.startsWith('blob:');
     }
 }
\ No newline at end of file
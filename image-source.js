@@ -0,0 +1,73 @@
+// image-source.js - Loads whatever a puzzle's image is given as, into a URL its pieces can draw.
+
+/**
+ * Loads a puzzle's image. Blobs and files get an object URL; canvases and bitmaps are copied into one
+ * (as PNG); images are loaded again from their URL.
+ *
+ * URLs are fetched with CORS where the server allows it, so canvases drawing the image stay exportable,
+ * and without it otherwise (the image still shows).
+ * @param {string|Blob|HTMLImageElement|HTMLCanvasElement|ImageBitmap} source
+ * @returns {Promise<Object>} Resolves to {url, width, height, objectUrl, crossOrigin, image, name}, where `objectUrl` is
+ *     true if the URL was made here (revoke it with URL.revokeObjectURL once unused), `crossOrigin` if it loaded with
+ *     CORS, `image` is the loaded HTMLImageElement, and `name` is what saved states call the image (see fileName()).
+ */
+export function loadImage(source) {
+    if (typeof source === 'string') return fetchImage(source, false);
+    if (typeof Blob !== 'undefined' && source instanceof Blob) return fetchImage(URL.createObjectURL(source), true, fileName(source));
+    if (typeof HTMLImageElement !== 'undefined' && source instanceof HTMLImageElement) return fetchImage(source.currentSrc || source.src, false);
+    if ((typeof HTMLCanvasElement !== 'undefined' && source instanceof HTMLCanvasElement) ||
+        (typeof ImageBitmap !== 'undefined' && source instanceof ImageBitmap)) return toBlob(source).then(loadImage);
+    return Promise.reject(new TypeError('Puzzle images must be a URL, Blob, File, image, canvas or ImageBitmap'));
+}
+
+/**
+ * A name for a file that stays the same from one page load to the next, as its object URLs don't: made of its
+ * name, size and modification time. Other blobs (canvas and bitmap copies among them) have no such name.
+ * @param {Blob} blob
+ * @returns {string|undefined} E.g. 'file:cat.jpg?size=1234&modified=1700000000000'; undefined for blobs that aren't files.
+ */
+export function fileName(blob) {
+    if (typeof File === 'undefined' || !(blob instanceof File)) return undefined;
+    return `file:${blob.name}?size=${blob.size}&modified=${blob.lastModified}`;
+}
+
+// Loads a URL into an image, first with CORS (unless it's local) and then, if the server refuses, without.
+// Its name defaults to the URL.
+function fetchImage(url, objectUrl, name = url, crossOrigin = !objectUrl && !url.startsWith('data:')) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        if (crossOrigin) img.crossOrigin = 'anonymous';
+        img.onload = () => resolve({ url, width: img.naturalWidth || img.width, height: img.naturalHeight || img.height, objectUrl, crossOrigin, image: img, name });
+        img.onerror = () => {
+            if (crossOrigin) {
+                resolve(fetchImage(url, objectUrl, name, false));
+                return;
+            }
+            if (objectUrl) URL.revokeObjectURL(url);
+            reject(new Error(url ? `Failed to load image: ${url}` : 'Failed to load image: no URL'));
+        };
+        img.src = url;
+    });
+}
+
+/**
+ * Copies a canvas or bitmap into a PNG blob.
+ * @param {HTMLCanvasElement|ImageBitmap} source
+ * @returns {Promise<Blob>} Rejects for canvases tainted by other sites' images (loaded without CORS).
+ */
+export function toBlob(source) {
+    return new Promise((resolve, reject) => {
+        let canvas = source;
+        if (!(canvas instanceof HTMLCanvasElement)) {
+            canvas = document.createElement('canvas');
+            canvas.width = source.width;
+            canvas.height = source.height;
+            canvas.getContext('2d').drawImage(source, 0, 0);
+        }
+        try {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to copy the canvas')));
+        } catch (error) {
+            reject(new Error(`Failed to copy the canvas: ${error.message}`));
+        }
+    });
+}
@@ -0,0 +1,74 @@
+import './test-dom.js';
+import { expect, stub } from 'lovecraft';
+import { loadImage, fileName } from './image-source.js';
+
+describe('image-source', () => {
+    describe('loadImage', () => {
+        it('loads a URL with CORS, keeping the URL as its name', async () => {
+            const loaded = await loadImage('http://example.com/cat.jpg');
+            expect(loaded).to.include({
+                url: 'http://example.com/cat.jpg', width: 1344, height: 960, objectUrl: false, crossOrigin: true, name: 'http://example.com/cat.jpg'
+            });
+            expect((await loadImage('data:image/png;base64,AAAA')).crossOrigin).to.be.false;
+        });
+
+        it('loads an image from its URL', async () => {
+            const img = document.createElement('img');
+            img.src = 'http://example.com/cat.jpg';
+            expect(await loadImage(img)).to.include({ url: 'http://example.com/cat.jpg', objectUrl: false });
+        });
+
+        it('makes an object URL for a blob or file, naming files lastingly', async () => {
+            const blob = await loadImage(new Blob(['cat'], { type: 'image/png' }));
+            expect(blob).to.include({ objectUrl: true, crossOrigin: false });
+            expect(blob.url).to.match(/^blob:/);
+            expect(blob.name).to.equal(blob.url);
+            const file = await loadImage(new File(['cat'], 'cat.png', { type: 'image/png', lastModified: 1700000000000 }));
+            expect(file.url).to.match(/^blob:/);
+            expect(file.name).to.equal('file:cat.png?size=3&modified=1700000000000');
+        });
+
+        it('copies a canvas into an object URL', async () => {
+            const canvas = document.createElement('canvas');
+            canvas.toBlob = callback => callback(new Blob(['png'], { type: 'image/png' }));
+            expect(await loadImage(canvas)).to.include({ objectUrl: true });
+        });
+
+        it("rejects a canvas it can't copy", async () => {
+            const canvas = document.createElement('canvas');
+            canvas.toBlob = () => { throw new Error('The canvas has been tainted'); };
+            const error = await loadImage(canvas).catch(e => e);
+            expect(error.message).to.equal('Failed to copy the canvas: The canvas has been tainted');
+        });
+
+        it("rejects an image that won't load, even without CORS", async () => {
+            const error = await loadImage('http://example.com/missing.jpg').catch(e => e);
+            expect(error).to.be.an('error');
+            expect(error.message).to.equal('Failed to load image: http://example.com/missing.jpg');
+        });
+
+        it("revokes the object URL of a blob that won't load", async () => {
+            const revoke = stub(URL, 'revokeObjectURL');
+            const create = stub(URL, 'createObjectURL').returns('blob:http://localhost/missing');
+            try {
+                await loadImage(new Blob(['not a picture'])).catch(() => {});
+                expect(revoke.calledOnceWith('blob:http://localhost/missing')).to.be.true;
+            } finally {
+                revoke.restore();
+                create.restore();
+            }
+        });
+
+        it('rejects anything else', async () => {
+            const error = await loadImage(42).catch(e => e);
+            expect(error).to.be.an.instanceOf(TypeError);
+        });
+    });
+
+    describe('fileName', () => {
+        it('names files only', () => {
+            expect(fileName(new File(['cat'], 'cat.jpg', { lastModified: 5 }))).to.equal('file:cat.jpg?size=3&modified=5');
+            expect(fileName(new Blob(['cat']))).to.be.undefined;
+        });
+    });
+});
@@ -0,0 +1,66 @@
+// jigsaw-board.js - Web component for the background grid where pieces belong.
+
+export class JigsawBoard extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+    }
+
+    static get observedAttributes() {
+        return ['width', 'height', 'dots', 'image-url', 'ghost'];
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue) return;
+        this._updateRendering();
+    }
+
+    connectedCallback() {
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host { display: block; position: absolute; left: 0; top: 0; pointer-events: none; }
+                svg { width: 100%; height: 100%; overflow: visible; }
+                .outline { fill: rgba(255, 255, 255, 0.04); stroke: rgba(255, 255, 255, 0.3); stroke-width: 1; vector-effect: non-scaling-stroke; }
+                .dot { fill: rgba(255, 255, 255, 0.35); }
+                .ghost { opacity: 0.3; }
+                :host(:not([ghost])) .ghost { display: none; }
+            </style>
+            <svg xmlns="http://www.w3.org/2000/svg">
+                <rect class="outline"></rect>
+                <image class="ghost" preserveAspectRatio="none"></image>
+                <g class="dots"></g>
+            </svg>
+        `;
+        this._updateRendering();
+    }
+
+    _updateRendering() {
+        const w = parseFloat(this.getAttribute('width') || 0);
+        const h = parseFloat(this.getAttribute('height') || 0);
+        const centres = (this.getAttribute('dots') || '').split(' ').filter(pair => pair).map(pair => pair.split(',').map(parseFloat));
+
+        this.style.width = `${w}px`;
+        this.style.height = `${h}px`;
+
+        const svg = this.shadowRoot.querySelector('svg');
+        const outline = this.shadowRoot.querySelector('.outline');
+        const ghost = this.shadowRoot.querySelector('.ghost');
+        const dots = this.shadowRoot.querySelector('.dots');
+        if (!svg || !outline || !ghost || !dots || w <= 0 || h <= 0) return;
+
+        svg.setAttribute('viewBox', `0 0 ${w} ${h}`);
+        outline.setAttribute('width', w);
+        outline.setAttribute('height', h);
+        // A faint copy of the finished picture, shown with the `ghost` attribute.
+        ghost.setAttribute('href', this.getAttribute('image-url') || '');
+        ghost.setAttribute('width', w);
+        ghost.setAttribute('height', h);
+
+        // One dot at the centre of every place a piece can snap into, sized to the average piece.
+        const radius = Math.max(1, Math.sqrt(w * h / Math.max(1, centres.length)) * 0.04);
+        const circles = centres.map(([cx, cy]) => `<circle class="dot" cx="${cx}" cy="${cy}" r="${radius}"></circle>`);
+        dots.innerHTML = circles.join('');
+    }
+}
+
+customElements.define('jigsaw-board', JigsawBoard);
@@ -0,0 +1,39 @@
+// jigsaw-celebration.js - Web component for the overlay shown when a puzzle is solved.
+
+export class JigsawCelebration extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+    }
+
+    connectedCallback() {
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host { position: absolute; inset: 0; display: none; align-items: center; justify-content: center; background: rgba(0, 0, 0, 0.45); }
+                :host([open]) { display: flex; }
+                .message { padding: 24px 32px; border-radius: 12px; background: #222; color: #ff9800; font-size: 28px; text-align: center; box-shadow: 0 0 24px rgba(255, 152, 0, 0.7); }
+                button { margin-top: 16px; font-size: 16px; cursor: pointer; }
+            </style>
+            <div class="message" part="message">
+                <div>🎉 Puzzle complete! 🏆</div>
+                <div class="count"></div>
+                <button part="button">Admire it</button>
+            </div>
+        `;
+        // Clicks on the overlay shouldn't reach the board underneath.
+        this.addEventListener('pointerdown', e => e.stopPropagation());
+        this.shadowRoot.querySelector('button').addEventListener('click', () => this.removeAttribute('open'));
+    }
+
+    /**
+     * Shows the overlay.
+     * @param {number} total - Number of pieces in the solved puzzle.
+     */
+    show(total) {
+        const count = this.shadowRoot.querySelector('.count');
+        if (count) count.textContent = `All ${total} pieces in place!`;
+        this.setAttribute('open', '');
+    }
+}
+
+customElements.define('jigsaw-celebration', JigsawCelebration);
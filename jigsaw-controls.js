@@ -0,0 +1,89 @@
+// jigsaw-controls.js - Web component for the on-screen rotation, board and hint buttons.
+
+import { createRotateEvent } from './rotate.js';
+import { createZoomEvent } from './zoom.js';
+import { createFitEvent } from './fit.js';
+import { createShuffleEvent } from './shuffle.js';
+import { createGatherEdgesEvent } from './gather-edges.js';
+import { createSpreadEvent } from './spread.js';
+import { createCollectEvent } from './collect.js';
+import { createSelectEdgesEvent } from './select-edges.js';
+import { createHintEvent } from './hint.js';
+import { createReferenceEvent } from './reference.js';
+import { createGhostEvent } from './ghost.js';
+
+const ZOOM_STEP = 0.5; // Powers of two per zoom button press
+
+/**
+ * Buttons which drive the puzzle purely through its custom events, so a page can
+ * restyle them (via ::part) or hide them and dispatch the same events from its own toolbar.
+ */
+export class JigsawControls extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+    }
+
+    connectedCallback() {
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host { position: absolute; right: 10px; bottom: 10px; display: flex; flex-direction: column; align-items: flex-end; gap: 8px; }
+                .group { display: flex; gap: 4px; }
+                button { min-width: 36px; height: 36px; font-size: 18px; line-height: 1; cursor: pointer; }
+                :host(:not([selected])) .rotate, :host(:not([selected])) .hint { display: none; }
+            </style>
+            <div class="group rotate" part="rotate">
+                <button part="button" data-turns="1" title="Rotate -90°">↺</button>
+                <button part="button" data-turns="2" title="Rotate 180°">⟲</button>
+                <button part="button" data-turns="-1" title="Rotate +90°">↻</button>
+            </div>
+            <div class="group" part="board">
+                <button part="button" data-command="zoom-in" title="Zoom in">+</button>
+                <button part="button" data-command="zoom-out" title="Zoom out">−</button>
+                <button part="button" data-command="fit" title="Fit to view">⤢</button>
+                <button part="button" data-command="shuffle" title="Reshuffle loose pieces">🔀</button>
+                <button part="button" data-command="gather-edges" title="Gather edge pieces">⬚</button>
+                <button part="button" data-command="spread" title="Spread out overlapping pieces">⁘</button>
+                <button part="button" data-command="collect" title="Collect loose pieces into a tray">☰</button>
+                <button part="button" data-command="select-edges" title="Select loose edge pieces">⬒</button>
+            </div>
+            <div class="group" part="hints">
+                <button part="button" class="hint" data-command="hint" title="Show where this piece goes">💡</button>
+                <button part="button" data-command="reference" title="Show or hide the picture">🖼️</button>
+                <button part="button" data-command="ghost" title="Show or hide the picture on the board">👻</button>
+            </div>
+        `;
+        // Presses on the controls shouldn't start a pan of the board underneath.
+        this.addEventListener('pointerdown', e => e.stopPropagation());
+        this.shadowRoot.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => this._onClick(button));
+        });
+    }
+
+    _onClick(button) {
+        const pieceId = parseInt(this.getAttribute('selected'), 10);
+        if (button.dataset.turns) {
+            if (!isNaN(pieceId)) this.dispatchEvent(createRotateEvent(pieceId, parseInt(button.dataset.turns, 10)));
+            return;
+        }
+        if (button.dataset.command === 'hint') {
+            if (!isNaN(pieceId)) this.dispatchEvent(createHintEvent(pieceId));
+            return;
+        }
+        const events = {
+            'zoom-in': () => createZoomEvent(ZOOM_STEP),
+            'zoom-out': () => createZoomEvent(-ZOOM_STEP),
+            'fit': () => createFitEvent(),
+            'shuffle': () => createShuffleEvent(),
+            'gather-edges': () => createGatherEdgesEvent(),
+            'spread': () => createSpreadEvent(),
+            'collect': () => createCollectEvent(),
+            'select-edges': () => createSelectEdgesEvent(),
+            'reference': () => createReferenceEvent(),
+            'ghost': () => createGhostEvent()
+        };
+        this.dispatchEvent(events[button.dataset.command]());
+    }
+}
+
+customElements.define('jigsaw-controls', JigsawControls);
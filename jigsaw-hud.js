@@ -0,0 +1,63 @@
+// jigsaw-hud.js - Web component showing the session timer and counters.
+
+const TICK = 1000; // Milliseconds between redraws of the running timer
+
+// Formats milliseconds as m:ss, or h:mm:ss from an hour on.
+function clock(milliseconds) {
+    const seconds = Math.floor(milliseconds / 1000);
+    const [h, m, s] = [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60];
+    const pad = n => String(n).padStart(2, '0');
+    return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+}
+
+export class JigsawHud extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this._stats = null; // Stats last shown, as JigsawPuzzle#stats reports them
+        this._shownAt = 0; // When they were shown, to keep a running timer ticking
+        this._timer = 0; // setInterval handle redrawing the timer, while connected
+    }
+
+    connectedCallback() {
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host { position: absolute; right: 10px; top: 10px; display: flex; gap: 12px; padding: 6px 10px; border-radius: 6px; background: rgba(0, 0, 0, 0.6); color: #eee; font: 14px/1.4 sans-serif; font-variant-numeric: tabular-nums; pointer-events: none; }
+                .paused { opacity: 0.5; }
+            </style>
+            <span part="time" class="time" title="Time"></span>
+            <span part="moves" class="moves" title="Moves"></span>
+            <span part="rotations" class="rotations" title="Rotations"></span>
+            <span part="hints" class="hints" title="Hints"></span>
+        `;
+        this._timer = setInterval(() => this._updateRendering(), TICK);
+        this._updateRendering();
+    }
+
+    disconnectedCallback() {
+        clearInterval(this._timer);
+    }
+
+    /**
+     * Shows new stats; a running timer carries on counting from them.
+     * @param {Object} stats - As JigsawPuzzle#stats reports them.
+     */
+    show(stats) {
+        this._stats = stats;
+        this._shownAt = Date.now();
+        this._updateRendering();
+    }
+
+    _updateRendering() {
+        const time = this.shadowRoot.querySelector('.time');
+        if (!time || !this._stats) return;
+        const { elapsed, running, moves, rotations, hints } = this._stats;
+        time.textContent = `⏱ ${clock(elapsed + (running ? Date.now() - this._shownAt : 0))}`;
+        time.classList.toggle('paused', !running);
+        this.shadowRoot.querySelector('.moves').textContent = `✋ ${moves}`;
+        this.shadowRoot.querySelector('.rotations').textContent = `🔄 ${rotations}`;
+        this.shadowRoot.querySelector('.hints').textContent = `💡 ${hints}`;
+    }
+}
+
+customElements.define('jigsaw-hud', JigsawHud);
@@ -1,17 +1,15 @@
 // jigsaw-piece.js - Web component for a single puzzle piece visualization.
 
-import { createSelectEvent } from './select.js';
-import { createMoveEvent } from './move.js';
-import { createPlaceEvent } from './place.js';
-import { createRotateEvent } from './rotate.js';
+import { PieceKeys } from './piece-keys.js';
+import { PiecePointer, DEFAULT_THRESHOLD } from './piece-pointer.js';
+import { bounds } from './bounds.js';
 
 export class JigsawPiece extends HTMLElement {
     constructor() {
         super();
         this.attachShadow({ mode: 'open' });
-        this._isDragging = false;
-        this._pointerDownTimer = null; // For tap/double-tap detection
-        this._lastPointerDownTime = 0;
+        this._pointer = new PiecePointer(this); // Mouse, pen and touch input
+        this._keys = new PieceKeys(this); // Keyboard input
     }
 
     static get observedAttributes() {
@@ -19,27 +17,36 @@ export class JigsawPiece extends HTMLElement {
             'width', 'height', 'x', 'y', 'rotation',
             'image-url', 'image-width', 'image-height',
             'correct-x', 'correct-y', 'path-data',
-            'selected'
+            'selected', 'locked', 'drag-threshold'
         ];
     }
 
     attributeChangedCallback(name, oldValue, newValue) {
         if (oldValue === newValue && name !== 'selected') return;
+        if (name === 'drag-threshold') {
+            const threshold = parseFloat(newValue);
+            this._pointer.threshold = isNaN(threshold) ? DEFAULT_THRESHOLD : threshold;
+            return;
+        }
         this._updateRendering();
         if (name === 'selected') this._updateSelectedState();
+        if (name === 'rotation' || name === 'locked') this._updateAccessibility();
     }
 
     connectedCallback() {
         this.shadowRoot.innerHTML = `
             <style>
                 :host {
-                    display: block; position: absolute; touch-action: none; user-select: none;
+                    display: block; position: absolute; touch-action: none; user-select: none; pointer-events: none;
                     transition: transform 0.1s ease-out, left 0.1s ease-out, top 0.1s ease-out;
                 }
                 svg { width: 100%; height: 100%; overflow: visible; }
                 #img-pattern { patternUnits: userSpaceOnUse; }
-                .piece-shape { stroke: black; stroke-width: 1; vector-effect: non-scaling-stroke; cursor: grab; }
+                .piece-shape { stroke: black; stroke-width: 1; vector-effect: non-scaling-stroke; cursor: grab; pointer-events: visiblePainted; }
                 :host([selected]) .piece-shape { stroke: gold; stroke-width: 2; cursor: grabbing; }
+                :host([locked]) .piece-shape { stroke: rgba(0, 0, 0, 0.25); cursor: default; }
+                :host(:focus) { outline: none; }
+                :host(:focus-visible) .piece-shape { stroke: #4fc3f7; stroke-width: 3; }
             </style>
             <svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
                 <defs>
@@ -50,8 +57,8 @@ export class JigsawPiece extends HTMLElement {
             </svg>
         `;
         this._updateRendering();
-        this._addEventListeners();
         this._updateSelectedState();
+        this._updateAccessibility();
     }
 
     _updateRendering() {
@@ -66,12 +73,16 @@ export class JigsawPiece extends HTMLElement {
         const corrX = parseFloat(this.getAttribute('correct-x') || 0);
         const corrY = parseFloat(this.getAttribute('correct-y') || 0);
         let path = this.getAttribute('path-data');
+        if (!path || w <= 0 || h <= 0) path = `M 0 0 L ${w} 0 L ${w} ${h} L 0 ${h} Z`;
 
-        this.style.left = `${x}px`;
-        this.style.top = `${y}px`;
-        this.style.width = `${w}px`;
-        this.style.height = `${h}px`;
-        this.style.transformOrigin = 'center center';
+        // Nibs overhang the nominal width × height, so the element covers the path's full bounds
+        // while x/y and the rotation centre still refer to the nominal rectangle.
+        const box = bounds(path, w, h);
+        this.style.left = `${x + box.minX}px`;
+        this.style.top = `${y + box.minY}px`;
+        this.style.width = `${box.width}px`;
+        this.style.height = `${box.height}px`;
+        this.style.transformOrigin = `${w / 2 - box.minX}px ${h / 2 - box.minY}px`;
         this.style.transform = `rotate(${rot}deg)`;
 
         const svg = this.shadowRoot.querySelector('svg');
@@ -82,20 +93,32 @@ export class JigsawPiece extends HTMLElement {
 
         if (!svg || !img || !clipPath || !shape || !pattern) return;
 
-        svg.setAttribute('viewBox', `0 0 ${w} ${h}`);
+        svg.setAttribute('viewBox', `${box.minX} ${box.minY} ${box.width} ${box.height}`);
 
         if (url && imgW > 0 && imgH > 0) {
+            // Offset the pattern tile itself (not the image inside it) so overhanging nibs don't wrap.
             img.setAttributeNS('http://www.w3.org/1999/xlink', 'href', url);
             img.setAttribute('width', imgW); img.setAttribute('height', imgH);
-            img.setAttribute('x', -corrX); img.setAttribute('y', -corrY);
+            img.setAttribute('x', 0); img.setAttribute('y', 0);
+            pattern.setAttribute('x', -corrX); pattern.setAttribute('y', -corrY);
             pattern.setAttribute('width', imgW); pattern.setAttribute('height', imgH);
         } else { img.removeAttributeNS('http://www.w3.org/1999/xlink', 'href'); }
 
-        if (!path || w <= 0 || h <= 0) path = `M 0 0 L ${w} 0 L ${w} ${h} L 0 ${h} Z`;
         clipPath.setAttribute('d', path);
         shape.setAttribute('d', path);
     }
 
+    _updateAccessibility() {
+        const id = parseInt(this.getAttribute('piece-id'), 10);
+        const rotation = Math.round(parseFloat(this.getAttribute('rotation') || 0));
+        const locked = this.hasAttribute('locked');
+        this.setAttribute('role', 'button');
+        this.setAttribute('aria-roledescription', 'puzzle piece');
+        this.setAttribute('aria-label', `piece ${id + 1}, rotated ${rotation}°, ${locked ? 'placed' : 'not placed'}`);
+        // Placed pieces are done with, so Tab skips them.
+        this.tabIndex = locked ? -1 : 0;
+    }
+
     _updateSelectedState() {
          const shape = this.shadowRoot.querySelector('.piece-shape');
          if (shape) {
@@ -103,109 +126,6 @@ export class JigsawPiece extends HTMLElement {
          }
          if (this.hasAttribute('selected')) this.style.zIndex = '1'; else this.style.zIndex = '';
     }
-
-    _addEventListeners() {
-        this.addEventListener('mousedown', this._onPointerDown.bind(this));
-        this.addEventListener('touchstart', this._onPointerDown.bind(this), { passive: false });
-         // Add double-click listener
-        this.addEventListener('dblclick', this._onDoubleClick.bind(this));
-         // Handle double-tap on touch devices (dblclick often doesn't fire reliably)
-         // Single touchstart/touchend pairs will be used to detect double-tap manually
-    }
-
-    _onPointerDown(event) {
-        if ((event.type === 'mousedown' && event.button !== 0) || (event.type === 'touchstart' && event.touches.length > 1)) return;
-        event.preventDefault(); event.stopPropagation();
-
-        const clientX = event.clientX || event.touches[0].clientX;
-        const clientY = event.clientY || event.touches[0].clientY;
-        const pieceId = parseInt(this.getAttribute('piece-id'), 10);
-
-        // --- Double-tap detection for touch devices ---
-        if (event.type === 'touchstart') {
-            const currentTime = new Date().getTime();
-            const tapLength = currentTime - this._lastPointerDownTime;
-            const DOUBLE_TAP_THRESHOLD = 300; // ms
-
-            if (tapLength < DOUBLE_TAP_THRESHOLD && tapLength > 0) {
-                // This looks like the second tap of a double-tap
-                console.log(`Piece ${pieceId}: Double-tap detected.`);
-                // Dispatch rotate event
-                this.dispatchEvent(createRotateEvent(pieceId, 1)); // 1 counter-clockwise turn
-                this._lastPointerDownTime = 0; // Reset timer
-                // Prevent drag from starting after double-tap
-                return;
-            } else {
-                // First tap, start timer
-                this._lastPointerDownTime = currentTime;
-                 // Clear any previous pending timer
-                 if (this._pointerDownTimer) clearTimeout(this._pointerDownTimer);
-                 // Set a timer to clear _lastPointerDownTime if no second tap comes soon
-                 this._pointerDownTimer = setTimeout(() => {
-                     this._lastPointerDownTime = 0;
-                     this._pointerDownTimer = null;
-                 }, DOUBLE_TAP_THRESHOLD);
-            }
-        }
-        // --- End Double-tap detection ---
-
-
-        // If not handling as double-tap, dispatch select event and start drag
-        this.dispatchEvent(createSelectEvent(pieceId, clientX, clientY));
-
-        this._isDragging = true;
-        this._onPointerMoveBound = this._onPointerMove.bind(this);
-        this._onPointerUpBound = this._onPointerUp.bind(this);
-        window.addEventListener('mousemove', this._onPointerMoveBound);
-        window.addEventListener('mouseup', this._onPointerUpBound);
-        window.addEventListener('touchmove', this._onPointerMoveBound, { passive: false });
-        window.addEventListener('touchend', this._onPointerUpBound, { passive: false });
-        window.addEventListener('touchcancel', this._onPointerUpBound, { passive: false });
-    }
-
-     // Handle standard dblclick event for mouse
-    _onDoubleClick(event) {
-        event.preventDefault(); event.stopPropagation();
-        const pieceId = parseInt(this.getAttribute('piece-id'), 10);
-        console.log(`Piece ${pieceId}: Double-click detected.`);
-        // Dispatch rotate event
-        this.dispatchEvent(createRotateEvent(pieceId, 1)); // 1 counter-clockwise turn
-    }
-
-
-    _onPointerMove(event) {
-        if (!this._isDragging) return;
-        event.preventDefault();
-
-        const pointer = event.touches ? event.touches[0] : event;
-        const clientX = pointer.clientX;
-        const clientY = pointer.clientY;
-        const pieceId = parseInt(this.getAttribute('piece-id'), 10);
-
-        this.dispatchEvent(createMoveEvent(pieceId, clientX, clientY));
-    }
-
-    _onPointerUp(event) {
-        if (!this._isDragging) return;
-        event.preventDefault();
-
-        this._isDragging = false;
-        window.removeEventListener('mousemove', this._onPointerMoveBound);
-        window.removeEventListener('mouseup', this._onPointerUpBound);
-        window.removeEventListener('touchmove', this._onPointerMoveBound);
-        window.removeEventListener('touchend', this._onPointerUpBound);
-        window.removeEventListener('touchcancel', this._onPointerUpBound);
-
-        const pieceId = parseInt(this.getAttribute('piece-id'), 10);
-        this.dispatchEvent(createPlaceEvent(pieceId));
-
-         // If a timer was started for double-tap, clear it as the drag/up sequence cancelled the tap
-         if (this._pointerDownTimer) {
-            clearTimeout(this._pointerDownTimer);
-            this._pointerDownTimer = null;
-            this._lastPointerDownTime = 0; // Reset tap state
-         }
-    }
 }
 
 customElements.define('jigsaw-piece', JigsawPiece);
\ No newline at end of file
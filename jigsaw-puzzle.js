@@ -1,138 +1,1012 @@
 // jigsaw-puzzle.js - Main custom element (<jigsaw-puzzle>).
-// Orchestrates piece data, scaling, and handles drag/rotate events.
+// A view over a Game (game.js): shows its pieces, the viewport and overlays, and turns drag/rotate/pan/zoom events into play.
 
 import { ImageInfo } from './image-info.js';
-import { Piece } from './piece.js'; // Need Piece data model to store rotation
+import { Puzzle, DEFAULT_TOLERANCE, DEFAULT_ANGLE_TOLERANCE } from './puzzle.js';
+import { Game } from './game.js';
+import { ROTATIONS } from './piece.js';
+import { CUTS } from './tessellations.js';
+import { LAYOUTS } from './layouts.js';
 import { JigsawPiece } from './jigsaw-piece.js';
+import { JigsawBoard } from './jigsaw-board.js';
+import { JigsawControls } from './jigsaw-controls.js';
+import { JigsawCelebration } from './jigsaw-celebration.js';
+import { JigsawReference } from './jigsaw-reference.js';
+import { JigsawHud } from './jigsaw-hud.js';
+import { JigsawStatus } from './jigsaw-status.js';
+import { JigsawReplay } from './jigsaw-replay.js';
+import { loadImage, toBlob } from './image-source.js';
+import { cutPath, cutTemplate } from './templates.js';
 import { createSelectEvent } from './select.js';
 import { createMoveEvent } from './move.js';
 import { createPlaceEvent } from './place.js';
 import { createRotateEvent } from './rotate.js';
+import { createSnapEvent } from './snap.js';
+import { createMergeEvent } from './merge.js';
+import { createProgressEvent } from './progress.js';
+import { createCompleteEvent } from './complete.js';
+import { validateState } from './state.js';
+import { createHistoryChangeEvent } from './history-change.js';
+import { createHintUsedEvent } from './hint-used.js';
+import { createStatsChangeEvent } from './stats-change.js';
+import { createLoadingEvent } from './loading.js';
+import { createLoadEvent } from './load.js';
+import { createErrorEvent } from './error.js';
+import { createReplayChangeEvent } from './replay-change.js';
+import { Stats } from './stats.js';
+import { Viewport } from './viewport.js';
+import { PanZoom } from './panzoom.js';
+import { RubberBand } from './rubber-band.js';
+import { Palette } from './palette.js';
+import { RotateHandle } from './rotate-handle.js';
+import { SvgRenderer } from './svg-renderer.js';
+import { CanvasRenderer } from './canvas-renderer.js';
+import { Sync } from './sync.js';
+import { Recorder, Player, validateTimelapse } from './timelapse.js';
+import { BroadcastChannelTransport } from './broadcast-transport.js';
+import { WebSocketTransport } from './websocket-transport.js';
 
 const DEFAULT_IMAGE_WIDTH = 1344;
 const DEFAULT_IMAGE_HEIGHT = 960;
 const DEFAULT_PIECE_COUNT = 40;
+const HANDLE_GAP = 20; // Pixels between a selected cluster and its rotation handle
+const HINT_DURATION = 2000; // Milliseconds a hint highlights a piece's place
+const SOLVE_TIME = 2000; // Milliseconds an animated solve() takes, at most
+const DEFAULT_DRAG_THRESHOLD = 4; // Pixels a press may wander before it drags (a piece) or pans (the view)
+const PALETTE_SIZE = 256; // Longest side, in pixels, of the copy of the picture colours are picked from
 
 export class JigsawPuzzle extends HTMLElement {
     constructor() {
         super();
         this.attachShadow({ mode: 'open' });
         this._imageInfo = null;
-        this._pieces = []; // Array of Piece domain models
-        this._container = null;
-        this._jigsawPieces = new Map(); // Map<pieceId, JigsawPiece HTMLElement>
-        this._selectedPieceId = null;
-        this._dragOffsetX = 0;
-        this._dragOffsetY = 0;
+        this._source = null; // What the `image` property was last given (or null, to use `src`)
+        this._loading = null; // Promise of the image being loaded, until it's loaded or superseded
+        this._objectUrl = null; // Object URL made for the current image, revoked once it's replaced
+        this._puzzle = null; // Puzzle engine holding the pieces, once the image is cut up
+        this._game = null; // Game of the puzzle, with its undo history and stats
+        this._container = null; // Element the SVG renderer draws into
+        this._renderer = null; // SvgRenderer or CanvasRenderer, per the `renderer` attribute
+        this._viewport = new Viewport(); // Pan/zoom state, mapping host pixels to world units
+        this._jigsawPieces = new Map(); // Map<pieceId, JigsawPiece HTMLElement (or its canvas stand-in)>
+        this._controls = null; // JigsawControls HTMLElement with rotation and board buttons
+        this._celebration = null; // JigsawCelebration HTMLElement shown once solved
+        this._reference = null; // JigsawReference HTMLElement showing the finished picture
+        this._ghost = false; // True while the board shows a faint copy of the image
+        this._hud = null; // JigsawHud HTMLElement showing the stats
+        this._status = null; // JigsawStatus HTMLElement shown while loading, after errors and while a file is dragged over
+        this._paused = false; // True after pause(), until resume()
+        this._onVisibilityChange = () => this._updateClock(); // The timer stops while the page is hidden
+        this._announcer = null; // Visually hidden live region read out by screen readers
+        this._handle = null; // Rotation handle shown beside the selected cluster in free rotation
+        this._complete = false; // True once the 'complete' event has fired
+        this._selection = new Set(); // Ids of every selected piece, a whole cluster at a time
+        this._selectedPieceId = null; // The piece selected last, which the controls, hint and rotation handle act on
+        this._palette = null; // Promise of the picture's Palette, once a colour has been picked from it
+        this._hover = null; // {clientX, clientY} of the mouse over the puzzle, for picking colours
+        this._sync = null; // Sync sharing this board with other puzzles, if connected
+        this._solving = null; // {timer, resolve} of an animated solve() in progress
+        this._recorder = null; // Recorder of a timelapse, from startRecording() until stopRecording()
+        this._replay = null; // {player, game} while a timelapse replays: its Player, and the {state, history} it took over from
+        this._replayBar = null; // JigsawReplay HTMLElement with the replay's play/pause, scrubbing and speed controls
+        this._ready = null; // {promise, resolve, reject, settled} behind the `ready` property
+        this._expectReady();
     }
 
-    static get observedAttributes() { return ['src', 'size']; }
+    static get observedAttributes() { return ['src', 'size', 'tolerance', 'angle-tolerance', 'persist', 'seed', 'cut', 'rotation', 'layout', 'drag-threshold', 'renderer', 'sync', 'reference', 'ghost', 'no-hints']; }
     attributeChangedCallback(n, o, v) {
         if (!this.isConnected || o === v) return;
-        if (n === 'src') this._loadImage(v);
+        if (n === 'src') this.image = v;
         if (n === 'size' && this._imageInfo) this._init(this._imageInfo, parseInt(v, 10) || DEFAULT_PIECE_COUNT);
+        if ((n === 'seed' || n === 'cut' || n === 'rotation' || n === 'layout') && this._imageInfo) this._init(this._imageInfo, this._puzzle.size);
+        // A replay keeps to the recording's tolerances; a recording notes the change.
+        if ((n === 'tolerance' || n === 'angle-tolerance') && this._puzzle && !this._replay) {
+            Object.assign(this._puzzle, { tolerance: this._tolerance(), angleTolerance: this._angleTolerance() });
+        }
+        if (n === 'drag-threshold') this._updateDragThreshold();
+        if (n === 'reference' || n === 'ghost' || n === 'no-hints') this._updateAids();
+        if (n === 'sync') {
+            this.disconnect();
+            if (this._imageInfo) this._connectSync();
+        }
+        if (n === 'renderer') {
+            const state = this.getState();
+            this._createRenderer();
+            if (this._imageInfo) this._init(this._imageInfo, this._puzzle.size, state);
+        }
     }
     connectedCallback() {
         this.shadowRoot.innerHTML = `
             <style>
-                :host { display: block; position: relative; width: 100%; height: 100%; overflow: hidden; background-color: #1a1a1a; }
-                #container { position: absolute; transform-origin: 0 0; }
+                :host { display: block; position: relative; width: 100%; height: 100%; overflow: hidden; background-color: #1a1a1a; touch-action: none; }
+                #container { position: absolute; left: 0; top: 0; transform-origin: 0 0; }
                 jigsaw-piece { position: absolute; }
+                jigsaw-board { position: absolute; }
+                canvas { position: absolute; left: 0; top: 0; width: 100%; height: 100%; }
+                :host([no-controls]) jigsaw-controls { display: none; }
+                :host([no-celebration]) jigsaw-celebration { display: none; }
+                :host([rotation="none"]) jigsaw-controls::part(rotate) { display: none; }
+                :host([no-hints]) jigsaw-controls::part(hints) { display: none; }
+                :host(:not([hud])) jigsaw-hud { display: none; }
+                .hint { position: absolute; left: 0; top: 0; width: 1px; height: 1px; overflow: visible; pointer-events: none; fill: rgba(255, 215, 0, 0.25); stroke: gold; animation: hint 0.4s ease-in-out infinite alternate; }
+                .hint path { stroke-width: 3; vector-effect: non-scaling-stroke; }
+                @keyframes hint { to { opacity: 0.3; } }
+                #handle { position: absolute; display: none; width: 28px; height: 28px; margin: -14px 0 0 -14px; border-radius: 50%; background: gold; color: #1a1a1a; font: 20px/28px sans-serif; text-align: center; cursor: grab; user-select: none; touch-action: none; }
+                #handle[piece-id] { display: block; }
+                #band { position: absolute; border: 1px dashed gold; background: rgba(255, 215, 0, 0.1); pointer-events: none; }
+                #announcer { position: absolute; width: 1px; height: 1px; overflow: hidden; clip-path: inset(50%); white-space: nowrap; }
             </style>
             <div id="container"></div>
+            <div id="handle" part="rotate-handle" title="Drag to rotate">⟳</div>
+            <div id="band" part="rubber-band"></div>
+            <jigsaw-reference part="reference"></jigsaw-reference>
+            <jigsaw-hud part="hud"></jigsaw-hud>
+            <jigsaw-controls part="controls" exportparts="rotate, board, hints, button"></jigsaw-controls>
+            <jigsaw-replay part="replay"></jigsaw-replay>
+            <jigsaw-celebration part="celebration"></jigsaw-celebration>
+            <jigsaw-status part="status"></jigsaw-status>
+            <div id="announcer" role="status" aria-live="polite"></div>
         `;
         this._container = this.shadowRoot.getElementById('container');
+        this._createRenderer();
+        this._controls = this.shadowRoot.querySelector('jigsaw-controls');
+        this._celebration = this.shadowRoot.querySelector('jigsaw-celebration');
+        this._reference = this.shadowRoot.querySelector('jigsaw-reference');
+        this._hud = this.shadowRoot.querySelector('jigsaw-hud');
+        this._status = this.shadowRoot.querySelector('jigsaw-status');
+        this._replayBar = this.shadowRoot.querySelector('jigsaw-replay');
+        this._announcer = this.shadowRoot.getElementById('announcer');
+        this._handle = this.shadowRoot.getElementById('handle');
+        this._rotateHandle = new RotateHandle(this._handle, pieceId => this._handleCenter(pieceId));
         this._resizeObserver = new ResizeObserver(() => this._updateScale());
         this._resizeObserver.observe(this);
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
+        if (!this.hasAttribute('tabindex')) this.tabIndex = 0; // Focusable, for keyboard shortcuts
         this._addEventListeners();
+        this._updateAids(false); // Aids the page starts with aren't the player's hints
 
-        const src = this.getAttribute('src');
-        if (src) this._loadImage(src);
-        else this._init(new ImageInfo("placeholder", DEFAULT_IMAGE_WIDTH, DEFAULT_IMAGE_HEIGHT), parseInt(this.getAttribute('size'), 10) || DEFAULT_PIECE_COUNT);
+        // An `image` set before the element was defined shadows the property; pass it on.
+        if (Object.prototype.hasOwnProperty.call(this, 'image')) {
+            const image = this.image;
+            delete this.image;
+            this._source = image;
+        }
+        this._start();
     }
 
     disconnectedCallback() {
         if (this._resizeObserver) this._resizeObserver.disconnect();
+        document.removeEventListener('visibilitychange', this._onVisibilityChange);
+        this._updateClock();
+        this.disconnect();
     }
 
-    _loadImage(src) {
-        const img = new Image();
-        img.onload = () => this._init(new ImageInfo(src, img.width, img.height), parseInt(this.getAttribute('size'), 10) || DEFAULT_PIECE_COUNT);
-        img.onerror = () => {
-            console.error(`Failed to load image: ${src}`);
-            this._init(new ImageInfo("error", DEFAULT_IMAGE_WIDTH, DEFAULT_IMAGE_HEIGHT), parseInt(this.getAttribute('size'), 10) || DEFAULT_PIECE_COUNT);
-        };
-        img.src = src;
+    /**
+     * Resolves (to the puzzle) once its image has loaded and the pieces are built, or rejects if the image
+     * fails to load. Changing `src` starts a new wait, unless the last one is still pending.
+     * @type {Promise<JigsawPuzzle>}
+     */
+    get ready() { return this._ready.promise; }
+
+    // Starts a new pending `ready` promise, unless the current one is still pending.
+    _expectReady() {
+        if (this._ready && !this._ready.settled) return;
+        let resolve, reject;
+        const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+        promise.catch(() => {}); // A failed image shows and raises 'error' anyway; only those awaiting `ready` need the rejection
+        this._ready = { promise, resolve, reject, settled: false };
     }
 
-    _init(imageInfo, pieceCount) {
-        if (!imageInfo || pieceCount <= 0 || !this._container) return;
-        this._imageInfo = imageInfo;
+    // Settles the pending `ready` promise: rejected with an error, else resolved.
+    _readied(error) {
+        if (this._ready.settled) return;
+        this._ready.settled = true;
+        if (error) this._ready.reject(error);
+        else this._ready.resolve(this);
+    }
+
+    /**
+     * The picture to cut up: a URL (as the `src` attribute gives it), a File or Blob, an <img>, a <canvas> or an
+     * ImageBitmap. Canvases and bitmaps are copied as they are when set. Setting `src` replaces it with that URL.
+     * @type {string|Blob|HTMLImageElement|HTMLCanvasElement|ImageBitmap|null}
+     */
+    get image() {
+        return this._source !== null ? this._source : this.getAttribute('src');
+    }
 
-        const pSize = Math.min(imageInfo.width, imageInfo.height) / Math.sqrt(pieceCount);
-        const cols = Math.round(imageInfo.width / pSize);
-        const rows = Math.round(imageInfo.height / pSize);
-        const pW = imageInfo.width / cols;
-        const pH = imageInfo.height / rows;
+    set image(source) {
+        this._source = source === undefined ? null : source;
+        if (this.isConnected) this._start();
+    }
 
-        const sF = 2;
-        const sW = imageInfo.width * sF; // Scatter width (world units)
-        const sH = imageInfo.height * sF; // Scatter height (world units)
-        const sOX = -imageInfo.width * (sF - 1) / 2; // Scatter origin X (world units)
-        const sOY = -imageInfo.height * (sF - 1) / 2; // Scatter origin Y (world units)
+    // Loads the image, or builds a puzzle from a placeholder without one.
+    _start() {
+        const source = this.image;
+        if (source) this._loadImage(source);
+        else this._init(new ImageInfo("placeholder", DEFAULT_IMAGE_WIDTH, DEFAULT_IMAGE_HEIGHT), parseInt(this.getAttribute('size'), 10) || DEFAULT_PIECE_COUNT);
+    }
 
-        this._container.style.width = `${sW}px`;
-        this._container.style.height = `${sH}px`;
+    // Loads an image and cuts it up, showing the loading overlay meanwhile and the error overlay if it fails.
+    _loadImage(source) {
+        this._expectReady();
+        this._showStatus('loading');
+        this.dispatchEvent(createLoadingEvent(source));
+        const loading = loadImage(source);
+        this._loading = loading;
+        loading.then(image => {
+            if (this._loading !== loading) {
+                if (image.objectUrl) URL.revokeObjectURL(image.url); // Superseded by a newer image
+                return;
+            }
+            this._loading = null;
+            const previous = this._objectUrl;
+            this._objectUrl = image.objectUrl ? image.url : null;
+            this._showStatus(null);
+            this._init(new ImageInfo(image.url, image.width, image.height, image.crossOrigin, image.name), parseInt(this.getAttribute('size'), 10) || DEFAULT_PIECE_COUNT);
+            if (previous) URL.revokeObjectURL(previous); // No piece draws it any more
+            this.dispatchEvent(createLoadEvent(source, image.width, image.height));
+        }, error => {
+            if (this._loading !== loading) return;
+            this._loading = null;
+            this._showStatus('error', error.message);
+            this.dispatchEvent(createErrorEvent(source, error));
+            this._readied(error);
+        });
+    }
 
-        this._pieces = []; // Clear previous data models
-        Array.from(this._container.children).forEach(c => c.remove()); // Clear old pieces
+    // Shows the status overlay in a state ('loading', 'error' or 'drop'), or hides it given null.
+    _showStatus(state, detail) {
+        if (!this._status) return;
+        if (state === null) this._status.hide();
+        else this._status.show(state, detail);
+    }
+
+    /**
+     * Snapshot of the puzzle (image, cut, edge shapes and every piece's position,
+     * rotation, lock and group) which setState() can restore later.
+     * @returns {Object|null} JSON-compatible state, or null before the puzzle is built.
+     */
+    getState() {
+        return this._puzzle ? this._puzzle.serialize(this._game.stats.serialize()) : null;
+    }
+
+    /**
+     * Rebuilds the puzzle from a getState() snapshot of the same image, seed, cut and rotation (its own
+     * number of pieces, though, whatever `size` says).
+     * @param {Object} state - The snapshot to restore.
+     * @throws {Error} If the snapshot is malformed, from another version, for a different image, or saved with
+     *     another `seed`, `cut` or `rotation` than the attributes give; the current puzzle is left untouched.
+     */
+    setState(state) {
+        validateState(state, this._imageInfo, { seed: this.getAttribute('seed'), cut: this._cutAttribute(), rotation: this._rotation() });
+        this._init(this._imageInfo, state.size, state);
+    }
+
+    // Reads back an auto-saved state matching this image, size, seed, cut and rotation, if the `persist` attribute names one.
+    _restore(imageInfo, pieceCount) {
+        const key = this.getAttribute('persist');
+        if (!key) return null;
+        try {
+            const state = JSON.parse(localStorage.getItem(key));
+            if (state === null) return null;
+            validateState(state, imageInfo, { size: pieceCount, seed: this.getAttribute('seed'), cut: this._cutAttribute(), rotation: this._rotation() });
+            return state;
+        } catch (error) {
+            console.warn(`Discarding saved puzzle "${key}": ${error.message}`);
+            return null;
+        }
+    }
+
+    // Auto-saves the current state under the `persist` key, if there is one (but not a replay's, nor the placeholder's
+    // or one of a picture with no lasting name, which would only overwrite a save that can still be restored).
+    _persist() {
+        const key = this.getAttribute('persist');
+        const state = this.getState();
+        if (!key || !state || this._replay || !this.image || !this._imageInfo.lasting) return;
+        try {
+            localStorage.setItem(key, JSON.stringify(state));
+        } catch (error) {
+            console.warn(`Could not save puzzle "${key}": ${error.message}`);
+        }
+    }
+
+    // Builds the puzzle afresh (or from a state) and shows it, ending any replay unless it's the start of one (see replay()).
+    _init(imageInfo, pieceCount, state = this._restore(imageInfo, pieceCount), replay = null) {
+        if (!imageInfo || pieceCount <= 0 || !this._renderer) return;
+        // The same src, size, seed and cut always cut and scatter the same puzzle; a state brings its own.
+        const settings = state ? {} : { size: pieceCount, seed: this.getAttribute('seed'), cut: this._cutAttribute(), rotation: this._rotation() };
+        const puzzle = new Puzzle(imageInfo, {
+            ...settings, layout: this._layout(), tolerance: this._tolerance(), angleTolerance: this._angleTolerance(),
+            state, held: pieceData => this._game.held(pieceData)
+        });
+        puzzle.subscribe(({ pieces }) => pieces.forEach(id => this._renderPiece(puzzle.pieces[id])));
+        const game = new Game(puzzle, { stats: state ? state.stats : undefined, order: () => this._renderer.order() });
+        game.sync = this._sync;
+        game.subscribe(change => this._gameChanged(change));
+        // A recording carries on through a board rebuilt from its own state, as when a shared board loads.
+        if (this._recorder && !(state && !replay && this._recorder.follow(puzzle))) this._recorder.stop();
+        if (this._replay) this._replay.player.stop();
+        this._replay = replay;
+        this.toggleAttribute('replaying', !!replay);
+        if (this._replayBar) this._replayBar.toggleAttribute('open', !!replay);
+
+        this._select(null);
+        if (this._game) {
+            this._game.release();
+            this._game.stats.stop();
+        }
+        this._stopSolving();
+        if (this._reference) this._reference.setAttribute('src', imageInfo.url);
+        if (this._celebration) this._celebration.removeAttribute('open');
+        if (imageInfo !== this._imageInfo) this._palette = null;
+        this._imageInfo = imageInfo;
+        this._puzzle = puzzle;
+        this._game = game;
         this._jigsawPieces = new Map(); // Clear map
+        this._renderer.reset(imageInfo, puzzle.pieces); // Clear old pieces and draw the board
+        this._viewport.bound(puzzle.minimum, puzzle.maximum);
 
-        for (let r = 0; r < rows; r++) {
-            for (let c = 0; c < cols; c++) {
-                const id = r * cols + c;
-                const oX = c * pW; const oY = r * pH; // Origin in image pixels (world units)
-                const pieceData = new Piece(id, oX, oY, pW, pH);
-                pieceData.randomizePlacement(sW, sH, sOX, sOY);
-                this._pieces.push(pieceData); // Store data model
-
-                const pieceEl = document.createElement('jigsaw-piece');
-                pieceEl.setAttribute('piece-id', id);
-                pieceEl.setAttribute('width', pieceData.width);
-                pieceEl.setAttribute('height', pieceData.height);
-                pieceEl.setAttribute('x', pieceData.currentX);
-                pieceEl.setAttribute('y', pieceData.currentY);
-                pieceEl.setAttribute('rotation', pieceData.rotation); // Store initial rotation
-                pieceEl.setAttribute('image-url', imageInfo.url);
-                pieceEl.setAttribute('image-width', imageInfo.width);
-                pieceEl.setAttribute('image-height', imageInfo.height);
-                pieceEl.setAttribute('correct-x', pieceData.originX);
-                pieceEl.setAttribute('correct-y', pieceData.originY);
-                pieceEl.setAttribute('path-data', `M 0 0 L ${pW} 0 L ${pW} ${pH} L 0 ${pH} Z`);
-
-                this._container.appendChild(pieceEl);
-                this._jigsawPieces.set(id, pieceEl);
-            }
+        for (const pieceData of puzzle.pieces) {
+            this._jigsawPieces.set(pieceData.id, this._createPieceEl(this._renderer, pieceData));
         }
+        this._restack();
+
+        // A restored puzzle which was already solved doesn't celebrate again.
+        this._complete = puzzle.complete;
+        this._updateProgress();
         this._updateScale();
+        this._statsChanged();
+        this._updateClock();
+        this._persist();
+        this.dispatchEvent(createHistoryChangeEvent(false, false));
+        if (!this._sync && !this._replay) this._connectSync();
+        this._readied();
+    }
+
+    // Stacks the pieces as a freshly built puzzle has them: in id order, with locked pieces just above the board,
+    // beneath every loose piece.
+    _restack() {
+        this._puzzle.pieces.forEach(pieceData => this._renderer.raise(this._jigsawPieces.get(pieceData.id)));
+        this._puzzle.pieces.filter(pieceData => pieceData.locked).forEach(pieceData => {
+            this._renderer.lower(this._jigsawPieces.get(pieceData.id));
+        });
+    }
+
+    // Makes a renderer's view of a piece, showing it where it is now.
+    _createPieceEl(renderer, pieceData) {
+        const imageInfo = this._imageInfo;
+        const pieceEl = renderer.createPiece();
+        pieceEl.setAttribute('piece-id', pieceData.id);
+        pieceEl.setAttribute('width', pieceData.width);
+        pieceEl.setAttribute('height', pieceData.height);
+        pieceEl.setAttribute('x', pieceData.currentX);
+        pieceEl.setAttribute('y', pieceData.currentY);
+        pieceEl.setAttribute('rotation', pieceData.rotation);
+        pieceEl.setAttribute('image-url', imageInfo.url);
+        pieceEl.setAttribute('image-width', imageInfo.width);
+        pieceEl.setAttribute('image-height', imageInfo.height);
+        pieceEl.setAttribute('correct-x', pieceData.originX);
+        pieceEl.setAttribute('correct-y', pieceData.originY);
+        pieceEl.setAttribute('path-data', pieceData.path());
+        pieceEl.setAttribute('drag-threshold', this._dragThreshold());
+        if (pieceData.locked) pieceEl.setAttribute('locked', '');
+        return pieceEl;
+    }
+
+    /**
+     * Every piece as it is now. The snapshots are frozen copies, so changing them changes nothing;
+     * use movePiece() and rotatePiece() instead.
+     * @returns {Object[]} In id order: {id, x, y, rotation, locked, group, correctX, correctY, width, height, placed, edge},
+     *     where x and y are the piece's top-left corner and correctX and correctY where it belongs, in image pixels,
+     *     rotation is in degrees clockwise, pieces with the same group are joined, and edge pieces have a straight side.
+     */
+    get pieces() {
+        const pieces = this._puzzle ? this._puzzle.pieces : [];
+        return Object.freeze(pieces.map(pieceData => Object.freeze({
+            id: pieceData.id,
+            x: pieceData.currentX,
+            y: pieceData.currentY,
+            rotation: pieceData.rotation,
+            locked: pieceData.locked,
+            group: pieceData.group,
+            correctX: pieceData.originX,
+            correctY: pieceData.originY,
+            width: pieceData.width,
+            height: pieceData.height,
+            placed: this._puzzle.isPlaced(pieceData),
+            edge: pieceData.isEdge()
+        })));
+    }
+
+    /**
+     * Selects pieces' clusters, raising them above the rest, as clicking them (Shift-clicking all but the first) would.
+     * Moving or turning any selected piece moves or turns the whole selection.
+     * @param {number|number[]|null} pieceIds - The piece or pieces to select, or null to select nothing.
+     * @returns {boolean} False if any is placed (locked) or unknown; the selection is left as it was.
+     */
+    select(pieceIds) {
+        const ids = pieceIds === null ? [] : [].concat(pieceIds);
+        if (ids.some(pieceId => !this._piece(pieceId) || this._piece(pieceId).locked)) return false;
+        this._setSelection(ids, ids[ids.length - 1]);
+        return true;
+    }
+
+    /**
+     * Ids of every selected piece, in id order. Joined pieces are always selected together.
+     * @type {number[]}
+     */
+    get selection() {
+        return Array.from(this._selection).sort((a, b) => a - b);
+    }
+
+    /**
+     * Selects every loose cluster with an edge piece in it, to move them to the border together.
+     */
+    selectEdges() {
+        if (!this._puzzle) return;
+        const edges = this._puzzle.pieces.filter(pieceData => !pieceData.locked && pieceData.isEdge());
+        this._setSelection(edges.map(pieceData => pieceData.id), this._selectedPieceId);
+    }
+
+    /**
+     * Selects every loose cluster with a piece of much the same colour (on average) as the picture at a point on the
+     * board — all the sky, say. The colour is read from the piece lying there, placed or not.
+     * @param {number} x - Image pixels from the board's left.
+     * @param {number} y - Image pixels from the board's top.
+     * @returns {Promise<boolean>} Resolves to true if any piece matched, leaving the selection alone if there's no
+     *     piece at the point; rejects before the puzzle is built, and for pictures from other sites without CORS.
+     */
+    selectColour(x, y) {
+        const puzzle = this._puzzle;
+        if (!puzzle) return Promise.reject(new Error('The puzzle has no picture yet'));
+        const pieceData = this._pieceAt(x, y);
+        if (!pieceData) return Promise.resolve(false);
+        const point = pieceData.locate(x, y);
+        return this._loadPalette().then(palette => {
+            if (this._puzzle !== puzzle) return false; // Rebuilt meanwhile
+            const matches = palette.matching(puzzle.pieces.filter(member => !member.locked), palette.at(point.x, point.y));
+            this._setSelection(matches.map(match => match.id), pieceData.id);
+            return matches.length > 0;
+        });
+    }
+
+    /**
+     * Moves a piece's cluster so the piece's top-left corner is at (x, y), as if it had been dragged and dropped
+     * there: it joins its neighbours or snaps into place if close enough, and the move can be undone.
+     * If the piece is selected, the rest of the selection moves with it.
+     * @param {number} pieceId
+     * @param {number} x - Image pixels from the board's left.
+     * @param {number} y - Image pixels from the board's top.
+     * @returns {boolean} False for placed (locked) or unknown pieces, pieces someone is dragging, and while replaying.
+     */
+    movePiece(pieceId, x, y) {
+        if (!this._game || this._replay || !this._game.move(pieceId, x, y, this._together(pieceId))) return false;
+        this._updateProgress();
+        this._persist();
+        return true;
+    }
+
+    /**
+     * Turns a piece's cluster about its centre, as the rotation buttons do. If the piece is selected, the whole
+     * selection turns with it, as one, about its centre.
+     * @param {number} pieceId
+     * @param {number} turns - 90° turns counter-clockwise (negative for clockwise); in free rotation, any fraction.
+     * @returns {boolean} False for placed (locked) or unknown pieces, pieces someone is dragging, turns the
+     *     `rotation` attribute doesn't allow, and while replaying.
+     */
+    rotatePiece(pieceId, turns) {
+        // Counter-clockwise, around the centre of the piece's cluster (or the selection's).
+        if (!this._game || this._replay || !this._game.rotate(pieceId, turns, this._together(pieceId))) return false;
+        this._updateProgress();
+        this._persist();
+        return true;
+    }
+
+    /**
+     * Scatters every loose cluster again, per the `layout` attribute, as one undoable step.
+     */
+    shuffle() {
+        this._select(null);
+        this._arrange('shuffle');
+    }
+
+    /**
+     * Puts every loose piece in its place, as one undoable step. Stats don't count it.
+     * @param {Object} [options]
+     * @param {boolean} [options.animate=false] - Places the clusters one after another, in id order, rather than all at once.
+     * @returns {Promise} Resolves once every piece is placed (or the puzzle is rebuilt first).
+     */
+    solve({ animate = false } = {}) {
+        this._stopSolving();
+        this._select(null);
+        if (!this._puzzle || this._replay) return Promise.resolve();
+        if (!animate) {
+            this._arrange('solve');
+            this._updateProgress();
+            return Promise.resolve();
+        }
+        const before = this._game.snapshot();
+        const finish = () => {
+            this._game.record('solve', before);
+            this._updateProgress();
+            this._persist();
+            this._share();
+        };
+        const loose = this._puzzle.loose();
+        const step = SOLVE_TIME / Math.max(1, loose.length);
+        return new Promise(resolve => {
+            const next = i => {
+                if (i === loose.length) {
+                    this._solving = null;
+                    finish();
+                    resolve();
+                    return;
+                }
+                // Clusters picked up meanwhile are left to whoever holds them.
+                if (!this._game.held(loose[i])) this._puzzle.lock(loose[i].id);
+                this._updateProgress();
+                this._solving = { timer: setTimeout(() => next(i + 1), step), resolve };
+            };
+            next(0);
+        });
+    }
+
+    /**
+     * Starts the puzzle over: the same image and settings cut and scattered afresh, with no history or stats.
+     * Replaces any auto-saved game.
+     */
+    reset() {
+        if (this._imageInfo) this._init(this._imageInfo, this._puzzle.size, null);
+    }
+
+    /**
+     * An SVG file of every cut line in the puzzle, each shared edge drawn once, for printing or laser cutting.
+     * The outlines are the ones the pieces are drawn with.
+     * @param {Object} [options] - The finished puzzle's physical `width` or `height`, their `units` ('mm', 'in'...),
+     *     and the cut lines' `stroke` colour and `strokeWidth` (see cutTemplate()).
+     * @returns {string|null} The SVG document, or null before the puzzle is built.
+     */
+    exportCutTemplate(options) {
+        if (!this._puzzle) return null;
+        return cutTemplate(this._puzzle.pieces, this._imageInfo.width, this._imageInfo.height, options);
+    }
+
+    /**
+     * The finished picture at full size, with every cut line drawn over it.
+     * @param {Object} [options]
+     * @param {string} [options.stroke='rgba(0, 0, 0, 0.6)'] - Colour of the cut lines.
+     * @param {number} [options.lineWidth=2] - Their width, in image pixels.
+     * @returns {Promise<Blob>} A PNG; rejects before the puzzle is built, and for pictures from other sites without CORS.
+     */
+    exportPicture({ stroke = 'rgba(0, 0, 0, 0.6)', lineWidth = 2 } = {}) {
+        if (!this._puzzle) return Promise.reject(new Error('The puzzle has no picture yet'));
+        const { width, height } = this._imageInfo;
+        const path = cutPath(this._puzzle.pieces);
+        return loadImage(this._imageInfo.url).then(({ image }) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const context = canvas.getContext('2d');
+            context.drawImage(image, 0, 0, width, height);
+            context.strokeStyle = stroke;
+            context.lineWidth = lineWidth;
+            context.lineJoin = 'round';
+            context.stroke(new Path2D(path));
+            return toBlob(canvas);
+        });
+    }
+
+    /**
+     * A picture of the table as it's shown now: the board, and every piece where it lies, at the current zoom.
+     * Drawn afresh (whichever renderer is in use) at the screen's resolution.
+     * @returns {Promise<Blob>} A PNG; rejects before the puzzle is built, and for pictures from other sites without CORS.
+     */
+    exportBoard() {
+        if (!this._puzzle) return Promise.reject(new Error('The puzzle has no picture yet'));
+        const renderer = new CanvasRenderer(document.createElement('canvas'));
+        renderer.reset(this._imageInfo, this._puzzle.pieces);
+        renderer.ghost(this._ghost);
+        this._renderer.order().forEach(id => renderer.raise(this._createPieceEl(renderer, this._puzzle.pieces[id])));
+        renderer.transform(this._viewport);
+        return renderer.toBlob(getComputedStyle(this).backgroundColor);
+    }
+
+    // Abandons an animated solve() part-way, settling its promise.
+    _stopSolving() {
+        if (!this._solving) return;
+        clearTimeout(this._solving.timer);
+        this._solving.resolve();
+        this._solving = null;
+    }
+
+    /**
+     * Reverts the most recent move, rotation or shuffle (including any snaps and merges it caused).
+     * @returns {boolean} True if anything was undone.
+     */
+    undo() {
+        if (!this._game || this._replay) return false;
+        const part = this._game.undo();
+        if (part) this._applyHistory(part);
+        return !!part;
+    }
+
+    /**
+     * Reapplies the most recently undone change.
+     * @returns {boolean} True if anything was redone.
+     */
+    redo() {
+        if (!this._game || this._replay) return false;
+        const part = this._game.redo();
+        if (part) this._applyHistory(part);
+        return !!part;
+    }
+
+    get canUndo() { return !!this._game && this._game.canUndo; }
+    get canRedo() { return !!this._game && this._game.canRedo; }
+
+    /**
+     * Lays every loose cluster with an edge piece in it out in rows around the board, to start on the border.
+     */
+    gatherEdges() {
+        this._arrange('gather-edges');
+    }
+
+    /**
+     * Nudges overlapping loose clusters apart until every one can be seen.
+     */
+    spread() {
+        this._arrange('spread');
+    }
+
+    /**
+     * Lays every loose cluster out in rows around the board, clear of each other.
+     */
+    collect() {
+        this._arrange('collect');
+    }
+
+    /**
+     * Briefly highlights where a piece (and the rest of its cluster) belongs, the right way up, as a hint.
+     * @param {number} [pieceId] - The piece to place; defaults to the selected one.
+     * @returns {boolean} True if a hint was shown: there's none for placed pieces, nor with the `no-hints` attribute.
+     */
+    hint(pieceId = this._selectedPieceId) {
+        const pieceData = this._piece(pieceId);
+        if (this.hasAttribute('no-hints') || !pieceData || pieceData.locked) return false;
+        const members = this._puzzle.members(pieceId);
+        this._renderer.highlight(members.map(member => this._jigsawPieces.get(member.id)), HINT_DURATION);
+        const turn = Math.round((360 - pieceData.rotation) % 360) % 360; // Degrees clockwise back to upright
+        const direction = turn === 0 ? '' : turn <= 180 ? `, turned ${turn}° clockwise` : `, turned ${360 - turn}° counter-clockwise`;
+        this._announce(`Piece ${pieceId + 1} goes in the highlighted place${direction}`);
+        this._useHint('piece', pieceId);
+        return true;
+    }
+
+    /** How many hints have been taken on this puzzle: highlighted places, and each showing of the reference or ghost image. */
+    get hints() { return this.stats.hints; }
+
+    /**
+     * The session so far: `elapsed` milliseconds of active play, and counts of `moves` (drags), `rotations`,
+     * `snaps`, `merges` and `hints`. `running` is true while the timer runs.
+     * @returns {Object} A copy; listen for 'stats-change' to hear of changes.
+     */
+    get stats() {
+        const stats = this._game ? this._game.stats : new Stats();
+        return { ...stats.serialize(), running: stats.running };
+    }
+
+    /**
+     * Stops the timer until resume(), or until a piece is picked up.
+     */
+    pause() {
+        this._paused = true;
+        this._updateClock();
+    }
+
+    /**
+     * Restarts the timer after pause().
+     */
+    resume() {
+        this._paused = false;
+        this._updateClock();
+    }
+
+    get paused() { return this._paused; }
+
+    /**
+     * Starts recording a timelapse of the board from as it is now: every piece picked up, moved, turned and let go,
+     * every merge and snap, and every rearrangement, undo and solve, each with its time. Replaces any recording
+     * in progress. Rebuilding the puzzle ends it, unless it's rebuilt from its own state (as a shared board is).
+     * @returns {boolean} False before the puzzle is built, and while replaying.
+     */
+    startRecording() {
+        if (!this._puzzle || this._replay) return false;
+        if (this._recorder) this._recorder.stop();
+        this._recorder = new Recorder(this._puzzle);
+        return true;
+    }
+
+    /**
+     * Stops recording.
+     * @returns {Object|null} The timelapse, JSON-compatible, for replay() on any puzzle of the same image; null if
+     *     nothing was recorded since startRecording().
+     */
+    stopRecording() {
+        if (!this._recorder) return null;
+        this._recorder.stop();
+        const recording = this._recorder.serialize();
+        this._recorder = null;
+        return recording;
+    }
+
+    /** True while a timelapse is being recorded. */
+    get recording() { return !!this._recorder && this._recorder.recording; }
+
+    /**
+     * Plays a timelapse back on a fresh board built from where it started, driving the pieces just as live play
+     * does, with a bar to play, pause, skip and change speed. It ends the same as the recorded board did. Until
+     * stopReplay(), the player can't move anything, nothing is saved or shared, and the timer stops.
+     * @param {Object} recording - From stopRecording(), on a puzzle of the same image.
+     * @param {Object} [options]
+     * @param {boolean} [options.play=true] - Starts playing straight away.
+     * @returns {Player} The playback, to play(), pause(), seek() and set the speed of.
+     * @throws {Error} If the recording is malformed, from another version, or of a different image;
+     *     the current puzzle is left untouched.
+     */
+    replay(recording, { play = true } = {}) {
+        validateTimelapse(recording, this._imageInfo);
+        const game = this._replay ? this._replay.game : { state: this.getState(), history: this._game.history };
+        this.disconnect();
+        this._init(this._imageInfo, recording.state.size, recording.state, { game });
+        this._replay.player = new Player(recording, this._puzzle, {
+            step: step => this._showStep(step),
+            rewind: () => this._rewind(),
+            change: () => this._replayChanged()
+        });
+        this._replayChanged();
+        if (play) this._replay.player.play();
+        return this._replay.player;
+    }
+
+    /**
+     * Ends a replay, putting back the game it took over from, history and all, and reconnecting the `sync` attribute.
+     */
+    stopReplay() {
+        if (!this._replay) return;
+        const { state, history } = this._replay.game;
+        this._init(this._imageInfo, state.size, state);
+        this._game.history = history;
+        this.dispatchEvent(createHistoryChangeEvent(history.canUndo, history.canRedo));
+    }
+
+    // The piece with an id, if the puzzle is built and has one.
+    _piece(pieceId) {
+        return this._puzzle ? this._puzzle.pieces[pieceId] : undefined;
+    }
+
+    // The topmost piece (placed or not) lying over a point on the board, if any.
+    _pieceAt(x, y) {
+        return this._piece(this._renderer.order().reverse().find(pieceId => this._puzzle.pieces[pieceId].locate(x, y)));
+    }
+
+    // The picture's colours, read (once per picture) from a copy at most PALETTE_SIZE pixels across.
+    _loadPalette() {
+        if (this._palette) return this._palette;
+        const { url, width, height } = this._imageInfo;
+        const palette = loadImage(url).then(({ image }) => {
+            const scale = Math.min(1, PALETTE_SIZE / Math.max(width, height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(width * scale));
+            canvas.height = Math.max(1, Math.round(height * scale));
+            const context = canvas.getContext('2d');
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            return new Palette(context.getImageData(0, 0, canvas.width, canvas.height), scale);
+        });
+        palette.catch(() => { if (this._palette === palette) this._palette = null; }); // Try again next time
+        this._palette = palette;
+        return palette;
+    }
+
+    // Shows a replayed piece being picked up or let go as live play does: raised and highlighted while it's held.
+    _showStep([type, pieceId, ...together]) {
+        if (type !== 'select' && type !== 'place') return;
+        [pieceId, ...together].flatMap(id => this._puzzle.members(id)).forEach(member => {
+            const pieceEl = this._jigsawPieces.get(member.id);
+            if (type === 'select') this._renderer.raise(pieceEl);
+            pieceEl.toggleAttribute('selected', type === 'select' && !member.locked);
+        });
+    }
+
+    // Shows a replay back at its start: stacked as it was, with nothing held.
+    _rewind() {
+        this._jigsawPieces.forEach(pieceEl => pieceEl.removeAttribute('selected'));
+        this._restack();
+    }
+
+    // Reports how the replay is playing, and shows it in the replay bar.
+    _replayChanged() {
+        const { player } = this._replay;
+        const replay = { time: player.time, duration: player.duration, playing: player.playing, speed: player.speed };
+        if (this._replayBar) this._replayBar.show(replay);
+        this.dispatchEvent(createReplayChangeEvent(replay));
+    }
+
+    // Rearranges the loose clusters (see Game#arrange) as one undoable step; jigsaw-piece transitions animate it.
+    _arrange(type) {
+        if (!this._puzzle || this._replay) return;
+        this._game.arrange(type);
+        // Grow the viewport's bounds to take in every piece, so fitting the view shows them all.
+        this._viewport.extend(this._puzzle.minimum, this._puzzle.maximum);
+        this._persist();
+        this._share();
+    }
+
+    // Shows the reference panel and ghost image as the `reference`, `ghost` and `no-hints` attributes ask,
+    // counting each newly shown one as a hint unless told not to.
+    _updateAids(count = true) {
+        const allowed = !this.hasAttribute('no-hints');
+        const reference = allowed && this.hasAttribute('reference');
+        const ghost = allowed && this.hasAttribute('ghost');
+        if (count && reference && !this._reference.hasAttribute('open')) this._useHint('reference', null);
+        if (count && ghost && !this._ghost) this._useHint('ghost', null);
+        this._reference.toggleAttribute('open', reference);
+        this._ghost = ghost;
+        this._renderer.ghost(ghost);
+    }
+
+    // Counts a hint taken, reporting and saving the new total.
+    _useHint(kind, pieceId) {
+        if (!this._game) return;
+        this._game.count('hints');
+        this.dispatchEvent(createHintUsedEvent(kind, pieceId, this._game.stats.hints));
+        this._persist();
+    }
+
+    // Reports the stats, and shows them in the HUD.
+    _statsChanged() {
+        const stats = this.stats;
+        if (this._hud) this._hud.show(stats);
+        this.dispatchEvent(createStatsChangeEvent(stats));
+    }
+
+    // Runs the timer only while the puzzle is being played: connected, unsolved, unpaused, on screen and not replaying.
+    _updateClock() {
+        const running = this.isConnected && this._puzzle !== null && !this._complete && !this._paused && !this._replay &&
+            document.visibilityState !== 'hidden';
+        if (!this._game || running === this._game.stats.running) return;
+        if (running) this._game.stats.start();
+        else this._game.stats.stop();
+        this._statsChanged();
+        if (!running) this._persist(); // Keeps the time played, e.g. when the page is closed
+    }
+
+    // Shows a change to the game: its undo history, stats, or pieces settling together (see Game).
+    _gameChanged({ type, pieceId, pieces, together, local }) {
+        const handlers = {
+            history: () => this.dispatchEvent(createHistoryChangeEvent(this._game.canUndo, this._game.canRedo)),
+            stats: () => this._statsChanged(),
+            select: () => {
+                if (this._recorder) this._recorder.record('select', pieceId, together);
+                // The player's own picks raise what they pick as it's selected.
+                if (!local) this._puzzle.members(pieceId).forEach(member => this._renderer.raise(this._jigsawPieces.get(member.id)));
+            },
+            place: () => { if (this._recorder) this._recorder.record('place', pieceId, together); },
+            merge: () => this._merged(pieceId, pieces),
+            snap: () => this._snapped(pieceId, pieces)
+        };
+        handlers[type]();
+    }
+
+    // Shows pieces the game put back as a history entry recorded them (see Game#undo), restacked as they were.
+    _applyHistory({ order }) {
+        this._select(null);
+        order.forEach(id => this._renderer.raise(this._jigsawPieces.get(id)));
+        this._updateProgress();
+        this._persist();
+        this._share();
+    }
+
+    /**
+     * Shares this board with other puzzles (of the same image, size, seed, cut and rotation) through a transport,
+     * so several people can solve it together. Newcomers take the board of whoever is already there.
+     * Replaces any earlier connection, including one made by the `sync` attribute.
+     * @param {Transport} transport - E.g. a BroadcastChannelTransport or WebSocketTransport.
+     * @returns {Sync} The connection.
+     */
+    connect(transport) {
+        this.disconnect();
+        this._sync = new Sync(transport, {
+            group: pieceId => this._piece(pieceId) ? this._piece(pieceId).group : null,
+            apply: message => this._applyRemote(message),
+            cancel: pointerId => { if (this._game) this._game.cancel(pointerId); },
+            state: () => this.getState(),
+            load: state => {
+                try {
+                    this._load(state);
+                } catch (error) {
+                    console.warn(`Ignoring shared puzzle: ${error.message}`);
+                }
+            }
+        });
+        if (this._game) this._game.sync = this._sync;
+        return this._sync;
+    }
+
+    // Takes on a board another puzzle shared. This same puzzle (the same cut, every edge alike) just has its pieces
+    // put where the other has them, but for clusters being dragged here; the undo history, stats, selection and
+    // view stay as they are. Any other puzzle (a newcomer's, on a board without a seed) replaces this one.
+    _load(state) {
+        validateState(state, this._imageInfo, { seed: this.getAttribute('seed'), cut: this._cutAttribute(), rotation: this._rotation() });
+        if (!this._game || !this._game.load(state)) {
+            this._init(this._imageInfo, state.size, { ...state, stats: this._game ? this._game.stats.serialize() : undefined }); // Stats stay personal
+            return;
+        }
+        this._viewport.extend(this._puzzle.minimum, this._puzzle.maximum);
+        this._setSelection(this._selection, this._selectedPieceId); // Placed pieces drop out, joined ones come in
+        this._updateProgress();
+        this._persist();
+    }
+
+    /**
+     * Stops sharing the board; it stays as it is.
+     */
+    disconnect() {
+        if (!this._sync) return;
+        this._sync.close();
+        this._sync = null;
+        if (this._game) this._game.sync = null;
+    }
+
+    // Connects to the shared board the `sync` attribute names: a ws:// or wss:// relay URL, or else a BroadcastChannel name.
+    _connectSync() {
+        const target = this.getAttribute('sync');
+        if (!target) return;
+        this.connect(/^wss?:/.test(target) ? new WebSocketTransport(target) : new BroadcastChannelTransport(target));
+    }
+
+    // Sends the whole board to the other puzzles, after changes which aren't piece operations.
+    _share() {
+        const state = this.getState();
+        if (this._sync && state) this._sync.share(state);
+    }
+
+    // Plays another puzzle's piece operation (see Sync) without recording it for undo.
+    _applyRemote(message) {
+        if (!this._game || !this._game.apply(message)) return;
+        this._updateProgress();
+        this._persist();
+    }
+
+    // Swaps in the renderer the `renderer` attribute asks for, emptying the old one.
+    _createRenderer() {
+        if (this._renderer) this._renderer.clear();
+        const oldCanvas = this.shadowRoot.querySelector('canvas');
+        if (oldCanvas) oldCanvas.remove();
+        if (this.getAttribute('renderer') === 'canvas') {
+            const canvas = document.createElement('canvas');
+            this._container.after(canvas);
+            this._renderer = new CanvasRenderer(canvas);
+        } else {
+            this._renderer = new SvgRenderer(this._container);
+        }
+        this._renderer.ghost(this._ghost);
     }
 
     _updateScale() {
-        if (!this._container || !this._imageInfo) return;
+        if (!this._renderer) return;
 
         const hostRect = this.getBoundingClientRect();
-        const hostW = hostRect.width;
-        const hostH = hostRect.height;
-        const containerW = parseFloat(this._container.style.width);
-        const containerH = parseFloat(this._container.style.height);
-
-        if (hostW <= 0 || hostH <= 0 || containerW <= 0 || containerH <= 0) return;
+        if (hostRect.width <= 0 || hostRect.height <= 0) return;
 
-        const scale = Math.min(hostW / containerW, hostH / containerH);
-        const translateX = (hostW - containerW * scale) / 2;
-        const translateY = (hostH - containerH * scale) / 2;
+        this._viewport.resize(hostRect.width, hostRect.height);
+        this._renderer.transform(this._viewport);
+        this._updateHandle();
+    }
 
-        this._container.style.transform = `translate(${translateX}px, ${translateY}px) scale(${scale})`;
+    // Converts a pointer's client coordinates into world units.
+    _toWorld(clientX, clientY) {
+        const hostRect = this.getBoundingClientRect();
+        return this._viewport.transform(clientX - hostRect.left, clientY - hostRect.top);
     }
 
     // --- Event Listeners ---
@@ -141,103 +1015,431 @@ export class JigsawPuzzle extends HTMLElement {
         this.addEventListener('move', this._handleMove.bind(this));
         this.addEventListener('place', this._handlePlace.bind(this));
         this.addEventListener('rotate', this._handleRotate.bind(this)); // Listen for rotate event
-        this._container.addEventListener('click', this._handleBackgroundClick.bind(this));
+        this.addEventListener('pan', this._handlePan.bind(this));
+        this.addEventListener('zoom', this._handleZoom.bind(this));
+        this.addEventListener('fit', this._handleFit.bind(this));
+        this.addEventListener('shuffle', this._handleShuffle.bind(this));
+        this.addEventListener('gather-edges', this._handleGatherEdges.bind(this));
+        this.addEventListener('spread', this._handleSpread.bind(this));
+        this.addEventListener('collect', this._handleCollect.bind(this));
+        this.addEventListener('select-edges', this._handleSelectEdges.bind(this));
+        this.addEventListener('select-colour', this._handleSelectColour.bind(this));
+        this.addEventListener('hint', this._handleHint.bind(this));
+        this.addEventListener('reference', this._handleReference.bind(this));
+        this.addEventListener('ghost', this._handleGhost.bind(this));
+        this.addEventListener('playback', this._handlePlayback.bind(this));
+        this.addEventListener('stop-replay', this._handleStopReplay.bind(this));
+        this.addEventListener('keydown', this._handleKeyDown.bind(this));
+        this.addEventListener('dragover', this._handleDragOver.bind(this));
+        this.addEventListener('dragleave', this._handleDragLeave.bind(this));
+        this.addEventListener('drop', this._handleDrop.bind(this));
+        this.addEventListener('pointermove', event => { this._hover = { clientX: event.clientX, clientY: event.clientY }; });
+        // Before PanZoom, so Shift/Ctrl-drags on empty space select rather than pan.
+        this._rubberBand = new RubberBand(this, this.shadowRoot.getElementById('band'), this._selectArea.bind(this));
+        this._panZoom = new PanZoom(this, this._handleBackgroundClick.bind(this));
+        this._panZoom.threshold = this._dragThreshold();
     }
 
     // --- Event Handlers ---
     _handleSelect(event) {
+        if (event.detail.pieceId === null) return; // The puzzle's own report of a selection (see _reportSelection)
         event.stopPropagation();
-        const { pieceId, clientX, clientY } = event.detail;
+        this._pickUp(event.detail);
+        event.detail.selection = this.selection; // For the page's listeners, which run after this one
+    }
+
+    // Picks a piece up to drag it (with the rest of the selection, if it's selected), or toggles its cluster's selection.
+    _pickUp({ pieceId, clientX, clientY, pointerId, toggle }) {
         const pieceEl = this._jigsawPieces.get(pieceId);
-        if (!pieceEl) return;
+        const pieceData = this._piece(pieceId);
+        if (!pieceEl || !pieceData || pieceData.locked || this._replay) return;
+        if (toggle) {
+            this._toggle(pieceId);
+            return;
+        }
+        // In free rotation, a second finger on a cluster being dragged here twists it.
+        const drag = this._game.pickUp(pointerId, pieceId, this._toWorld(clientX, clientY), this._together(pieceId));
+        if (!drag || drag.twist !== undefined) return;
+        if (this._paused) this.resume();
+        if (this._selection.has(pieceId)) this._setSelection(this._selection, pieceId);
+        else this._select(pieceId);
+        pieceEl.focus({ preventScroll: true }); // Raising re-inserts the piece, so restore its focus
+    }
+
+    _handleMove(event) {
+        event.stopPropagation();
+        const { pieceId, clientX, clientY, pointerId } = event.detail;
+        // The whole cluster (and the rest of the selection, if it's in it) follows the dragged piece.
+        if (this._game) this._game.drag(pointerId, pieceId, this._toWorld(clientX, clientY));
+    }
+
+    _handlePlace(event) {
+        event.stopPropagation();
+        const { pieceId, pointerId } = event.detail;
+        // The piece stays selected after the drag, so the controls can rotate it.
+        if (!this._game || !this._game.place(pointerId, pieceId)) return;
+        this._updateProgress();
+        this._persist();
+    }
+
+    _handleRotate(event) {
+        event.stopPropagation();
+        const { pieceId, turns, pointerId } = event.detail;
+        if (!this._puzzle || !this._puzzle.allows(turns)) return;
+        if (this._game.turn(pointerId, pieceId, turns)) return; // Settles once the pointer places it
+        this.rotatePiece(pieceId, turns);
+    }
+
+    // Shows a settled piece's cluster joined to its neighbours, selecting the newly joined pieces along with it if it's selected.
+    _merged(pieceId, joined) {
+        if (joined.some(id => this._selection.has(id))) this._setSelection([...this._selection, pieceId], this._selectedPieceId);
+        this.dispatchEvent(createMergeEvent(pieceId, joined));
+        this._announce(`Piece ${pieceId + 1} joined, ${joined.length} pieces connected`);
+    }
+
+    // Shows pieces snapped into place, dropping them from the selection: locked pieces can't be moved.
+    _snapped(pieceId, snapped) {
+        if (snapped.some(id => this._selection.has(id))) this._setSelection(this._selection, this._selectedPieceId);
+        this.dispatchEvent(createSnapEvent(pieceId, snapped));
+        this._announce(snapped.length === 1 ? `Piece ${pieceId + 1} placed` : `${snapped.length} pieces placed`);
+    }
+
+    // The tessellation the `cut` attribute asks for, or the grid if it names none we know.
+    _cutAttribute() {
+        const cut = this.getAttribute('cut');
+        return CUTS.includes(cut) ? cut : 'grid';
+    }
+
+    // How pieces may turn, per the `rotation` attribute: 'none', 'quarter' (the default) or 'free'.
+    _rotation() {
+        const rotation = this.getAttribute('rotation');
+        return ROTATIONS.includes(rotation) ? rotation : 'quarter';
+    }
+
+    // How loose pieces are scattered, per the `layout` attribute: 'pile' (the default), 'tray' or 'spiral'.
+    _layout() {
+        const layout = this.getAttribute('layout');
+        return LAYOUTS.includes(layout) ? layout : 'pile';
+    }
+
+    // Degrees either way a piece may be turned from upright and still snap, in free rotation.
+    _angleTolerance() {
+        const angle = parseFloat(this.getAttribute('angle-tolerance'));
+        return isNaN(angle) || angle < 0 ? DEFAULT_ANGLE_TOLERANCE : angle;
+    }
+
+    // Distance in pixels a press may move before it counts as a drag rather than a tap.
+    _dragThreshold() {
+        const threshold = parseFloat(this.getAttribute('drag-threshold'));
+        return isNaN(threshold) || threshold < 0 ? DEFAULT_DRAG_THRESHOLD : threshold;
+    }
+
+    _updateDragThreshold() {
+        const threshold = this._dragThreshold();
+        this._jigsawPieces.forEach(pieceEl => pieceEl.setAttribute('drag-threshold', threshold));
+        if (this._panZoom) this._panZoom.threshold = threshold;
+    }
+
+    // Snap and join distance, as a fraction of the piece size.
+    _tolerance() {
+        const fraction = parseFloat(this.getAttribute('tolerance'));
+        return isNaN(fraction) ? DEFAULT_TOLERANCE : fraction;
+    }
+
+    // Recounts correctly placed pieces, reporting progress and (once) completion.
+    _updateProgress() {
+        const total = this._puzzle.pieces.length;
+        const placed = this._puzzle.placed;
+        this.dispatchEvent(createProgressEvent(placed, total));
+
+        if (this._complete || placed < total) return;
+        this._complete = true;
+        this._updateClock();
+        this.dispatchEvent(createCompleteEvent(total));
+        this._announce(`Puzzle complete, all ${total} pieces placed`);
+        if (this._celebration && !this.hasAttribute('no-celebration')) this._celebration.show(total);
+    }
+
+    // Reads a message out through the live region.
+    _announce(message) {
+        if (this._announcer) this._announcer.textContent = message;
+    }
+
+    // Moves keyboard focus to the next (step 1) or previous (step -1) loose piece, in id order.
+    _cycleFocus(step) {
+        const loose = this._puzzle ? this._puzzle.pieces.filter(pieceData => !pieceData.locked) : [];
+        if (loose.length === 0) return;
+        const active = this.shadowRoot.activeElement;
+        const current = active && active.localName === 'jigsaw-piece' ? parseInt(active.getAttribute('piece-id'), 10) : null;
+        const index = loose.findIndex(pieceData => pieceData.id === current);
+        const next = index === -1 ? (step > 0 ? 0 : loose.length - 1) : (index + step + loose.length) % loose.length;
+        this._jigsawPieces.get(loose[next].id).focus();
+    }
 
-        if (this._selectedPieceId !== null && this._selectedPieceId !== pieceId) {
-            const prevEl = this._jigsawPieces.get(this._selectedPieceId);
-            if (prevEl) prevEl.removeAttribute('selected');
+    // Selects just a piece's cluster (or nothing, given null).
+    _select(pieceId) {
+        this._setSelection(pieceId === null ? [] : [pieceId], pieceId);
+    }
+
+    // Selects the clusters of some pieces (placed ones aside) and nothing else, updating highlights and the controls.
+    // The primary piece, which the controls, hint and rotation handle act on, is the last of them unless told otherwise.
+    _setSelection(pieceIds, primary) {
+        const ids = Array.from(pieceIds);
+        const selection = new Set();
+        ids.forEach(pieceId => {
+            const pieceData = this._piece(pieceId);
+            if (pieceData && !pieceData.locked) this._puzzle.members(pieceId).forEach(member => selection.add(member.id));
+        });
+        this._selection.forEach(pieceId => {
+            const pieceEl = this._jigsawPieces.get(pieceId);
+            if (pieceEl && !selection.has(pieceId)) pieceEl.removeAttribute('selected');
+        });
+        selection.forEach(pieceId => {
+            const pieceEl = this._jigsawPieces.get(pieceId);
+            if (!pieceEl) return;
+            // Raise a newly selected cluster above every other piece.
+            if (!pieceEl.hasAttribute('selected')) this._renderer.raise(pieceEl);
+            pieceEl.setAttribute('selected', '');
+        });
+        this._selection = selection;
+        const last = ids.reverse().find(pieceId => selection.has(pieceId));
+        this._selectedPieceId = selection.has(primary) ? primary : last === undefined ? null : last;
+        if (this._controls) {
+            if (this._selectedPieceId === null) this._controls.removeAttribute('selected');
+            else this._controls.setAttribute('selected', this._selectedPieceId);
+        }
+        this._updateHandle();
+    }
+
+    // Adds a piece's cluster to the selection, or takes it out if it's in already.
+    _toggle(pieceId) {
+        if (!this._selection.has(pieceId)) {
+            this._setSelection([...this._selection, pieceId], pieceId);
+            return;
         }
+        const members = this._puzzle.members(pieceId).map(member => member.id);
+        this._setSelection(Array.from(this._selection).filter(id => !members.includes(id)), this._selectedPieceId);
+    }
+
+    // One piece of each other selected cluster, which moves and turns along with a selected piece's cluster
+    // (none if the piece isn't selected).
+    _together(pieceId) {
+        if (!this._selection.has(pieceId)) return [];
+        const clusters = new Map(); // Map<group, pieceId>
+        this._selection.forEach(id => clusters.set(this._piece(id).group, id));
+        clusters.delete(this._piece(pieceId).group);
+        return Array.from(clusters.values());
+    }
 
-        this._selectedPieceId = pieceId;
-        pieceEl.setAttribute('selected', '');
+    // Adds the loose clusters with a piece centred inside a rubber band (in pixels from the puzzle's top-left) to the selection.
+    _selectArea({ left, top, right, bottom }) {
+        if (!this._puzzle) return;
+        const from = this._viewport.transform(left, top);
+        const to = this._viewport.transform(right, bottom);
+        const inside = this._puzzle.pieces.filter(pieceData => {
+            const { x, y } = pieceData.center();
+            return !pieceData.locked && x >= from.x && x <= to.x && y >= from.y && y <= to.y;
+        });
+        this._setSelection([...this._selection, ...inside.map(pieceData => pieceData.id)], this._selectedPieceId);
+        this._reportSelection();
+    }
+
+    // Selects the pieces matching the colour at a point (in pixels from the puzzle's top-left), then reports the selection.
+    _selectColourAt(x, y) {
+        const point = this._viewport.transform(x, y);
+        this.selectColour(point.x, point.y).then(() => this._reportSelection(), error => {
+            console.warn(`Could not pick a colour: ${error.message}`);
+        });
+    }
+
+    // Fires a select event for a selection made without picking up a piece: a rubber band, or a command.
+    _reportSelection() {
+        this.dispatchEvent(createSelectEvent(null, null, null, null, false, this.selection));
+    }
 
+    // Client coordinates of the pivot of a piece's cluster (or of the selection it's in), for the rotation handle.
+    _handleCenter(pieceId) {
         const hostRect = this.getBoundingClientRect();
-        const containerRect = this._container.getBoundingClientRect();
-        const scale = containerRect.width / parseFloat(this._container.style.width);
+        const { x, y } = this._puzzle.pivot(pieceId, this._together(pieceId));
+        const screen = this._viewport.screen(x, y);
+        return { x: hostRect.left + screen.x, y: hostRect.top + screen.y };
+    }
 
-        const pointerScreenX = clientX - hostRect.left;
-        const pointerScreenY = clientY - hostRect.top;
+    // Puts the rotation handle just beyond the selection, on the side the primary piece's top edge faces.
+    _updateHandle() {
+        if (!this._handle) return;
+        const pieceData = this._piece(this._selectedPieceId);
+        if (this._rotation() !== 'free' || !pieceData || pieceData.locked) {
+            this._handle.removeAttribute('piece-id');
+            return;
+        }
+        const pivot = this._puzzle.pivot(pieceData.id, this._together(pieceData.id));
+        const reach = Math.max(...Array.from(this._selection, id => this._piece(id)).map(member => {
+            const center = member.center();
+            return Math.hypot(center.x - pivot.x, center.y - pivot.y) + Math.hypot(member.width, member.height) / 2;
+        }));
+        const radians = pieceData.rotation * Math.PI / 180;
+        const screen = this._viewport.screen(pivot.x + reach * Math.sin(radians), pivot.y - reach * Math.cos(radians));
+        const gap = HANDLE_GAP + 14; // Plus the handle's radius
+        this._handle.style.left = `${screen.x + gap * Math.sin(radians)}px`;
+        this._handle.style.top = `${screen.y - gap * Math.cos(radians)}px`;
+        this._handle.setAttribute('piece-id', pieceData.id);
+    }
 
-        const pointerWorldX = (pointerScreenX - containerRect.left) / scale;
-        const pointerWorldY = (pointerScreenY - containerRect.top) / scale;
+    // Shows a piece where the puzzle has it now.
+    _renderPiece(pieceData) {
+        const pieceEl = this._jigsawPieces.get(pieceData.id);
+        if (!pieceEl) return;
+        pieceEl.setAttribute('x', pieceData.currentX);
+        pieceEl.setAttribute('y', pieceData.currentY);
+        pieceEl.setAttribute('rotation', pieceData.rotation);
+        if (pieceData.locked && !pieceEl.hasAttribute('locked')) {
+            // Locked pieces sit just above the board, beneath every loose piece.
+            pieceEl.setAttribute('locked', '');
+            pieceEl.removeAttribute('selected');
+            this._renderer.lower(pieceEl);
+        } else if (!pieceData.locked) {
+            pieceEl.removeAttribute('locked');
+        }
+        if (this._selection.has(pieceData.id)) this._updateHandle();
+    }
 
-        this._dragOffsetX = pointerWorldX - parseFloat(pieceEl.getAttribute('x') || 0);
-        this._dragOffsetY = pointerWorldY - parseFloat(pieceEl.getAttribute('y') || 0);
+    _handlePan(event) {
+        event.stopPropagation();
+        const { dx, dy } = event.detail;
+        this._viewport.pan(dx, dy);
+        this._updateScale();
     }
 
-    _handleMove(event) {
+    _handleZoom(event) {
         event.stopPropagation();
-        const { pieceId, clientX, clientY } = event.detail;
-        if (this._selectedPieceId !== pieceId) return;
+        const { dz, x, y } = event.detail;
+        this._viewport.zoom(dz, x, y);
+        this._updateScale();
+    }
 
-        const pieceEl = this._jigsawPieces.get(pieceId);
-        if (!pieceEl || !this._container) return;
+    _handleFit(event) {
+        event.stopPropagation();
+        this._viewport.fit();
+        this._updateScale();
+    }
 
-        const hostRect = this.getBoundingClientRect();
-        const containerRect = this._container.getBoundingClientRect();
-        const scale = containerRect.width / parseFloat(this._container.style.width);
+    _handleShuffle(event) {
+        event.stopPropagation();
+        this.shuffle();
+    }
 
-        const pointerScreenX = clientX - hostRect.left;
-        const pointerScreenY = clientY - hostRect.top;
+    _handleGatherEdges(event) {
+        event.stopPropagation();
+        this.gatherEdges();
+    }
 
-        const pointerWorldX = (pointerScreenX - containerRect.left) / scale;
-        const pointerWorldY = (pointerScreenY - containerRect.top) / scale;
+    _handleSpread(event) {
+        event.stopPropagation();
+        this.spread();
+    }
 
-        const newPieceWorldX = pointerWorldX - this._dragOffsetX;
-        const newPieceWorldY = pointerWorldY - this._dragOffsetY;
+    _handleCollect(event) {
+        event.stopPropagation();
+        this.collect();
+    }
 
-        pieceEl.setAttribute('x', newPieceWorldX);
-        pieceEl.setAttribute('y', newPieceWorldY);
+    _handleSelectEdges(event) {
+        event.stopPropagation();
+        this.selectEdges();
+        this._reportSelection();
     }
 
-    _handlePlace(event) {
+    _handleSelectColour(event) {
         event.stopPropagation();
-        const { pieceId } = event.detail;
-        if (this._selectedPieceId !== pieceId) return;
+        this._selectColourAt(event.detail.x, event.detail.y);
+    }
 
-        const pieceEl = this._jigsawPieces.get(pieceId);
-        if (pieceEl) pieceEl.removeAttribute('selected');
+    _handleHint(event) {
+        event.stopPropagation();
+        this.hint(event.detail.pieceId);
+    }
 
-        this._selectedPieceId = null;
-        this._dragOffsetX = 0;
-        this._dragOffsetY = 0;
+    _handleReference(event) {
+        event.stopPropagation();
+        const { show } = event.detail;
+        this.toggleAttribute('reference', show === undefined ? !this.hasAttribute('reference') : show);
     }
 
-    _handleRotate(event) {
+    _handleGhost(event) {
         event.stopPropagation();
-        const { pieceId, turns } = event.detail;
-        const pieceEl = this._jigsawPieces.get(pieceId);
-        if (!pieceEl) return;
+        const { show } = event.detail;
+        this.toggleAttribute('ghost', show === undefined ? !this.hasAttribute('ghost') : show);
+    }
 
-        // Get current rotation, add turns, normalize
-        let currentRotation = parseFloat(pieceEl.getAttribute('rotation') || 0);
-        let newRotation = currentRotation + (turns * -90); // Counter-clockwise
+    _handlePlayback(event) {
+        event.stopPropagation();
+        if (!this._replay) return;
+        const { playing, time, speed } = event.detail;
+        const { player } = this._replay;
+        if (speed !== undefined) player.speed = speed;
+        if (time !== undefined) player.seek(time);
+        if (playing === true) player.play();
+        if (playing === false) player.pause();
+    }
 
-        // Keep rotation within 0-360 range
-        newRotation = (newRotation % 360 + 360) % 360;
+    _handleStopReplay(event) {
+        event.stopPropagation();
+        this.stopReplay();
+    }
 
-        // Update the rotation attribute on the piece element
-        pieceEl.setAttribute('rotation', newRotation);
+    _handleKeyDown(event) {
+        const plain = !(event.ctrlKey || event.metaKey || event.altKey || event.shiftKey);
+        if (plain && !(this._game && this._game.dragging) && event.key.startsWith('Arrow')) {
+            event.preventDefault();
+            this._cycleFocus(event.key === 'ArrowRight' || event.key === 'ArrowDown' ? 1 : -1);
+            return;
+        }
+        // E selects the loose edge pieces; C those matching the colour under the mouse.
+        const key = event.key.toLowerCase();
+        if (plain && key === 'e') {
+            event.preventDefault();
+            this.selectEdges();
+            this._reportSelection();
+            return;
+        }
+        if (plain && key === 'c' && this._hover) {
+            event.preventDefault();
+            const hostRect = this.getBoundingClientRect();
+            this._selectColourAt(this._hover.clientX - hostRect.left, this._hover.clientY - hostRect.top);
+            return;
+        }
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        const redo = (key === 'z' && event.shiftKey) || key === 'y';
+        if (key !== 'z' && key !== 'y') return;
+        event.preventDefault();
+        if (redo) this.redo(); else this.undo();
+    }
 
-        // Note: Snapping on rotation is not implemented yet.
+    // Offers to start a new puzzle from image files dragged over the puzzle, unless it has the `no-drop` attribute.
+    _handleDragOver(event) {
+        if (this.hasAttribute('no-drop') || !Array.from(event.dataTransfer.types).includes('Files')) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        if (!this._loading) this._showStatus('drop');
     }
 
-    _handleBackgroundClick(event) {
-        if (event.target === this._container && this._selectedPieceId !== null) {
-             const pieceEl = this._jigsawPieces.get(this._selectedPieceId);
-             if (pieceEl) pieceEl.removeAttribute('selected');
-             this._selectedPieceId = null;
-             this._dragOffsetX = 0;
-             this._dragOffsetY = 0;
-        }
+    _handleDragLeave(event) {
+        if (this._status.state !== 'drop' || (event.relatedTarget && this.contains(event.relatedTarget))) return;
+        this._showStatus(null);
+    }
+
+    _handleDrop(event) {
+        if (this.hasAttribute('no-drop') || !Array.from(event.dataTransfer.types).includes('Files')) return;
+        event.preventDefault();
+        if (this._status.state === 'drop') this._showStatus(null);
+        const file = Array.from(event.dataTransfer.files).find(f => f.type.startsWith('image/'));
+        if (file) this.image = file;
+    }
+
+    // Called by PanZoom when empty space is clicked or tapped without panning.
+    _handleBackgroundClick() {
+        this._select(null);
     }
 }
 
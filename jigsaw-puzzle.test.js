@@ -0,0 +1,408 @@
+import './test-dom.js';
+import { expect } from 'lovecraft';
+import './jigsaw-puzzle.js';
+import { createSelectEvent } from './select.js';
+
+// A puzzle of the placeholder picture, built as soon as it's on the page.
+const create = attributes => {
+    const puzzle = document.createElement('jigsaw-puzzle');
+    Object.entries({ size: 12, ...attributes }).forEach(([name, value]) => puzzle.setAttribute(name, value));
+    document.body.append(puzzle);
+    return puzzle;
+};
+const board = puzzle => {
+    const { stats, ...state } = puzzle.getState();
+    return state;
+};
+
+describe('jigsaw-puzzle', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    describe('seed', () => {
+        it('cuts and scatters the same puzzle every time', async () => {
+            for (const cut of ['grid', 'hex', 'random']) {
+                const first = create({ seed: 'friday', cut });
+                const second = create({ seed: 'friday', cut });
+                await Promise.all([first.ready, second.ready]);
+                expect(board(second)).to.deep.equal(board(first));
+                expect(second.pieces).to.deep.equal(first.pieces);
+            }
+        });
+
+        it('cuts and scatters another puzzle with another seed', async () => {
+            const first = create({ seed: 'friday' });
+            const second = create({ seed: 'saturday' });
+            await Promise.all([first.ready, second.ready]);
+            expect(second.pieces).not.to.deep.equal(first.pieces);
+        });
+
+        it('cuts and scatters the same puzzle again on reset', async () => {
+            const puzzle = create({ seed: 'friday', cut: 'random' });
+            await puzzle.ready;
+            const before = board(puzzle);
+            puzzle.movePiece(0, 10, 10);
+            puzzle.reset();
+            expect(board(puzzle)).to.deep.equal(before);
+        });
+    });
+
+    describe('image', () => {
+        it('cuts up a file, reporting it loaded', async () => {
+            const puzzle = create({ seed: 'friday' });
+            const loaded = new Promise(resolve => puzzle.addEventListener('load', event => resolve(event.detail), { once: true }));
+            const file = new File(['cat'], 'cat.png', { type: 'image/png' });
+            puzzle.image = file;
+            await puzzle.ready;
+            expect(await loaded).to.include({ width: 1344, height: 960 });
+            expect(puzzle.image).to.equal(file);
+            expect(puzzle.pieces).to.have.length(15);
+        });
+
+        it("reports an image that won't load", async () => {
+            const puzzle = create({ src: 'http://example.com/missing.jpg' });
+            const failed = new Promise(resolve => puzzle.addEventListener('error', event => resolve(event.detail), { once: true }));
+            const error = await puzzle.ready.catch(e => e);
+            expect(error.message).to.equal('Failed to load image: http://example.com/missing.jpg');
+            expect((await failed).image).to.equal('http://example.com/missing.jpg');
+        });
+    });
+
+    describe('state', () => {
+        it('rebuilds exactly the board getState() saved', async () => {
+            const puzzle = create({ seed: 'friday', cut: 'hex' });
+            await puzzle.ready;
+            puzzle.movePiece(2, 30, 40);
+            puzzle.rotatePiece(5, 1);
+            const saved = JSON.parse(JSON.stringify(puzzle.getState()));
+            const pieces = puzzle.pieces;
+            puzzle.shuffle();
+            puzzle.setState(saved);
+            expect(puzzle.pieces).to.deep.equal(pieces);
+            const { stats, ...state } = saved;
+            expect(board(puzzle)).to.deep.equal(state);
+        });
+
+        it('picks the board up on another puzzle of the same settings', async () => {
+            const first = create({ seed: 'friday' });
+            const second = create({ seed: 'friday' });
+            await Promise.all([first.ready, second.ready]);
+            first.movePiece(0, 30, 40);
+            second.setState(first.getState());
+            expect(second.pieces).to.deep.equal(first.pieces);
+        });
+
+        it('rejects a board saved with other settings, leaving its own alone', async () => {
+            const puzzle = create({ seed: 'friday' });
+            await puzzle.ready;
+            const pieces = puzzle.pieces;
+            [{ seed: 'saturday' }, { seed: 'friday', rotation: 'free' }, { seed: 'friday', cut: 'hex' }].forEach(attributes => {
+                const other = create(attributes);
+                expect(() => puzzle.setState(other.getState())).to.throw(/Invalid puzzle state/);
+            });
+            expect(() => puzzle.setState({ ...puzzle.getState(), src: 'elsewhere.png' })).to.throw(/different image/);
+            expect(puzzle.pieces).to.deep.equal(pieces);
+        });
+    });
+
+    describe('movePiece', () => {
+        let puzzle;
+
+        beforeEach(async () => {
+            puzzle = create({ seed: 'friday', rotation: 'none' });
+            await puzzle.ready;
+        });
+
+        it('snaps a piece dropped near its place', () => {
+            const { correctX, correctY } = puzzle.pieces[0];
+            expect(puzzle.movePiece(0, correctX + 3, correctY - 3)).to.be.true;
+            expect(puzzle.pieces[0]).to.include({ x: correctX, y: correctY, locked: true, placed: true });
+            expect(puzzle.movePiece(0, 10, 10)).to.be.false;
+        });
+
+        it('joins a piece dropped beside its neighbour', () => {
+            const [left, right] = puzzle.pieces;
+            puzzle.movePiece(1, left.x + right.correctX - left.correctX + 2, left.y + right.correctY - left.correctY);
+            const [joined, moved] = puzzle.pieces;
+            expect(moved.group).to.equal(joined.group);
+            expect(moved.locked).to.be.false;
+        });
+
+        it('leaves a piece far from anything where it was dropped', () => {
+            expect(puzzle.movePiece(0, -500, -400)).to.be.true;
+            expect(puzzle.pieces[0]).to.include({ x: -500, y: -400, locked: false });
+        });
+
+        it('rejects unknown pieces', () => {
+            expect(puzzle.movePiece(99, 0, 0)).to.be.false;
+        });
+    });
+
+    describe('rotatePiece', () => {
+        let puzzle;
+
+        beforeEach(async () => {
+            puzzle = create({ seed: 'friday' });
+            await puzzle.ready;
+        });
+
+        it('snaps a piece turned the right way up in its place', () => {
+            const { id, correctX, correctY, rotation } = puzzle.pieces.find(piece => piece.rotation !== 0);
+            puzzle.movePiece(id, correctX, correctY);
+            expect(puzzle.pieces[id].locked).to.be.false;
+            expect(puzzle.rotatePiece(id, rotation / 90)).to.be.true;
+            expect(puzzle.pieces[id]).to.include({ x: correctX, y: correctY, rotation: 0, locked: true });
+        });
+
+        it('turns counter-clockwise a quarter at a time', () => {
+            const { id } = puzzle.pieces.find(piece => piece.rotation === 0);
+            puzzle.rotatePiece(id, 1);
+            expect(puzzle.pieces[id].rotation).to.equal(270);
+            puzzle.rotatePiece(id, -2);
+            expect(puzzle.pieces[id].rotation).to.equal(90);
+        });
+
+        it('only turns as far as the rotation allows', () => {
+            expect(puzzle.rotatePiece(0, 0.5)).to.be.false;
+            puzzle.setAttribute('rotation', 'none');
+            expect(puzzle.rotatePiece(0, 1)).to.be.false;
+        });
+    });
+
+    describe('undo', () => {
+        let puzzle;
+
+        beforeEach(async () => {
+            puzzle = create({ seed: 'friday', rotation: 'none' });
+            await puzzle.ready;
+        });
+
+        it('takes back moves and snaps, and redo makes them again', () => {
+            const start = puzzle.pieces;
+            const { correctX, correctY } = start[0];
+            puzzle.movePiece(0, correctX, correctY);
+            puzzle.movePiece(1, -500, -400);
+            const end = puzzle.pieces;
+            expect(puzzle.canUndo).to.be.true;
+            expect(puzzle.undo()).to.be.true;
+            expect(puzzle.undo()).to.be.true;
+            expect(puzzle.pieces).to.deep.equal(start);
+            expect(puzzle.undo()).to.be.false;
+            expect(puzzle.canRedo).to.be.true;
+            expect(puzzle.redo()).to.be.true;
+            expect(puzzle.redo()).to.be.true;
+            expect(puzzle.pieces).to.deep.equal(end);
+            expect(puzzle.redo()).to.be.false;
+        });
+
+        it('forgets what was undone once something else changes', () => {
+            puzzle.movePiece(0, -500, -400);
+            puzzle.undo();
+            puzzle.movePiece(1, -500, -400);
+            expect(puzzle.canRedo).to.be.false;
+        });
+
+        it('takes back a shuffle', () => {
+            const start = puzzle.pieces;
+            puzzle.shuffle();
+            expect(puzzle.pieces).not.to.deep.equal(start);
+            puzzle.undo();
+            expect(puzzle.pieces).to.deep.equal(start);
+        });
+    });
+
+    describe('selection', () => {
+        let puzzle;
+
+        // Drags across the puzzle from one point to another (in pixels from its top-left), holding keys such as `shiftKey`.
+        const drag = (from, to, keys = {}) => {
+            const pointer = { pointerId: 1, button: 0, bubbles: true, ...keys };
+            puzzle.dispatchEvent(new PointerEvent('pointerdown', { ...pointer, clientX: from[0], clientY: from[1] }));
+            puzzle.dispatchEvent(new PointerEvent('pointermove', { ...pointer, clientX: to[0], clientY: to[1] }));
+            puzzle.dispatchEvent(new PointerEvent('pointerup', { ...pointer, clientX: to[0], clientY: to[1] }));
+        };
+
+        beforeEach(async () => {
+            puzzle = create({ seed: 'friday', rotation: 'none' });
+            await puzzle.ready;
+        });
+
+        it('selects whole clusters, but no placed pieces', () => {
+            const [, second] = puzzle.pieces;
+            puzzle.movePiece(1, -500, -400);
+            puzzle.movePiece(2, -500 + puzzle.pieces[2].correctX - second.correctX, -400 + puzzle.pieces[2].correctY - second.correctY);
+            expect(puzzle.select([1, 7])).to.be.true;
+            expect(puzzle.selection).to.deep.equal([1, 2, 7]);
+            const { correctX, correctY } = puzzle.pieces[0];
+            puzzle.movePiece(0, correctX, correctY);
+            expect(puzzle.select([0, 3])).to.be.false;
+            expect(puzzle.selection).to.deep.equal([1, 2, 7]);
+            expect(puzzle.select(null)).to.be.true;
+            expect(puzzle.selection).to.be.empty;
+        });
+
+        it('adds clusters to the selection and takes them out with a modified tap', () => {
+            puzzle.select(4);
+            puzzle.shadowRoot.querySelector('jigsaw-piece[piece-id="6"]').dispatchEvent(createSelectEvent(6, 0, 0, 1, true));
+            expect(puzzle.selection).to.deep.equal([4, 6]);
+            puzzle.shadowRoot.querySelector('jigsaw-piece[piece-id="4"]').dispatchEvent(createSelectEvent(4, 0, 0, 1, true));
+            expect(puzzle.selection).to.deep.equal([6]);
+        });
+
+        it('moves the whole selection with any piece in it', () => {
+            puzzle.select([3, 9]);
+            const before = puzzle.pieces[9];
+            const { x, y } = puzzle.pieces[3];
+            puzzle.movePiece(3, x - 40, y + 30);
+            expect(puzzle.pieces[9]).to.include({ x: before.x - 40, y: before.y + 30 });
+            puzzle.movePiece(5, -900, -900);
+            expect(puzzle.pieces[9]).to.include({ x: before.x - 40, y: before.y + 30 });
+        });
+
+        it('adds the loose pieces inside a rubber band to the selection', () => {
+            const selected = [];
+            puzzle.addEventListener('select', event => selected.push(event.detail.selection));
+            puzzle.select(3);
+            drag([-100000, -100000], [-99000, -99000], { shiftKey: true }); // Off the table
+            expect(puzzle.selection).to.deep.equal([3]);
+            const { correctX, correctY } = puzzle.pieces[0];
+            puzzle.movePiece(0, correctX, correctY);
+            drag([-100000, -100000], [100000, 100000], { ctrlKey: true });
+            expect(puzzle.selection).to.deep.equal(Array.from({ length: 14 }, (_, i) => i + 1));
+            expect(selected[selected.length - 1]).to.deep.equal(puzzle.selection);
+            expect(puzzle.shadowRoot.getElementById('band').hidden).to.be.true;
+        });
+
+        it('stretches no rubber band without a modifier key', () => {
+            drag([-100000, -100000], [100000, 100000]);
+            expect(puzzle.selection).to.be.empty;
+        });
+    });
+
+    describe('stats', () => {
+        let puzzle;
+
+        beforeEach(async () => {
+            puzzle = create({ seed: 'friday', rotation: 'none' });
+            await puzzle.ready;
+        });
+
+        it('counts moves, snaps and merges, reporting each change', () => {
+            const changes = [];
+            puzzle.addEventListener('stats-change', event => changes.push(event.detail));
+            const [first, second] = puzzle.pieces;
+            puzzle.movePiece(0, first.correctX, first.correctY);
+            puzzle.movePiece(1, -500, -400);
+            puzzle.movePiece(2, -500 + puzzle.pieces[2].correctX - second.correctX, -400 + puzzle.pieces[2].correctY - second.correctY);
+            expect(puzzle.stats).to.include({ moves: 3, snaps: 1, merges: 1, rotations: 0, hints: 0 });
+            expect(changes[changes.length - 1]).to.include({ moves: 3, snaps: 1, merges: 1 });
+        });
+
+        it('keeps the stats with the saved game', () => {
+            puzzle.movePiece(1, -500, -400);
+            puzzle.hint(2);
+            const saved = JSON.parse(JSON.stringify(puzzle.getState()));
+            const restored = create({ seed: 'friday', rotation: 'none' });
+            restored.setState(saved);
+            expect(restored.stats).to.include({ moves: 1, hints: 1 });
+            puzzle.reset();
+            expect(puzzle.stats).to.include({ moves: 0, hints: 0 });
+        });
+
+        it('stops the clock while paused', () => {
+            expect(puzzle.stats.running).to.be.true;
+            puzzle.pause();
+            expect(puzzle.stats.running).to.be.false;
+            expect(puzzle.paused).to.be.true;
+            const { elapsed } = puzzle.stats;
+            puzzle.resume();
+            expect(puzzle.stats.running).to.be.true;
+            expect(puzzle.stats.elapsed).to.be.at.least(elapsed);
+        });
+    });
+
+    describe('hint', () => {
+        let puzzle;
+        let used;
+
+        beforeEach(async () => {
+            puzzle = create({ seed: 'friday', rotation: 'none' });
+            await puzzle.ready;
+            used = [];
+            puzzle.addEventListener('hint-used', event => used.push(event.detail));
+        });
+
+        it("counts each piece's place shown", () => {
+            expect(puzzle.hint(3)).to.be.true;
+            expect(puzzle.hint(4)).to.be.true;
+            expect(puzzle.hints).to.equal(2);
+            expect(used).to.deep.equal([{ kind: 'piece', pieceId: 3, hints: 1 }, { kind: 'piece', pieceId: 4, hints: 2 }]);
+        });
+
+        it('has none for placed pieces, nor with no-hints', () => {
+            const { correctX, correctY } = puzzle.pieces[0];
+            puzzle.movePiece(0, correctX, correctY);
+            expect(puzzle.hint(0)).to.be.false;
+            puzzle.setAttribute('no-hints', '');
+            expect(puzzle.hint(1)).to.be.false;
+            expect(puzzle.hints).to.equal(0);
+            expect(used).to.be.empty;
+        });
+
+        it('counts the reference and ghost images each time they are shown', () => {
+            puzzle.setAttribute('reference', '');
+            puzzle.setAttribute('ghost', '');
+            puzzle.setAttribute('reference', ''); // Still showing
+            puzzle.removeAttribute('reference');
+            puzzle.setAttribute('reference', '');
+            expect(used.map(({ kind, hints }) => [kind, hints])).to.deep.equal([['reference', 1], ['ghost', 2], ['reference', 3]]);
+            expect(puzzle.stats.hints).to.equal(3);
+        });
+
+        it('shows no images with no-hints', () => {
+            puzzle.setAttribute('no-hints', '');
+            puzzle.setAttribute('reference', '');
+            puzzle.setAttribute('ghost', '');
+            expect(puzzle.hints).to.equal(0);
+            expect(puzzle.shadowRoot.querySelector('jigsaw-reference').hasAttribute('open')).to.be.false;
+        });
+
+        it('keeps the highlighted place above pieces raised meanwhile', () => {
+            puzzle.movePiece(1, -500, -400);
+            expect(puzzle.hint(0)).to.be.true;
+            puzzle.undo(); // Restacks every piece
+            const container = puzzle.shadowRoot.getElementById('container');
+            expect(container.lastElementChild.getAttribute('class')).to.equal('hint');
+            expect(puzzle.shadowRoot.querySelectorAll('jigsaw-piece')).to.have.length(15);
+        });
+    });
+
+    describe('persist', () => {
+        beforeEach(() => {
+            localStorage.clear(); // Puzzles taken off the page save as they go
+        });
+
+        it('picks a game of a file up again from a new object URL', async () => {
+            const file = () => new File(['cat'], 'cat.png', { type: 'image/png', lastModified: 1700000000000 });
+            const first = create({ persist: 'game', seed: 'friday' });
+            first.image = file();
+            await first.ready;
+            first.movePiece(1, -500, -400);
+            const second = create({ persist: 'game', seed: 'friday' });
+            second.image = file();
+            await second.ready;
+            expect(first.getState().src).to.equal('file:cat.png?size=3&modified=1700000000000');
+            expect(second.pieces).to.deep.equal(first.pieces);
+        });
+
+        it("doesn't save a game of a blob, which it could never pick up again", async () => {
+            const puzzle = create({ persist: 'game' });
+            puzzle.image = new Blob(['cat'], { type: 'image/png' });
+            await puzzle.ready;
+            puzzle.movePiece(1, -500, -400);
+            expect(puzzle.getState().src).to.match(/^blob:/);
+            expect(localStorage.getItem('game')).to.be.null;
+        });
+    });
+});
@@ -0,0 +1,50 @@
+// jigsaw-reference.js - Web component for the "box lid" picture of the finished puzzle.
+
+import { createReferenceEvent } from './reference.js';
+
+/**
+ * A thumbnail of the puzzle's image in the corner of the table, shown while `open`.
+ * Its close button dispatches a 'reference' event, so the puzzle stays in charge of when it's shown.
+ */
+export class JigsawReference extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+    }
+
+    static get observedAttributes() {
+        return ['src'];
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue) return;
+        this._updateRendering();
+    }
+
+    connectedCallback() {
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host { position: absolute; left: 10px; top: 10px; display: none; padding: 6px; border-radius: 6px; background: #222; box-shadow: 0 0 12px rgba(0, 0, 0, 0.6); }
+                :host([open]) { display: block; }
+                img { display: block; max-width: min(240px, 30vw); max-height: min(240px, 30vh); }
+                button { position: absolute; right: -8px; top: -8px; width: 22px; height: 22px; padding: 0; border-radius: 50%; font-size: 14px; line-height: 1; cursor: pointer; }
+            </style>
+            <img part="image" alt="The finished puzzle">
+            <button part="button" title="Hide the picture">×</button>
+        `;
+        // Presses on the panel shouldn't reach the board underneath.
+        this.addEventListener('pointerdown', e => e.stopPropagation());
+        this.shadowRoot.querySelector('button').addEventListener('click', () => this.dispatchEvent(createReferenceEvent(false)));
+        this._updateRendering();
+    }
+
+    _updateRendering() {
+        const img = this.shadowRoot.querySelector('img');
+        const src = this.getAttribute('src');
+        if (!img) return;
+        if (src) img.src = src;
+        else img.removeAttribute('src');
+    }
+}
+
+customElements.define('jigsaw-reference', JigsawReference);
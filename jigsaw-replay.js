@@ -0,0 +1,86 @@
+// jigsaw-replay.js - Web component for the play/pause, scrubbing and speed controls of a replayed timelapse.
+
+import { createPlaybackEvent } from './playback.js';
+import { createStopReplayEvent } from './stop-replay.js';
+
+const TICK = 250; // Milliseconds between redraws of the playing time
+const SPEEDS = [0.5, 1, 2, 4, 8, 16]; // Speeds on offer
+
+// Formats milliseconds as m:ss.
+function clock(milliseconds) {
+    const seconds = Math.floor(milliseconds / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * The bar shown while a timelapse replays. Like the controls, it drives the puzzle purely through
+ * custom events ('playback' and 'stop-replay'), so a page can hide it and use its own.
+ */
+export class JigsawReplay extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this._replay = null; // {time, duration, playing, speed} last shown
+        this._shownAt = 0; // When it was shown, to keep the time moving while it plays
+        this._timer = 0; // setInterval handle redrawing the time, while connected
+    }
+
+    connectedCallback() {
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host { position: absolute; left: 50%; bottom: 10px; transform: translateX(-50%); display: flex; align-items: center; gap: 8px; padding: 6px 10px; border-radius: 6px; background: rgba(0, 0, 0, 0.6); color: #eee; font: 14px/1.4 sans-serif; font-variant-numeric: tabular-nums; }
+                :host(:not([open])) { display: none; }
+                button { min-width: 36px; height: 36px; font-size: 18px; line-height: 1; cursor: pointer; }
+                input { width: 240px; }
+            </style>
+            <button part="button" class="play" title="Play">▶</button>
+            <input part="scrubber" type="range" min="0" max="0" value="0" title="Skip to">
+            <span part="time" class="time"></span>
+            <select part="speed" title="Speed">${SPEEDS.map(speed => `<option value="${speed}">${speed}×</option>`).join('')}</select>
+            <button part="button" class="stop" title="Back to the game">✕</button>
+        `;
+        // Presses on the bar shouldn't start a pan of the board underneath.
+        this.addEventListener('pointerdown', e => e.stopPropagation());
+        const scrubber = this.shadowRoot.querySelector('input');
+        this.shadowRoot.querySelector('.play').addEventListener('click', () => {
+            if (this._replay) this.dispatchEvent(createPlaybackEvent({ playing: !this._replay.playing }));
+        });
+        scrubber.addEventListener('input', () => this.dispatchEvent(createPlaybackEvent({ time: Number(scrubber.value) })));
+        this.shadowRoot.querySelector('select').addEventListener('change', event => {
+            this.dispatchEvent(createPlaybackEvent({ speed: Number(event.target.value) }));
+        });
+        this.shadowRoot.querySelector('.stop').addEventListener('click', () => this.dispatchEvent(createStopReplayEvent()));
+        this._timer = setInterval(() => this._updateRendering(), TICK);
+        this._updateRendering();
+    }
+
+    disconnectedCallback() {
+        clearInterval(this._timer);
+    }
+
+    /**
+     * Shows how the replay is playing; while it plays, the time carries on from there.
+     * @param {Object} replay - {time, duration, playing, speed}, as 'replay-change' reports them.
+     */
+    show(replay) {
+        this._replay = replay;
+        this._shownAt = Date.now();
+        this._updateRendering();
+    }
+
+    _updateRendering() {
+        const scrubber = this.shadowRoot.querySelector('input');
+        if (!scrubber || !this._replay) return;
+        const { duration, playing, speed } = this._replay;
+        const time = Math.min(duration, this._replay.time + (playing ? (Date.now() - this._shownAt) * speed : 0));
+        const play = this.shadowRoot.querySelector('.play');
+        play.textContent = playing ? '⏸' : '▶';
+        play.title = playing ? 'Pause' : 'Play';
+        scrubber.max = duration;
+        if (this.shadowRoot.activeElement !== scrubber) scrubber.value = time; // Not while it's being dragged
+        this.shadowRoot.querySelector('.time').textContent = `${clock(time)} / ${clock(duration)}`;
+        this.shadowRoot.querySelector('select').value = String(speed);
+    }
+}
+
+customElements.define('jigsaw-replay', JigsawReplay);
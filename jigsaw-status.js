@@ -0,0 +1,58 @@
+// jigsaw-status.js - Web component for the overlay shown while an image loads, fails, or is dragged over.
+
+const MESSAGES = {
+    loading: () => '⏳ Loading the picture…',
+    error: detail => `⚠️ Couldn't load the picture${detail ? `: ${detail}` : ''}`,
+    drop: () => '🖼️ Drop a picture to start a new puzzle'
+};
+
+export class JigsawStatus extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+    }
+
+    connectedCallback() {
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host { position: absolute; inset: 0; display: none; align-items: center; justify-content: center; background: rgba(0, 0, 0, 0.45); }
+                :host([state]) { display: flex; }
+                :host([state="drop"]) { outline: 3px dashed gold; outline-offset: -12px; }
+                .message { max-width: 80%; padding: 16px 24px; border-radius: 12px; background: #222; color: #eee; font-size: 18px; text-align: center; overflow-wrap: anywhere; }
+                :host([state="error"]) .message { color: #ff8a80; }
+                button { display: block; margin: 12px auto 0; font-size: 16px; cursor: pointer; }
+                :host(:not([state="error"])) button { display: none; }
+            </style>
+            <div class="message" part="message">
+                <div class="text"></div>
+                <button part="button">Dismiss</button>
+            </div>
+        `;
+        // Presses on the overlay shouldn't reach the board underneath.
+        this.addEventListener('pointerdown', e => e.stopPropagation());
+        this.shadowRoot.querySelector('button').addEventListener('click', () => this.hide());
+    }
+
+    /** The state shown ('loading', 'error' or 'drop'), or null while hidden. */
+    get state() { return this.getAttribute('state'); }
+
+    /**
+     * Shows the overlay.
+     * @param {string} state - 'loading', 'error' or 'drop'.
+     * @param {string} [detail] - What went wrong, for errors.
+     */
+    show(state, detail) {
+        const text = this.shadowRoot.querySelector('.text');
+        if (text) text.textContent = MESSAGES[state](detail);
+        this.setAttribute('state', state);
+    }
+
+    /**
+     * Hides the overlay.
+     */
+    hide() {
+        this.removeAttribute('state');
+    }
+}
+
+customElements.define('jigsaw-status', JigsawStatus);
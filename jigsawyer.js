@@ -1 +1,5 @@
 import './jigsaw-puzzle.js';
+
+export * from './engine.js';
+export { BroadcastChannelTransport } from './broadcast-transport.js';
+export { WebSocketTransport } from './websocket-transport.js';
@@ -0,0 +1,99 @@
+// joint.js - Domain model for the shared edge between two neighbouring pieces.
+
+import { Cut } from './cut.js';
+import { Wave } from './wave.js';
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Cubic Bézier control points for a nib of the given size, after the start point (0, 0).
+ * `u` runs along the edge (0-1) and `v` points away from the piece the nib grows out of;
+ * both are measured in edge lengths.
+ * @param {number} s - Nib size.
+ * @returns {number[][]} [u, v] pairs, three per curve segment.
+ */
+const nib = s => [
+    [0.2, 0], [0.5 - 0.5 * s, 0], [0.5 - 0.35 * s, 0],
+    [0.5 - 0.2 * s, 0.25 * s], [0.5 - 0.7 * s, 0.45 * s], [0.5 - 0.6 * s, 0.75 * s],
+    [0.5 - 0.5 * s, 1.05 * s], [0.5 - 0.35 * s, 1.15 * s], [0.5, 1.15 * s],
+    [0.5 + 0.35 * s, 1.15 * s], [0.5 + 0.5 * s, 1.05 * s], [0.5 + 0.6 * s, 0.75 * s],
+    [0.5 + 0.7 * s, 0.45 * s], [0.5 + 0.2 * s, 0.25 * s], [0.5 + 0.35 * s, 0],
+    [0.5 + 0.5 * s, 0], [0.8, 0], [1, 0]
+];
+
+/**
+ * An edge shared by two pieces. Both pieces trace the same curve (in opposite
+ * directions), so their outlines mate exactly.
+ */
+export class Joint {
+    /**
+     * @param {Piece[]} pieces - The two pieces connected by this edge.
+     * @param {boolean} outward - True if the nib goes out of piece 0 into piece 1.
+     * @param {number} size - Size of the nib, in edge lengths (clamped to 0.15-0.33).
+     * @param {Cut} cut - The cut used to separate the two pieces.
+     * @param {Position} from - Start of the edge, following piece 0's clockwise outline.
+     * @param {Position} to - End of the edge, following piece 0's clockwise outline.
+     */
+    constructor(pieces, outward, size, cut, from, to) {
+        this.pieces = pieces;
+        this.outward = outward;
+        this.size = clamp(size, 0.15, 0.33);
+        this.cut = cut;
+        this.from = from;
+        this.to = to;
+    }
+
+    /**
+     * Traces this edge along the clockwise outline of one of its pieces.
+     * @param {Piece} piece - Either of the two joined pieces.
+     * @returns {number[][]} Board [x, y] pairs: the start point, then three per cubic segment.
+     */
+    points(piece) {
+        const { from, to } = this;
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const sign = this.outward ? 1 : -1;
+        // (dy, -dx) is the outward normal of piece 0's clockwise outline, scaled to the edge length.
+        const points = [[0, 0], ...nib(this.size)].map(([u, v]) => {
+            const w = sign * v + this.cut.sample(u);
+            return [from.x + u * dx + w * dy, from.y + u * dy - w * dx];
+        });
+        return piece === this.pieces[0] ? points : points.reverse();
+    }
+
+    /**
+     * @returns {Object} The shape of this joint (not its pieces or endpoints), ready for JSON.
+     */
+    serialize() {
+        return {
+            outward: this.outward,
+            size: this.size,
+            cut: this.cut.components.map(wave => [wave.period, wave.amplitude])
+        };
+    }
+
+    /**
+     * Rebuilds a joint from a serialized shape.
+     * @param {Object} data - Output of serialize().
+     * @param {Piece[]} pieces - The two pieces to connect.
+     * @param {Position} from - Start of the edge along piece 0's outline.
+     * @param {Position} to - End of the edge along piece 0's outline.
+     * @returns {Joint}
+     */
+    static deserialize(data, pieces, from, to) {
+        const cut = new Cut(data.cut.map(([period, amplitude]) => new Wave(period, amplitude)));
+        return new Joint(pieces, data.outward, data.size, cut, from, to);
+    }
+
+    /**
+     * Creates a joint with a random nib direction, size and cut.
+     * @param {Piece[]} pieces - The two pieces to connect.
+     * @param {Position} from - Start of the edge along piece 0's outline.
+     * @param {Position} to - End of the edge along piece 0's outline.
+     * @param {Function} [random=Math.random] - Source of random numbers in [0, 1).
+     * @returns {Joint}
+     */
+    static random(pieces, from, to, random = Math.random) {
+        return new Joint(pieces, random() < 0.5, 0.15 + random() * 0.18, Cut.random(random), from, to);
+    }
+}
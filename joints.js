@@ -0,0 +1,92 @@
+// joints.js - The joints around a single piece, and how they outline it.
+
+import { Joint } from './joint.js';
+import { Position } from './position.js';
+import { sharedEdges } from './tessellations.js';
+
+const round = n => Math.round(n * 100) / 100;
+
+/**
+ * The joints bordering a piece, one per side of its polygon. Missing joints are straight outer edges.
+ */
+export class Joints {
+    /**
+     * @param {Array<Joint|undefined>} [sides=[]] - The joint along each side of the piece's polygon
+     *     (side i runs from vertex i to the next), where it connects to another piece.
+     */
+    constructor(sides = []) {
+        this.sides = sides;
+    }
+
+    /**
+     * Builds the SVG outline of a piece, clockwise from the first vertex of its polygon.
+     * Coordinates are relative to the piece's origin, and nibs may extend past its width and height.
+     * @param {Piece} piece - The piece these joints belong to.
+     * @returns {string} SVG path data.
+     */
+    path(piece) {
+        const { originX: x, originY: y, polygon } = piece;
+        const local = ([px, py]) => `${round(px - x)} ${round(py - y)}`;
+        const commands = polygon.map((point, i) => this._side(piece, i, local));
+        return `M ${local(polygon[0])} ${commands.join(' ')} Z`;
+    }
+
+    /**
+     * Builds SVG path data for the sides a piece cuts: its straight outer edges, and the joints it comes
+     * first in. Cutting every piece's sides cuts each shared edge once. Coordinates are on the board.
+     * @param {Piece} piece - The piece these joints belong to.
+     * @returns {string[]} Path data for each side cut, traced as path() traces it.
+     */
+    cuts(piece) {
+        const { polygon } = piece;
+        const board = ([px, py]) => `${round(px)} ${round(py)}`;
+        return polygon
+            .map((point, i) => i)
+            .filter(i => !this.sides[i] || this.sides[i].pieces[0] === piece)
+            .map(i => `M ${board(polygon[i])} ${this._side(piece, i, board)}`);
+    }
+
+    // SVG commands tracing side i of a piece's outline from its starting vertex, formatting points with `format`.
+    _side(piece, i, format) {
+        const { polygon } = piece;
+        const joint = this.sides[i];
+        if (!joint) return `L ${format(polygon[(i + 1) % polygon.length])}`;
+        const points = joint.points(piece).slice(1);
+        const segments = [];
+        for (let j = 0; j < points.length; j += 3) {
+            segments.push(`C ${points.slice(j, j + 3).map(format).join(' ')}`);
+        }
+        return segments.join(' ');
+    }
+
+    /**
+     * @param {Piece} piece - The piece these joints belong to.
+     * @returns {Piece[]} The pieces on the other side of each joint.
+     */
+    neighbours(piece) {
+        return this.sides
+            .filter(joint => joint)
+            .map(joint => joint.pieces[0] === piece ? joint.pieces[1] : joint.pieces[0]);
+    }
+
+    /**
+     * Cuts pieces apart, giving every edge two of their polygons share a joint.
+     * Joints are created piece by piece, side by side, each belonging first to the lower-numbered piece;
+     * on a grid, that is every piece's right joint before its bottom one.
+     * @param {Piece[]} pieces - Pieces in id order.
+     * @param {Function} [create] - Makes each joint from (pieces, from, to); Joint.random by default.
+     * @returns {Joints[]} The joints of each piece, in the same order.
+     */
+    static connect(pieces, create = Joint.random) {
+        const joints = pieces.map(piece => new Joints(piece.polygon.map(() => undefined)));
+        sharedEdges(pieces.map(piece => piece.polygon)).forEach(([a, i, b, j]) => {
+            const polygon = pieces[a].polygon;
+            const [fx, fy] = polygon[i];
+            const [tx, ty] = polygon[(i + 1) % polygon.length];
+            const joint = create([pieces[a], pieces[b]], new Position(fx, fy), new Position(tx, ty));
+            joints[a].sides[i] = joint;
+            joints[b].sides[j] = joint;
+        });
+        return joints;
+    }
+}
@@ -0,0 +1,126 @@
+// layouts.js - Ways of laying loose pieces out around the board.
+
+import { Position } from './position.js';
+import { SpatialIndex } from './spatial-index.js';
+
+export const LAYOUTS = ['pile', 'tray', 'spiral']; // Scatter strategies (the `layout` attribute)
+
+const SPREAD_PASSES = 50; // Most rounds of pushing overlapping boxes apart
+
+/**
+ * Shuffles a copy of an array (Fisher-Yates).
+ * @param {Array} items
+ * @param {Function} [random=Math.random] - Source of random numbers in [0, 1).
+ * @returns {Array}
+ */
+export function shuffled(items, random = Math.random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Packs boxes into rows alternately above and below the board, working outwards, so none overlap
+ * each other or the board. Rows are as wide as the board plus half of it on either side.
+ * @param {Object[]} sizes - {width, height} of each box, placed in this order.
+ * @param {{left: number, top: number, right: number, bottom: number}} board - The area to keep clear.
+ * @param {number} gap - Space between boxes, and between rows and the board.
+ * @returns {Position[]} Top-left corner of each box.
+ */
+export function tray(sizes, board, gap) {
+    const width = board.right - board.left;
+    const left = board.left - width / 2;
+    const right = board.right + width / 2;
+    const positions = [];
+    const rows = []; // Indices of the boxes in each row
+    let x = Infinity;
+    sizes.forEach(({ width: w }, i) => {
+        if (x + w > right) {
+            rows.push([]);
+            x = left;
+        }
+        positions[i] = new Position(x, 0); // Rows find their height once they're full
+        rows[rows.length - 1].push(i);
+        x += w + gap;
+    });
+    let above = board.top - gap;    // Bottom of the next row above the board
+    let below = board.bottom + gap; // Top of the next row below it
+    rows.forEach((row, r) => {
+        const height = Math.max(...row.map(i => sizes[i].height));
+        const top = r % 2 ? below : above - height;
+        if (r % 2) below += height + gap;
+        else above -= height + gap;
+        row.forEach(i => { positions[i] = new Position(positions[i].x, top + (height - sizes[i].height) / 2); });
+    });
+    return positions;
+}
+
+/**
+ * Strings boxes along an Archimedean spiral winding outwards around the board, each turn one box
+ * clear of the last, so none overlap each other or the board.
+ * @param {Object[]} sizes - {width, height} of each box, placed in this order from the inside out.
+ * @param {{left: number, top: number, right: number, bottom: number}} board - The area to wind around.
+ * @param {number} gap - Space between boxes, and between the first turn and the board.
+ * @returns {Position[]} Top-left corner of each box.
+ */
+export function spiral(sizes, board, gap) {
+    if (sizes.length === 0) return [];
+    const diameters = sizes.map(({ width, height }) => Math.hypot(width, height));
+    const step = Math.max(...diameters) + gap; // Distance between turns
+    const cx = (board.left + board.right) / 2;
+    const cy = (board.top + board.bottom) / 2;
+    const start = Math.hypot(board.right - board.left, board.bottom - board.top) / 2 + gap + step / 2;
+    let angle = 0;
+    return sizes.map(({ width, height }, i) => {
+        if (i > 0) angle += ((diameters[i - 1] + diameters[i]) / 2 + gap) / (start + step * angle / (2 * Math.PI));
+        const radius = start + step * angle / (2 * Math.PI);
+        return new Position(cx + radius * Math.cos(angle) - width / 2, cy + radius * Math.sin(angle) - height / 2);
+    });
+}
+
+/**
+ * Nudges overlapping boxes apart until none overlap (or it gives up), moving each as little as it can:
+ * every overlapping pair is pushed apart, half each, along whichever axis they overlap least.
+ * @param {Object[]} boxes - {left, top, right, bottom} of each box.
+ * @param {number} gap - Space to leave between boxes.
+ * @returns {Position[]} How far each box moved.
+ */
+export function spread(boxes, gap) {
+    const moved = boxes.map(() => new Position(0, 0));
+    const current = boxes.map(box => ({ ...box }));
+    const size = Math.max(1, ...boxes.map(box => Math.max(box.right - box.left, box.bottom - box.top)));
+    for (let pass = 0; pass < SPREAD_PASSES; pass++) {
+        const index = new SpatialIndex(size + gap);
+        current.forEach((box, i) => index.set(i, { ...box }));
+        let overlapping = false;
+        current.forEach((a, i) => {
+            index.search({ left: a.left - gap, top: a.top - gap, right: a.right + gap, bottom: a.bottom + gap })
+                .filter(j => j > i)
+                .forEach(j => {
+                    const b = current[j];
+                    const dx = Math.min(a.right, b.right) - Math.max(a.left, b.left) + gap;
+                    const dy = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top) + gap;
+                    if (dx <= 0 || dy <= 0) return;
+                    overlapping = true;
+                    // Push apart along the shallower overlap, away from each other's centres.
+                    const [ax, ay] = [a.left + a.right, a.top + a.bottom];
+                    const [bx, by] = [b.left + b.right, b.top + b.bottom];
+                    const push = dx < dy ? new Position((bx >= ax ? -dx : dx) / 2, 0) : new Position(0, (by >= ay ? -dy : dy) / 2);
+                    [[i, 1], [j, -1]].forEach(([k, sign]) => {
+                        const box = current[k];
+                        box.left += sign * push.x;
+                        box.right += sign * push.x;
+                        box.top += sign * push.y;
+                        box.bottom += sign * push.y;
+                        moved[k] = new Position(moved[k].x + sign * push.x, moved[k].y + sign * push.y);
+                        index.set(k, { ...box }); // A copy: the index finds its cells again by the box it was given
+                    });
+                });
+        });
+        if (!overlapping) break;
+    }
+    return moved;
+}
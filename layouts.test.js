@@ -0,0 +1,89 @@
+import { expect } from 'lovecraft';
+import { tray, spiral, spread, shuffled } from './layouts.js';
+import { createRandom } from './random.js';
+
+const board = { left: 0, top: 0, right: 1000, bottom: 600 };
+const sizes = Array.from({ length: 40 }, (_, i) => ({ width: 80 + i % 3 * 20, height: 60 + i % 5 * 10 }));
+
+// Boxes of the given sizes with their top-left corners at the given positions.
+const place = (positions, boxes = sizes) => positions.map(({ x, y }, i) => ({
+    left: x, top: y, right: x + boxes[i].width, bottom: y + boxes[i].height
+}));
+
+// Boxes moved by the given distances.
+const shift = (boxes, moved) => boxes.map((box, i) => ({
+    left: box.left + moved[i].x, top: box.top + moved[i].y, right: box.right + moved[i].x, bottom: box.bottom + moved[i].y
+}));
+
+// True if two boxes come closer than the gap.
+const crowd = (a, b, gap = 0) =>
+    a.left < b.right + gap && b.left < a.right + gap && a.top < b.bottom + gap && b.top < a.bottom + gap;
+
+// Pairs of boxes, by index, that come closer than the gap.
+const crowded = (boxes, gap = 0) => boxes.flatMap((a, i) => boxes.slice(i + 1)
+    .map((b, j) => [i, i + 1 + j, b])
+    .filter(([, , b]) => crowd(a, b, gap - 1e-9))
+    .map(([i, j]) => [i, j]));
+
+describe('layouts', () => {
+    describe('tray', () => {
+        it('packs rows above and below the board, clear of it and each other', () => {
+            const boxes = place(tray(sizes, board, 10));
+            expect(crowded(boxes, 10)).to.be.empty;
+            boxes.forEach(box => {
+                expect(crowd(box, board, 10)).to.be.false;
+                expect(box.left).to.be.at.least(-500);
+                expect(box.right).to.be.at.most(1500);
+            });
+            expect(boxes[0].bottom).to.be.at.most(board.top); // The first row goes above
+            expect(boxes.some(box => box.top >= board.bottom)).to.be.true;
+        });
+    });
+
+    describe('spiral', () => {
+        it('winds around the board, clear of it and each other', () => {
+            const boxes = place(spiral(sizes, board, 10));
+            expect(crowded(boxes)).to.be.empty;
+            boxes.forEach(box => expect(crowd(box, board)).to.be.false);
+        });
+
+        it('lays out nothing for no boxes', () => {
+            expect(spiral([], board, 10)).to.deep.equal([]);
+        });
+    });
+
+    describe('spread', () => {
+        it('pushes overlapping boxes apart', () => {
+            const random = createRandom('ghoul');
+            const boxes = sizes.map(({ width, height }) => {
+                const x = random() * 300;
+                const y = random() * 200;
+                return { left: x, top: y, right: x + width, bottom: y + height };
+            });
+            const spreadOut = shift(boxes, spread(boxes, 5));
+            expect(crowded(boxes)).not.to.be.empty;
+            expect(crowded(spreadOut)).to.be.empty;
+        });
+
+        it('leaves the gap between a few boxes', () => {
+            const boxes = [[0, 0], [30, 10], [10, 40]].map(([x, y]) => ({ left: x, top: y, right: x + 50, bottom: y + 50 }));
+            const spreadOut = shift(boxes, spread(boxes, 5));
+            expect(crowded(spreadOut, 5)).to.be.empty;
+        });
+
+        it("leaves boxes alone that don't overlap", () => {
+            const moved = spread([{ left: 0, top: 0, right: 10, bottom: 10 }, { left: 20, top: 0, right: 30, bottom: 10 }], 5);
+            expect(moved.map(({ x, y }) => [x, y])).to.deep.equal([[0, 0], [0, 0]]);
+        });
+    });
+
+    describe('shuffled', () => {
+        it('reorders a copy the same way for the same seed', () => {
+            const items = Array.from({ length: 20 }, (_, i) => i);
+            const first = shuffled(items, createRandom('ghoul'));
+            expect(shuffled(items, createRandom('ghoul'))).to.deep.equal(first);
+            expect(first).not.to.deep.equal(items);
+            expect([...first].sort((a, b) => a - b)).to.deep.equal(items);
+        });
+    });
+});
@@ -0,0 +1,15 @@
+// load.js - Custom event for a puzzle's image having loaded, and the pieces being cut from it.
+
+/**
+ * Creates a custom 'load' event.
+ * @param {string|Blob|HTMLImageElement|HTMLCanvasElement|ImageBitmap} image - What the image was given as.
+ * @param {number} width - The image's width in pixels.
+ * @param {number} height - The image's height in pixels.
+ * @returns {CustomEvent}
+ */
+export function createLoadEvent(image, width, height) {
+    return new CustomEvent('load', {
+        bubbles: true, composed: true,
+        detail: { image, width, height }
+    });
+}
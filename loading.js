@@ -0,0 +1,13 @@
+// loading.js - Custom event for a puzzle starting to load its image.
+
+/**
+ * Creates a custom 'loading' event.
+ * @param {string|Blob|HTMLImageElement|HTMLCanvasElement|ImageBitmap} image - What the image was given as.
+ * @returns {CustomEvent}
+ */
+export function createLoadingEvent(image) {
+    return new CustomEvent('loading', {
+        bubbles: true, composed: true,
+        detail: { image }
+    });
+}
@@ -0,0 +1,14 @@
+// merge.js - Custom event for pieces being joined into a single cluster.
+
+/**
+ * Creates a custom 'merge' event.
+ * @param {number} pieceId - The ID of the piece whose drop or rotation caused the merge.
+ * @param {number[]} pieceIds - The IDs of every piece in the merged cluster.
+ * @returns {CustomEvent}
+ */
+export function createMergeEvent(pieceId, pieceIds) {
+    return new CustomEvent('merge', {
+        bubbles: true, composed: true,
+        detail: { pieceId, pieceIds }
+    });
+}
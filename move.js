@@ -1,8 +1,8 @@
 // move.js - Custom event for moving/dragging a puzzle piece.
 
-export function createMoveEvent(pieceId, clientX, clientY) {
+export function createMoveEvent(pieceId, clientX, clientY, pointerId = 0) {
     return new CustomEvent('move', {
         bubbles: true, composed: true,
-        detail: { pieceId, clientX, clientY }
+        detail: { pieceId, clientX, clientY, pointerId }
     });
 }
\ No newline at end of file
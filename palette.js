@@ -0,0 +1,75 @@
+// palette.js - The colours of a picture, for picking out pieces of much the same colour.
+
+const DEFAULT_TOLERANCE = 48; // Furthest apart two colours may be and still match, in RGB units (0-255 a channel)
+
+/**
+ * Colours of a picture, read from a (usually scaled-down) copy of its pixels: the colour at any point,
+ * and each piece's average colour over its cell. Needs no DOM, given the pixels.
+ */
+export class Palette {
+    /**
+     * @param {{data: Uint8ClampedArray, width: number, height: number}} pixels - RGBA pixels of the copy, as ImageData holds them.
+     * @param {number} scale - Pixels of the copy per image pixel.
+     */
+    constructor(pixels, scale) {
+        this._pixels = pixels;
+        this._scale = scale;
+        this._averages = new Map(); // Map<pieceId, number[]> of the piece colours worked out so far
+    }
+
+    /**
+     * @param {number} x - Image pixels from the picture's left.
+     * @param {number} y - Image pixels from the picture's top.
+     * @returns {number[]} [r, g, b] there, averaged with the pixels around it.
+     */
+    at(x, y) {
+        const column = Math.floor(x * this._scale);
+        const row = Math.floor(y * this._scale);
+        return this._average(column - 1, row - 1, column + 2, row + 2);
+    }
+
+    /**
+     * @param {Piece} piece
+     * @returns {number[]} [r, g, b] averaged over the piece's cell in the picture (nibs aside).
+     */
+    average(piece) {
+        if (!this._averages.has(piece.id)) {
+            const left = Math.floor(piece.originX * this._scale);
+            const top = Math.floor(piece.originY * this._scale);
+            const right = Math.max(left + 1, Math.ceil((piece.originX + piece.width) * this._scale));
+            const bottom = Math.max(top + 1, Math.ceil((piece.originY + piece.height) * this._scale));
+            this._averages.set(piece.id, this._average(left, top, right, bottom));
+        }
+        return this._averages.get(piece.id);
+    }
+
+    /**
+     * @param {Piece[]} pieces
+     * @param {number[]} colour - [r, g, b] to match.
+     * @param {number} [tolerance=48] - Furthest a piece's average colour may be from it, in RGB units.
+     * @returns {Piece[]} The pieces whose average colour matches.
+     */
+    matching(pieces, colour, tolerance = DEFAULT_TOLERANCE) {
+        return pieces.filter(piece => {
+            const [r, g, b] = this.average(piece);
+            return Math.hypot(r - colour[0], g - colour[1], b - colour[2]) <= tolerance;
+        });
+    }
+
+    // Mean colour of the copy's pixels in a box (right and bottom exclusive), clipped to the copy.
+    _average(left, top, right, bottom) {
+        const { data, width, height } = this._pixels;
+        const sum = [0, 0, 0];
+        let count = 0;
+        for (let row = Math.max(0, top); row < Math.min(height, bottom); row++) {
+            for (let column = Math.max(0, left); column < Math.min(width, right); column++) {
+                const i = (row * width + column) * 4;
+                sum[0] += data[i];
+                sum[1] += data[i + 1];
+                sum[2] += data[i + 2];
+                count++;
+            }
+        }
+        return sum.map(total => count > 0 ? total / count : 0);
+    }
+}
@@ -0,0 +1,14 @@
+// pan.js - Custom event for panning the puzzle view.
+
+/**
+ * Creates a custom 'pan' event.
+ * @param {number} dx - Number of pixels panned horizontally.
+ * @param {number} dy - Number of pixels panned vertically.
+ * @returns {CustomEvent}
+ */
+export function createPanEvent(dx, dy) {
+    return new CustomEvent('pan', {
+        bubbles: true, composed: true,
+        detail: { dx, dy }
+    });
+}
@@ -0,0 +1,96 @@
+// panzoom.js - Turns drags on empty space, wheel turns and pinches into pan/zoom events.
+
+import { createPanEvent } from './pan.js';
+import { createZoomEvent } from './zoom.js';
+
+const WHEEL_STEP = 1 / 500;  // Zoom (in powers of two) per pixel of wheel travel
+const DEFAULT_THRESHOLD = 4; // Pixels a pointer may wander before a tap becomes a pan
+
+/**
+ * Watches an element for background gestures and dispatches `pan`/`zoom` events from it.
+ * Built on Pointer Events: one pointer pans, two pinch. Pieces stop propagation of their own
+ * pointerdown events, so only empty space pans.
+ */
+export class PanZoom {
+    /**
+     * @param {HTMLElement} element - Element receiving gestures and dispatching events.
+     * @param {Function} [onTap] - Called when empty space is clicked or tapped without panning.
+     */
+    constructor(element, onTap = () => {}) {
+        this._element = element;
+        this._onTap = onTap;
+        this.threshold = DEFAULT_THRESHOLD;
+        this._last = null;           // Last pointer position (or pinch midpoint), in element pixels
+        this._distance = 0;          // Last distance between pinching pointers
+        this._travel = 0;            // Distance moved since the gesture began
+        this._pointers = new Map();  // Map<pointerId, {x, y}> of pointers that went down on empty space
+
+        element.addEventListener('pointerdown', this._onPointerDown.bind(this));
+        element.addEventListener('pointermove', this._onPointerMove.bind(this));
+        element.addEventListener('pointerup', event => this._onPointerUp(event, true));
+        element.addEventListener('pointercancel', event => this._onPointerUp(event, false));
+        element.addEventListener('wheel', this._onWheel.bind(this), { passive: false });
+    }
+
+    _local(clientX, clientY) {
+        const rect = this._element.getBoundingClientRect();
+        return { x: clientX - rect.left, y: clientY - rect.top };
+    }
+
+    _onPointerDown(event) {
+        if (event.button !== 0) return;
+        this._element.setPointerCapture(event.pointerId);
+        if (this._pointers.size === 0) this._travel = 0;
+        this._pointers.set(event.pointerId, this._local(event.clientX, event.clientY));
+        this._startGesture();
+    }
+
+    _onPointerMove(event) {
+        if (!this._pointers.has(event.pointerId)) return;
+        event.preventDefault();
+        this._pointers.set(event.pointerId, this._local(event.clientX, event.clientY));
+
+        const [a, b] = this._pointers.values();
+        if (b) {
+            // Pinch: zoom by the change in finger spread, around the midpoint, and pan with it.
+            const distance = Math.hypot(b.x - a.x, b.y - a.y);
+            const middle = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+            if (this._distance > 0 && distance > 0) {
+                this._element.dispatchEvent(createZoomEvent(Math.log2(distance / this._distance), middle.x, middle.y));
+            }
+            this._distance = distance;
+            this._panTo(middle);
+        } else {
+            this._panTo(a);
+        }
+    }
+
+    _onPointerUp(event, tap) {
+        if (!this._pointers.delete(event.pointerId)) return;
+        if (tap && this._pointers.size === 0 && this._travel < this.threshold) this._onTap();
+        this._startGesture();
+    }
+
+    _onWheel(event) {
+        event.preventDefault();
+        const unit = event.deltaMode === 1 ? 16 : event.deltaMode === 2 ? this._element.clientHeight : 1;
+        const { x, y } = this._local(event.clientX, event.clientY);
+        this._element.dispatchEvent(createZoomEvent(-event.deltaY * unit * WHEEL_STEP, x, y));
+    }
+
+    // Restarts pan/pinch tracking from the pointers currently down, so fingers can come and go.
+    _startGesture() {
+        const [a, b] = this._pointers.values();
+        this._distance = b ? Math.hypot(b.x - a.x, b.y - a.y) : 0;
+        this._last = b ? { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } : a || null;
+    }
+
+    _panTo(point) {
+        if (!this._last) return;
+        const dx = point.x - this._last.x;
+        const dy = point.y - this._last.y;
+        this._last = point;
+        this._travel += Math.hypot(dx, dy);
+        if (dx !== 0 || dy !== 0) this._element.dispatchEvent(createPanEvent(dx, dy));
+    }
+}
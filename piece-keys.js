@@ -0,0 +1,85 @@
+// piece-keys.js - Keyboard control of a focused puzzle piece.
+
+import { createSelectEvent } from './select.js';
+import { createMoveEvent } from './move.js';
+import { createPlaceEvent } from './place.js';
+import { createRotateEvent } from './rotate.js';
+import { createHintEvent } from './hint.js';
+
+const STEP = 10;       // Pixels an arrow key nudges a picked-up piece
+const LARGE_STEP = 50; // ...with Shift held
+
+const POINTER_ID = 'keyboard'; // pointerId of the virtual pointer in select/move/place events
+
+const ARROWS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+/**
+ * Lets a focused piece be picked up (Enter/Space), nudged (arrows), rotated (R, Shift+R),
+ * dropped (Enter/Space) or put back (Escape), or asks where it goes (H). It dispatches the same
+ * select/move/place/rotate events as pointer input, acting as a virtual pointer held over the piece's centre.
+ * Arrow keys on a piece which isn't picked up are left to bubble up, for cycling focus.
+ */
+export class PieceKeys {
+    /**
+     * @param {HTMLElement} element - The focusable jigsaw-piece.
+     */
+    constructor(element) {
+        this._element = element;
+        this._pointer = null; // Virtual pointer {x, y, startX, startY} while picked up
+        element.addEventListener('keydown', this._onKeyDown.bind(this));
+        // Raising a piece re-inserts it; only drop when focus really moves elsewhere.
+        element.addEventListener('blur', () => { if (element.isConnected) this._drop(); });
+    }
+
+    /** True while the piece is picked up with the keyboard. */
+    get active() {
+        return this._pointer !== null;
+    }
+
+    _pieceId() {
+        return parseInt(this._element.getAttribute('piece-id'), 10);
+    }
+
+    _onKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey || this._element.hasAttribute('locked')) return;
+        const arrow = ARROWS[event.key];
+        if (event.key === 'Enter' || event.key === ' ') {
+            if (this.active) this._drop(); else this._pickUp();
+        } else if (event.key === 'r' || event.key === 'R') {
+            // R turns clockwise, Shift+R counter-clockwise (turns count counter-clockwise quarters).
+            this._element.dispatchEvent(createRotateEvent(this._pieceId(), event.shiftKey ? 1 : -1));
+        } else if (event.key === 'h' || event.key === 'H') {
+            this._element.dispatchEvent(createHintEvent(this._pieceId()));
+        } else if (event.key === 'Escape' && this.active) {
+            this._nudgeTo(this._pointer.startX, this._pointer.startY);
+            this._drop();
+        } else if (arrow && this.active) {
+            const step = event.shiftKey ? LARGE_STEP : STEP;
+            this._nudgeTo(this._pointer.x + arrow[0] * step, this._pointer.y + arrow[1] * step);
+        } else {
+            return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+    }
+
+    _pickUp() {
+        const rect = this._element.getBoundingClientRect();
+        const x = rect.left + rect.width / 2;
+        const y = rect.top + rect.height / 2;
+        this._pointer = { x, y, startX: x, startY: y };
+        this._element.dispatchEvent(createSelectEvent(this._pieceId(), x, y, POINTER_ID));
+    }
+
+    _nudgeTo(x, y) {
+        Object.assign(this._pointer, { x, y });
+        this._element.dispatchEvent(createMoveEvent(this._pieceId(), x, y, POINTER_ID));
+    }
+
+    _drop() {
+        if (!this.active) return;
+        this._pointer = null;
+        this._element.dispatchEvent(createPlaceEvent(this._pieceId(), POINTER_ID));
+        if (this._element.isConnected) this._element.focus({ preventScroll: true }); // Snapping re-inserts it, which drops focus
+    }
+}
@@ -0,0 +1,122 @@
+// piece-pointer.js - Pointer Events (mouse, pen and touch) control of puzzle pieces.
+
+import { createSelectEvent } from './select.js';
+import { createMoveEvent } from './move.js';
+import { createPlaceEvent } from './place.js';
+import { createRotateEvent } from './rotate.js';
+
+export const DEFAULT_THRESHOLD = 4; // Pixels a pointer may wander before a press becomes a drag
+const DOUBLE_TAP_TIME = 300; // Milliseconds between two taps which rotate the piece
+const LONG_PRESS_TIME = 500; // Milliseconds a touch or pen must stay put to rotate the piece
+
+/**
+ * Turns presses on pieces into select/move/place events (a drag, once the pointer has moved
+ * `threshold` pixels, or a select and place for a tap, toggling the selection with Shift, Ctrl or Cmd held)
+ * and rotate events (a double tap, or a long press by touch or pen). Pointers are captured, so each piece follows its own finger
+ * while others drag other pieces. Events carry the pointerId, telling concurrent drags apart.
+ */
+export class PiecePointer {
+    /**
+     * @param {HTMLElement} element - Element receiving pointer events and dispatching piece events.
+     * @param {Function} [hit] - Given a pointerdown event, returns the id of the loose piece pressed, or null.
+     *     By default the element is a jigsaw-piece and reports its own `piece-id` unless it's locked.
+     */
+    constructor(element, hit = () => element.hasAttribute('locked') ? null : parseInt(element.getAttribute('piece-id'), 10)) {
+        this._element = element;
+        this._hit = hit;
+        this.threshold = DEFAULT_THRESHOLD;
+        this._presses = new Map(); // Map<pointerId, {pieceId, x, y, dragging, rotated, timer}>
+        this._lastTap = null;      // {pieceId, pointerType, time} of the last tap, for double taps
+        element.addEventListener('pointerdown', this._onPointerDown.bind(this));
+        element.addEventListener('pointermove', this._onPointerMove.bind(this));
+        element.addEventListener('pointerup', this._onPointerUp.bind(this));
+        element.addEventListener('pointercancel', this._onPointerCancel.bind(this));
+        element.addEventListener('lostpointercapture', this._onLostPointerCapture.bind(this));
+        // A long press would otherwise open the context menu on touch screens.
+        element.addEventListener('contextmenu', event => { if (this._presses.size > 0) event.preventDefault(); });
+    }
+
+    _onPointerDown(event) {
+        if (event.button !== 0 || this._presses.has(event.pointerId)) return;
+        const pieceId = this._hit(event);
+        if (pieceId === null || isNaN(pieceId)) return;
+        event.preventDefault();
+        event.stopPropagation(); // Presses on pieces don't pan the view
+        this._element.setPointerCapture(event.pointerId);
+        const press = { pieceId, x: event.clientX, y: event.clientY, dragging: false, rotated: false, timer: null };
+        if (event.pointerType !== 'mouse') press.timer = setTimeout(() => this._onLongPress(press), LONG_PRESS_TIME);
+        this._presses.set(event.pointerId, press);
+    }
+
+    _onPointerMove(event) {
+        const press = this._presses.get(event.pointerId);
+        if (!press || press.rotated) return;
+        event.preventDefault();
+        if (!press.dragging) {
+            if (Math.hypot(event.clientX - press.x, event.clientY - press.y) < this.threshold) return;
+            press.dragging = true;
+            clearTimeout(press.timer);
+            // Pick the piece up where the press began, so it doesn't jump by the threshold.
+            this._element.dispatchEvent(createSelectEvent(press.pieceId, press.x, press.y, event.pointerId));
+            // Selecting raises the piece by re-inserting it, which releases the capture.
+            if (!this._element.hasPointerCapture(event.pointerId)) this._element.setPointerCapture(event.pointerId);
+        }
+        this._element.dispatchEvent(createMoveEvent(press.pieceId, event.clientX, event.clientY, event.pointerId));
+    }
+
+    _onPointerUp(event) {
+        const press = this._presses.get(event.pointerId);
+        if (!press) return;
+        event.preventDefault();
+        this._release(event.pointerId);
+        if (press.dragging) {
+            this._element.dispatchEvent(createPlaceEvent(press.pieceId, event.pointerId));
+        } else if (!press.rotated) {
+            this._onTap(event, press.pieceId);
+        }
+    }
+
+    _onPointerCancel(event) {
+        const press = this._presses.get(event.pointerId);
+        if (!press) return;
+        this._release(event.pointerId);
+        if (press.dragging) this._element.dispatchEvent(createPlaceEvent(press.pieceId, event.pointerId));
+    }
+
+    _onLostPointerCapture(event) {
+        if (!this._element.hasPointerCapture(event.pointerId)) this._onPointerCancel(event);
+    }
+
+    _onTap(event, pieceId) {
+        if (event.shiftKey || event.ctrlKey || event.metaKey) {
+            // Adds the piece to the selection, or takes it out, rather than starting a double tap.
+            this._lastTap = null;
+            this._element.dispatchEvent(createSelectEvent(pieceId, event.clientX, event.clientY, event.pointerId, true));
+            this._element.dispatchEvent(createPlaceEvent(pieceId, event.pointerId));
+            return;
+        }
+        const last = this._lastTap;
+        if (last && last.pieceId === pieceId && last.pointerType === event.pointerType && event.timeStamp - last.time < DOUBLE_TAP_TIME) {
+            this._lastTap = null;
+            this._element.dispatchEvent(createRotateEvent(pieceId, 1)); // 1 counter-clockwise turn
+            return;
+        }
+        this._lastTap = { pieceId, pointerType: event.pointerType, time: event.timeStamp };
+        // A tap just selects the piece, for the rotation buttons.
+        this._element.dispatchEvent(createSelectEvent(pieceId, event.clientX, event.clientY, event.pointerId));
+        this._element.dispatchEvent(createPlaceEvent(pieceId, event.pointerId));
+    }
+
+    _onLongPress(press) {
+        if (press.dragging || !Array.from(this._presses.values()).includes(press)) return;
+        press.rotated = true;
+        this._lastTap = null;
+        this._element.dispatchEvent(createRotateEvent(press.pieceId, 1));
+    }
+
+    _release(pointerId) {
+        clearTimeout(this._presses.get(pointerId).timer);
+        this._presses.delete(pointerId);
+        if (this._element.hasPointerCapture(pointerId)) this._element.releasePointerCapture(pointerId);
+    }
+}
@@ -1,28 +1,137 @@
 // piece.js - Domain model for a single puzzle piece.
 
+import { Joints } from './joints.js';
+
+export const ROTATIONS = ['none', 'quarter', 'free']; // Ways pieces may turn (the `rotation` attribute)
+
+/**
+ * A random orientation for a piece or cluster being scattered.
+ * @param {string} rotation - One of ROTATIONS.
+ * @param {Function} [random=Math.random] - Source of random numbers in [0, 1).
+ * @returns {number} Counter-clockwise quarter turns: 0 if pieces can't turn, whole turns for
+ *     `quarter`, and any fraction of a full circle for `free`.
+ */
+export function randomTurns(rotation, random = Math.random) {
+    if (rotation === 'none') return 0;
+    return rotation === 'free' ? random() * 4 : Math.floor(random() * 4);
+}
+
 /**
  * Represents a single puzzle piece's data model.
  * Positions and sizes are in the original image's pixel coordinates (world units).
  */
 export class Piece {
     /**
-     * @param {number} id - Unique identifier for the piece (grid index).
+     * @param {number} id - Unique identifier for the piece (its index in the cut).
      * @param {number} originX - X coordinate of piece's top-left in image.
      * @param {number} originY - Y coordinate of piece's top-left in image.
      * @param {number} width - Width in image pixels.
      * @param {number} height - Height in image pixels.
+     * @param {number[][]} [polygon] - Clockwise [x, y] outline in the image, before joints are cut; the rectangle by default.
      */
-    constructor(id, originX, originY, width, height) {
+    constructor(id, originX, originY, width, height, polygon) {
         this.id = id;
         this.originX = originX; // X in assembled image (image pixels)
         this.originY = originY; // Y in assembled image (image pixels)
         this.width = width;     // Width in image pixels
         this.height = height;   // Height in image pixels
+        this.polygon = polygon || [
+            [originX, originY], [originX + width, originY], [originX + width, originY + height], [originX, originY + height]
+        ];
 
         // Current state on the board
         this.currentX = originX; // Current X position (top-left) in image pixels
         this.currentY = originY; // Current Y position (top-left) in image pixels
-        this.rotation = 0;      // Current rotation in degrees (0, 90, 180, 270)
+        this.rotation = 0;      // Current clockwise rotation in degrees, from 0 up to 360 (multiples of 90 unless rotation is free)
+        this.locked = false;    // True once snapped into its correct position
+        this.group = id;        // Cluster this piece belongs to (see Clusters)
+
+        this.joints = new Joints(); // Shaped edges shared with neighbours (straight until cut)
+    }
+
+    /**
+     * The SVG outline of this piece, relative to its top-left origin.
+     * @returns {string} SVG path data.
+     */
+    path() {
+        return this.joints.path(this);
+    }
+
+    /**
+     * The sides this piece cuts along, once each across the whole puzzle (see Joints#cuts).
+     * @returns {string[]} SVG path data in image pixels.
+     */
+    cuts() {
+        return this.joints.cuts(this);
+    }
+
+    /**
+     * Moves the piece on the board.
+     * @param {number} x - New X position (top-left) in image pixels.
+     * @param {number} y - New Y position (top-left) in image pixels.
+     */
+    place(x, y) {
+        this.currentX = x;
+        this.currentY = y;
+    }
+
+    /**
+     * Rotates the piece by quarter turns.
+     * @param {number} turns - Number of 90-degree counter-clockwise turns (fractions turn it freely).
+     */
+    rotate(turns) {
+        this.rotation = ((this.rotation - turns * 90) % 360 + 360) % 360;
+    }
+
+    /**
+     * The centre of the piece on the board, which is also its centre of rotation.
+     * @returns {{x: number, y: number}}
+     */
+    center() {
+        return { x: this.currentX + this.width / 2, y: this.currentY + this.height / 2 };
+    }
+
+    /**
+     * Where a point on the board lies in the picture, if it falls within the piece's nominal rectangle (nibs aside).
+     * @param {number} x - Image pixels from the board's left.
+     * @param {number} y - Image pixels from the board's top.
+     * @returns {{x: number, y: number}|null} Image pixels, or null if the point is outside the piece.
+     */
+    locate(x, y) {
+        const radians = -this.rotation * Math.PI / 180; // Back the way the piece turned
+        const center = this.center();
+        const dx = x - center.x;
+        const dy = y - center.y;
+        const u = this.width / 2 + dx * Math.cos(radians) - dy * Math.sin(radians);
+        const v = this.height / 2 + dx * Math.sin(radians) + dy * Math.cos(radians);
+        if (u < 0 || v < 0 || u > this.width || v > this.height) return null;
+        return { x: this.originX + u, y: this.originY + v };
+    }
+
+    /**
+     * @returns {Piece[]} Pieces sharing a joint with this one.
+     */
+    neighbours() {
+        return this.joints.neighbours(this);
+    }
+
+    /**
+     * @returns {boolean} True if the piece has a straight outer side, on the edge of the puzzle.
+     */
+    isEdge() {
+        return this.joints.sides.some(joint => !joint);
+    }
+
+    /**
+     * True if the piece is (nearly) unrotated and within tolerance of its origin.
+     * @param {number} [tolerance=0] - Maximum distance from the origin on each axis, in image pixels.
+     * @param {number} [angle=0] - Maximum rotation either way, in degrees.
+     * @returns {boolean}
+     */
+    test(tolerance = 0, angle = 0) {
+        return Math.min(this.rotation, 360 - this.rotation) <= angle &&
+            Math.abs(this.currentX - this.originX) <= tolerance &&
+            Math.abs(this.currentY - this.originY) <= tolerance;
     }
 
     /**
@@ -31,14 +140,29 @@ export class Piece {
      * @param {number} boardHeight - Height of the scatter area.
      * @param {number} boardOffsetX - X offset of scatter area's top-left.
      * @param {number} boardOffsetY - Y offset of scatter area's top-left.
+     * @param {Function} [random=Math.random] - Source of random numbers in [0, 1).
+     * @param {string} [rotation='quarter'] - How pieces may turn (see ROTATIONS).
      */
-    randomizePlacement(boardWidth, boardHeight, boardOffsetX, boardOffsetY) {
-         const randomX = boardOffsetX + Math.random() * (boardWidth - this.width);
-         const randomY = boardOffsetY + Math.random() * (boardHeight - this.height);
+    randomizePlacement(boardWidth, boardHeight, boardOffsetX, boardOffsetY, random = Math.random, rotation = 'quarter') {
+         const randomX = boardOffsetX + random() * (boardWidth - this.width);
+         const randomY = boardOffsetY + random() * (boardHeight - this.height);
          this.currentX = randomX;
          this.currentY = randomY;
 
-         const randomAngle = Math.floor(Math.random() * 4) * 90; // 0, 90, 180, 270
-         this.rotation = randomAngle;
+         this.rotation = 0;
+         this.rotate(-randomTurns(rotation, random)); // Clockwise, so a seed picks the angles it always has
+    }
+
+    /**
+     * Creates a piece whose origin and size are the bounding box of an outline.
+     * @param {number} id - Unique identifier for the piece.
+     * @param {number[][]} polygon - Clockwise [x, y] outline in the image (see tessellate).
+     * @returns {Piece}
+     */
+    static fromPolygon(id, polygon) {
+        const xs = polygon.map(([x]) => x);
+        const ys = polygon.map(([, y]) => y);
+        const [minX, minY] = [Math.min(...xs), Math.min(...ys)];
+        return new Piece(id, minX, minY, Math.max(...xs) - minX, Math.max(...ys) - minY, polygon);
     }
 }
\ No newline at end of file
@@ -1,8 +1,8 @@
 // place.js - Custom event for the final placement of a puzzle piece after a drag.
 
-export function createPlaceEvent(pieceId) {
+export function createPlaceEvent(pieceId, pointerId = 0) {
     return new CustomEvent('place', {
         bubbles: true, composed: true,
-        detail: { pieceId }
+        detail: { pieceId, pointerId }
     });
 }
\ No newline at end of file
@@ -0,0 +1,16 @@
+// playback.js - Custom event for playing, pausing, skipping or speeding up a replayed timelapse.
+
+/**
+ * Creates a custom 'playback' event. Anything left out stays as it is.
+ * @param {Object} changes
+ * @param {boolean} [changes.playing] - True to play, false to pause.
+ * @param {number} [changes.time] - Milliseconds into the recording to skip to.
+ * @param {number} [changes.speed] - How many times faster than it was recorded to play.
+ * @returns {CustomEvent}
+ */
+export function createPlaybackEvent({ playing, time, speed }) {
+    return new CustomEvent('playback', {
+        bubbles: true, composed: true,
+        detail: { playing, time, speed }
+    });
+}
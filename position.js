@@ -0,0 +1,15 @@
+// position.js - Domain model for a point in board space.
+
+/**
+ * A point in board coordinates (image pixels).
+ */
+export class Position {
+    /**
+     * @param {number} x - Board X.
+     * @param {number} y - Board Y.
+     */
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+}
@@ -0,0 +1,14 @@
+// progress.js - Custom event reporting how many pieces are correctly placed.
+
+/**
+ * Creates a custom 'progress' event.
+ * @param {number} placed - Number of pieces in their correct position and orientation.
+ * @param {number} total - Number of pieces in the puzzle.
+ * @returns {CustomEvent}
+ */
+export function createProgressEvent(placed, total) {
+    return new CustomEvent('progress', {
+        bubbles: true, composed: true,
+        detail: { placed, total }
+    });
+}
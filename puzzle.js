@@ -0,0 +1,359 @@
+// puzzle.js - Headless puzzle engine: the pieces, their clusters and the rules for moving them, without any DOM.
+
+import { Piece, ROTATIONS, randomTurns } from './piece.js';
+import { Joint } from './joint.js';
+import { Joints } from './joints.js';
+import { tessellate, grid, CUTS } from './tessellations.js';
+import { LAYOUTS, shuffled, tray, spiral, spread } from './layouts.js';
+import { Clusters } from './clusters.js';
+import { Position } from './position.js';
+import { createRandom } from './random.js';
+import { serializeState, validateState } from './state.js';
+
+export const DEFAULT_SIZE = 40; // Pieces to aim for
+export const DEFAULT_TOLERANCE = 0.2; // Snap distance, as a fraction of the piece size
+export const DEFAULT_ANGLE_TOLERANCE = 10; // Snap angle in free rotation, in degrees either way
+
+const TABLE_SCALE = 2; // Pieces start scattered over a table this many times the picture's size, centred on it
+const LAYOUT_GAP = 0.3; // Space left between laid-out pieces, as a fraction of the piece size (clearing their nibs)
+const SETTINGS = ['size', 'seed', 'cut', 'rotation']; // What a saved state decides for itself
+
+/**
+ * A jigsaw puzzle of one picture: how it was cut, where every piece lies, which pieces are joined
+ * and which are placed. Pieces are named by id (their index in `pieces`); moving or turning one
+ * moves or turns its whole cluster. Needs nothing but plain JavaScript, so it runs in Node too.
+ *
+ * Every change is reported to subscribers as `{type, pieceId, pieces}`: the kind of change ('move',
+ * 'rotate', 'merge', 'snap', 'lock', 'shuffle', 'gather-edges', 'spread', 'collect' or 'restore'),
+ * the piece it was made through (null for the whole board), and the ids of every piece that moved.
+ * Moves also carry the `x` and `y` the piece was moved to, and turns the `turns`; both carry `together`, the
+ * ids of pieces whose clusters went along with it. Those are enough to make the same change again exactly.
+ */
+export class Puzzle {
+    /**
+     * @param {ImageInfo} image - The picture; only its size matters here (its url is saved with the state).
+     * @param {Object} [options]
+     * @param {number} [options.size=40] - Number of pieces to aim for (the cut decides exactly).
+     * @param {string|null} [options.seed=null] - Cuts and scatters the same way every time, and everywhere.
+     * @param {string} [options.cut='grid'] - How to cut the picture (see CUTS).
+     * @param {string} [options.rotation='quarter'] - How pieces may turn (see ROTATIONS).
+     * @param {string} [options.layout='pile'] - How loose pieces are scattered (see LAYOUTS).
+     * @param {number} [options.tolerance=0.2] - Snap and join distance, as a fraction of the piece size.
+     * @param {number} [options.angleTolerance=10] - Snap and join angle in free rotation, in degrees either way.
+     * @param {Object} [options.state] - A serialize() snapshot to restore, rather than cutting afresh. It brings its own
+     *     size, seed, cut and rotation; any of those given as well must match it.
+     * @param {Function} [options.held] - Given a piece, true if someone is holding its cluster; shuffling,
+     *     solving and the other rearrangements leave those alone.
+     * @throws {Error} If the state is malformed, from another version, for a different picture, or doesn't match the settings given.
+     */
+    constructor(image, options = {}) {
+        const {
+            size = DEFAULT_SIZE, seed = null, cut = 'grid', rotation = 'quarter', layout = 'pile',
+            tolerance = DEFAULT_TOLERANCE, angleTolerance = DEFAULT_ANGLE_TOLERANCE, state = null, held = () => false
+        } = options;
+        if (state) {
+            // Only the settings actually given are held against the state.
+            const expected = SETTINGS.filter(name => options[name] !== undefined).map(name => [name, options[name]]);
+            validateState(state, image, Object.fromEntries(expected));
+        }
+        this.image = image;
+        this.size = state ? state.size : size;
+        this.seed = state ? (state.seed === undefined ? null : state.seed) : seed;
+        this.cut = state ? state.cut || 'grid' : CUTS.includes(cut) ? cut : 'grid';
+        this.rotation = state ? state.rotation || 'quarter' : ROTATIONS.includes(rotation) ? rotation : 'quarter';
+        this.layout = LAYOUTS.includes(layout) ? layout : 'pile';
+        this.tolerance = tolerance;
+        this.angleTolerance = angleTolerance;
+        this._random = this.seed === null ? Math.random : createRandom(this.seed); // Source of every random decision
+        this._held = held;
+        this._listeners = new Set();
+
+        // Only the `random` cut draws on the random numbers here, so seeded grid puzzles scatter as they always have.
+        const { width, height } = image;
+        const { rows, cols, polygons } = state ?
+            { rows: state.rows, cols: state.cols, polygons: state.polygons || grid(width, height, state.rows, state.cols) } :
+            tessellate(this.cut, width, height, this.size, this._random);
+        this.rows = rows; // Rows and columns of the lattice the cut was laid out on
+        this.cols = cols;
+
+        this.minimum = new Position(-width * (TABLE_SCALE - 1) / 2, -height * (TABLE_SCALE - 1) / 2); // Top-left of the table
+        this.maximum = new Position(this.minimum.x + width * TABLE_SCALE, this.minimum.y + height * TABLE_SCALE); // Bottom-right
+        this.pieces = polygons.map((polygon, id) => {
+            const piece = Piece.fromPolygon(id, polygon);
+            if (state) {
+                const { x, y, rotation, locked, group } = state.pieces[id];
+                piece.place(x, y);
+                Object.assign(piece, { rotation, locked, group });
+            } else {
+                piece.randomizePlacement(width * TABLE_SCALE, height * TABLE_SCALE, this.minimum.x, this.minimum.y, this._random, this.rotation);
+            }
+            return piece;
+        });
+
+        let jointIndex = 0; // Saved joints are listed in the order Joints.connect creates them
+        const createJoint = state ?
+            (pair, from, to) => Joint.deserialize(state.joints[jointIndex++], pair, from, to) :
+            (pair, from, to) => Joint.random(pair, from, to, this._random);
+        Joints.connect(this.pieces, createJoint).forEach((joints, id) => { this.pieces[id].joints = joints; });
+        this._clusters = new Clusters(this.pieces);
+        if (!state && this.layout !== 'pile') {
+            // Piled pieces are already scattered; the other layouts take them in random order.
+            const pieces = shuffled(this.pieces, this._random);
+            this._layOut(pieces, this.layout).forEach((offset, i) => this._clusters.translate(pieces[i], offset.x, offset.y));
+        }
+        this._extend();
+    }
+
+    /**
+     * @param {Function} listener - Called with each change (see above).
+     * @returns {Function} Stops calling the listener.
+     */
+    subscribe(listener) {
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    }
+
+    /** Number of pieces in their correct position and orientation. */
+    get placed() {
+        return this.pieces.filter(piece => this.isPlaced(piece)).length;
+    }
+
+    /** True once every piece is placed. */
+    get complete() {
+        return this.placed === this.pieces.length;
+    }
+
+    /**
+     * @param {Piece} piece
+     * @returns {boolean} True if the piece is where it belongs, the right way up (within tolerance).
+     */
+    isPlaced(piece) {
+        return piece.test(this.snapDistance(piece), this.angleTolerance);
+    }
+
+    /**
+     * @param {Piece} piece
+     * @returns {number} How close the piece must come to its place or a neighbour to snap or join, in image pixels.
+     */
+    snapDistance(piece) {
+        return this.tolerance * Math.min(piece.width, piece.height);
+    }
+
+    /**
+     * @param {number} turns - Counter-clockwise quarter turns.
+     * @returns {boolean} True if the puzzle's rotation lets pieces turn that far.
+     */
+    allows(turns) {
+        return this.rotation === 'free' || (this.rotation === 'quarter' && Number.isInteger(turns));
+    }
+
+    /**
+     * @param {number} pieceId
+     * @returns {Piece[]} Every piece in its cluster, including itself (none for unknown pieces).
+     */
+    members(pieceId) {
+        const piece = this.pieces[pieceId];
+        return piece ? this._clusters.members(piece) : [];
+    }
+
+    /**
+     * @param {number} pieceId
+     * @param {number[]} [together=[]] - Other pieces whose clusters turn along with it, as a group.
+     * @returns {{x: number, y: number}} The centre its cluster (or the group) turns around (see Clusters#pivot).
+     */
+    pivot(pieceId, together = []) {
+        return this._clusters.pivot(this.pieces[pieceId], this._others(together));
+    }
+
+    /**
+     * Loose clusters nobody is holding.
+     * @returns {Piece[]} One piece of each, in id order.
+     */
+    loose() {
+        const seen = new Set(); // Groups already listed
+        return this.pieces.filter(piece => {
+            if (piece.locked || seen.has(piece.group) || this._held(piece)) return false;
+            seen.add(piece.group);
+            return true;
+        });
+    }
+
+    /**
+     * Moves a piece's cluster so the piece's top-left corner is at (x, y). It doesn't join or snap until settled.
+     * @param {number} pieceId
+     * @param {number} x - Image pixels from the board's left.
+     * @param {number} y - Image pixels from the board's top.
+     * @param {number[]} [together=[]] - Other pieces whose clusters move along with it, as a group (placed ones stay put).
+     * @returns {Piece[]} The moved members (none for placed or unknown pieces).
+     */
+    move(pieceId, x, y, together = []) {
+        const piece = this.pieces[pieceId];
+        if (!piece || piece.locked) return [];
+        const others = this._others(together);
+        const moved = this._clusters.translate(piece, x - piece.currentX, y - piece.currentY, others);
+        return this._emit('move', pieceId, moved, { x, y, together: others.map(other => other.id) });
+    }
+
+    /**
+     * Turns a piece's cluster about its pivot. It doesn't join or snap until settled.
+     * @param {number} pieceId
+     * @param {number} turns - 90° turns counter-clockwise (negative for clockwise); in free rotation, any fraction.
+     * @param {number[]} [together=[]] - Other pieces whose clusters turn along with it, as one rigid group about
+     *     the group's pivot (placed ones stay put).
+     * @returns {Piece[]} The turned members (none for placed or unknown pieces, and turns the rotation doesn't allow).
+     */
+    rotate(pieceId, turns, together = []) {
+        const piece = this.pieces[pieceId];
+        if (!piece || piece.locked || !this.allows(turns)) return [];
+        const others = this._others(together);
+        return this._emit('rotate', pieceId, this._clusters.rotate(piece, turns, others), { turns, together: others.map(other => other.id) });
+    }
+
+    /**
+     * Joins a dropped or turned piece's cluster to its neighbours, then snaps it into place, if it's close enough.
+     * @param {number} pieceId
+     * @returns {{joined: Piece[], snapped: Piece[]}} The members of the cluster it joined up into (none if it
+     *     joined nothing), and those it locked in place (none if it didn't snap).
+     */
+    settle(pieceId) {
+        const piece = this.pieces[pieceId];
+        if (!piece || piece.locked) return { joined: [], snapped: [] };
+        const tolerance = this.snapDistance(piece);
+        const joined = this._clusters.join(piece, tolerance, this.angleTolerance) ? this._clusters.members(piece) : [];
+        this._emit('merge', pieceId, joined);
+        const snapped = this._clusters.snap(piece, tolerance, this.angleTolerance);
+        return { joined, snapped: this._emit('snap', pieceId, snapped) };
+    }
+
+    /**
+     * Puts a piece's cluster in its place, locked there.
+     * @param {number} pieceId
+     * @returns {Piece[]} The locked members (none if it was already placed).
+     */
+    lock(pieceId) {
+        const piece = this.pieces[pieceId];
+        if (!piece || piece.locked) return [];
+        const members = this._clusters.members(piece);
+        members.forEach(member => {
+            member.place(member.originX, member.originY);
+            Object.assign(member, { rotation: 0, locked: true });
+        });
+        return this._emit('lock', pieceId, members);
+    }
+
+    /**
+     * Puts every loose cluster in its place.
+     */
+    solve() {
+        this.loose().forEach(piece => this.lock(piece.id));
+    }
+
+    /**
+     * Scatters every loose cluster again, per the layout: anywhere on the table for a pile, else turned at
+     * random and laid out around the board in random order.
+     */
+    shuffle() {
+        const loose = this.loose();
+        if (this.layout === 'pile') {
+            loose.forEach(piece => this._clusters.scatter(piece, this.minimum, this.maximum, this._random, this.rotation));
+        } else {
+            loose.forEach(piece => this._clusters.rotate(piece, randomTurns(this.rotation, this._random)));
+            const pieces = shuffled(loose, this._random);
+            this._layOut(pieces, this.layout).forEach((offset, i) => this._clusters.translate(pieces[i], offset.x, offset.y));
+            this._extend();
+        }
+        this._emit('shuffle', null, loose.flatMap(piece => this._clusters.members(piece)));
+    }
+
+    /**
+     * Lays every loose cluster with an edge piece in it out in rows around the board, to start on the border.
+     */
+    gatherEdges() {
+        const edges = this.loose().filter(piece => this._clusters.members(piece).some(member => member.isEdge()));
+        this._arrange('gather-edges', edges, this._layOut(edges, 'tray'));
+    }
+
+    /**
+     * Nudges overlapping loose clusters apart until every one can be seen.
+     */
+    spread() {
+        const loose = this.loose();
+        this._arrange('spread', loose, spread(loose.map(piece => this._clusters.box(piece)), LAYOUT_GAP * this._pieceSize()));
+    }
+
+    /**
+     * Lays every loose cluster out in rows around the board, clear of each other.
+     */
+    collect() {
+        const loose = this.loose();
+        this._arrange('collect', loose, this._layOut(loose, 'tray'));
+    }
+
+    /**
+     * Puts pieces back as a snapshot recorded them (see history.js), re-forming the clusters and taking in
+     * any that lie off the table.
+     * @param {Array[]} pieces - [id, [x, y, rotation, locked, group]] of each piece to change.
+     */
+    restore(pieces) {
+        pieces.forEach(([id, [x, y, rotation, locked, group]]) => {
+            this.pieces[id].place(x, y);
+            Object.assign(this.pieces[id], { rotation, locked, group });
+        });
+        this._clusters = new Clusters(this.pieces);
+        this._extend();
+        this._emit('restore', null, pieces.map(([id]) => this.pieces[id]));
+    }
+
+    /**
+     * Snapshot of the whole puzzle (see serializeState()), which can be passed back as the `state` option.
+     * @param {Object} [stats] - Session totals to save with it, from Stats#serialize().
+     * @returns {Object} JSON-compatible state.
+     */
+    serialize(stats) {
+        const { image, size, seed, cut, rotation, rows, cols, pieces } = this;
+        return serializeState({ imageInfo: image, size, seed, cut, rotation, rows, cols, pieces, stats });
+    }
+
+    // The loose pieces among some ids, for moving or turning with another piece's cluster.
+    _others(pieceIds) {
+        return pieceIds.map(id => this.pieces[id]).filter(piece => piece && !piece.locked);
+    }
+
+    // Reports a change (with any details of it) to the subscribers, if any piece changed, passing the pieces on.
+    _emit(type, pieceId, pieces, details = {}) {
+        if (pieces.length > 0) {
+            const change = { type, pieceId, pieces: pieces.map(piece => piece.id), ...details };
+            this._listeners.forEach(listener => listener(change));
+        }
+        return pieces;
+    }
+
+    // Moves clusters (each given by one of its pieces) by offsets.
+    _arrange(type, pieces, offsets) {
+        pieces.forEach((piece, i) => this._clusters.translate(piece, offsets[i].x, offsets[i].y));
+        this._extend();
+        this._emit(type, null, pieces.flatMap(piece => this._clusters.members(piece)));
+    }
+
+    // How far to move each cluster (given by one of its pieces) to lay them out in a tray or spiral around the board.
+    _layOut(pieces, layout) {
+        const boxes = pieces.map(piece => this._clusters.box(piece));
+        const sizes = boxes.map(box => ({ width: box.right - box.left, height: box.bottom - box.top }));
+        const board = { left: 0, top: 0, right: this.image.width, bottom: this.image.height };
+        const positions = (layout === 'spiral' ? spiral : tray)(sizes, board, LAYOUT_GAP * this._pieceSize());
+        return positions.map((position, i) => new Position(position.x - boxes[i].left, position.y - boxes[i].top));
+    }
+
+    // Grows the table to take in every piece.
+    _extend() {
+        const groups = new Map(this.pieces.map(piece => [piece.group, piece])); // One piece per cluster
+        const boxes = Array.from(groups.values(), piece => this._clusters.box(piece));
+        this.minimum = new Position(Math.min(this.minimum.x, ...boxes.map(box => box.left)), Math.min(this.minimum.y, ...boxes.map(box => box.top)));
+        this.maximum = new Position(Math.max(this.maximum.x, ...boxes.map(box => box.right)), Math.max(this.maximum.y, ...boxes.map(box => box.bottom)));
+    }
+
+    // The typical size of a piece, in image pixels.
+    _pieceSize() {
+        return Math.sqrt(this.image.width * this.image.height / Math.max(1, this.pieces.length));
+    }
+}
@@ -0,0 +1,166 @@
+import { expect } from 'lovecraft';
+import { Puzzle } from './puzzle.js';
+import { ImageInfo } from './image-info.js';
+
+const image = new ImageInfo('cat.jpg', 1344, 960);
+const where = puzzle => puzzle.pieces.map(({ currentX, currentY, rotation, locked, group }) => [currentX, currentY, rotation, locked, group]);
+
+describe('Puzzle', () => {
+    describe('seeded', () => {
+        it('cuts and scatters the same way every time', () => {
+            ['grid', 'hex', 'random'].forEach(cut => {
+                const first = new Puzzle(image, { size: 20, seed: 'ghoul', cut });
+                const second = new Puzzle(image, { size: 20, seed: 'ghoul', cut });
+                expect(second.serialize()).to.deep.equal(first.serialize());
+            });
+        });
+
+        it('scatters differently with another seed', () => {
+            const first = new Puzzle(image, { size: 20, seed: 'ghoul' });
+            const second = new Puzzle(image, { size: 20, seed: 'ghast' });
+            expect(where(second)).not.to.deep.equal(where(first));
+        });
+
+        it('shuffles the same way every time', () => {
+            const first = new Puzzle(image, { size: 20, seed: 'ghoul', layout: 'tray' });
+            const second = new Puzzle(image, { size: 20, seed: 'ghoul', layout: 'tray' });
+            first.shuffle();
+            second.shuffle();
+            expect(where(second)).to.deep.equal(where(first));
+        });
+    });
+
+    describe('state', () => {
+        it('restores exactly the board it was saved from', () => {
+            const puzzle = new Puzzle(image, { size: 20, seed: 'ghoul', cut: 'hex', rotation: 'free' });
+            puzzle.move(3, 100, 200);
+            puzzle.rotate(3, 0.5);
+            puzzle.lock(7);
+            const state = JSON.parse(JSON.stringify(puzzle.serialize()));
+            const restored = new Puzzle(image, { state });
+            expect(restored.serialize()).to.deep.equal(puzzle.serialize());
+            expect(where(restored)).to.deep.equal(where(puzzle));
+        });
+
+        it('takes its seed, cut and rotation from the state', () => {
+            const state = new Puzzle(image, { size: 20, seed: 'ghoul', cut: 'hex', rotation: 'free' }).serialize();
+            const restored = new Puzzle(image, { state });
+            expect(restored.seed).to.equal('ghoul');
+            expect(restored.cut).to.equal('hex');
+            expect(restored.rotation).to.equal('free');
+        });
+
+        it('shuffles on from a state as the seed would', () => {
+            const state = new Puzzle(image, { size: 20, seed: 'ghoul' }).serialize();
+            const first = new Puzzle(image, { state });
+            const second = new Puzzle(image, { state });
+            first.shuffle();
+            second.shuffle();
+            expect(where(second)).to.deep.equal(where(first));
+        });
+
+        it('rejects settings the state was not saved with', () => {
+            const state = new Puzzle(image, { size: 20, seed: 'ghoul', rotation: 'free' }).serialize();
+            expect(() => new Puzzle(image, { state, seed: 'ghoul', rotation: 'free' })).not.to.throw();
+            expect(() => new Puzzle(image, { state, seed: 'ghast' })).to.throw(/seed/);
+            expect(() => new Puzzle(image, { state, rotation: 'quarter' })).to.throw(/rotation/);
+            expect(() => new Puzzle(image, { state, cut: 'hex' })).to.throw(/cut/);
+            expect(() => new Puzzle(image, { state, size: 30 })).to.throw(/pieces/);
+        });
+
+        it('rejects a state for another picture', () => {
+            const state = new Puzzle(image, { size: 20 }).serialize();
+            expect(() => new Puzzle(new ImageInfo('dog.jpg', 1344, 960), { state })).to.throw(/different image/);
+        });
+    });
+
+    describe('settle', () => {
+        let puzzle;
+        let changes;
+
+        beforeEach(() => {
+            puzzle = new Puzzle(image, { size: 20, seed: 'ghoul', rotation: 'none' });
+            changes = [];
+            puzzle.subscribe(change => changes.push(change));
+        });
+
+        it('joins a piece dropped beside its neighbour', () => {
+            const [left, right] = puzzle.pieces;
+            puzzle.move(right.id, left.currentX + right.originX - left.originX + 2, left.currentY + right.originY - left.originY - 2);
+            const { joined, snapped } = puzzle.settle(right.id);
+            expect(joined).to.have.members([left, right]);
+            expect(snapped).to.be.empty;
+            expect(right.group).to.equal(left.group);
+            expect(changes.map(change => change.type)).to.deep.equal(['move', 'merge']);
+        });
+
+        it('moves joined pieces together', () => {
+            const [left, right] = puzzle.pieces;
+            puzzle.move(right.id, left.currentX + right.originX - left.originX, left.currentY + right.originY - left.originY);
+            puzzle.settle(right.id);
+            puzzle.move(left.id, left.currentX + 50, left.currentY + 50);
+            expect(right.currentX - left.currentX).to.be.closeTo(right.originX - left.originX, 1e-9);
+            expect(right.currentY - left.currentY).to.be.closeTo(right.originY - left.originY, 1e-9);
+        });
+
+        it('leaves a piece far from anything where it was dropped', () => {
+            const [piece] = puzzle.pieces;
+            puzzle.move(piece.id, puzzle.minimum.x, puzzle.minimum.y);
+            expect(puzzle.settle(piece.id)).to.deep.equal({ joined: [], snapped: [] });
+            expect(piece.locked).to.be.false;
+        });
+
+        it('snaps a piece dropped near its place', () => {
+            const [piece] = puzzle.pieces;
+            puzzle.move(piece.id, piece.originX + 3, piece.originY - 3);
+            const { snapped } = puzzle.settle(piece.id);
+            expect(snapped).to.deep.equal([piece]);
+            expect(piece).to.include({ currentX: piece.originX, currentY: piece.originY, locked: true });
+            expect(puzzle.move(piece.id, 0, 0)).to.be.empty;
+            expect(changes.map(change => change.type)).to.deep.equal(['move', 'snap']);
+        });
+    });
+
+    describe('layout', () => {
+        // True if a piece lies on the board, rather than around it.
+        const onBoard = piece => piece.currentX + piece.width > 0 && piece.currentX < image.width &&
+            piece.currentY + piece.height > 0 && piece.currentY < image.height;
+
+        it('lays pieces out around the board in a tray or spiral', () => {
+            ['tray', 'spiral'].forEach(layout => {
+                const puzzle = new Puzzle(image, { size: 20, seed: 'ghoul', rotation: 'none', layout });
+                expect(puzzle.pieces.filter(onBoard), layout).to.be.empty;
+                expect(puzzle.minimum.x).to.be.at.most(Math.min(...puzzle.pieces.map(piece => piece.currentX)));
+                expect(puzzle.maximum.y).to.be.at.least(Math.max(...puzzle.pieces.map(piece => piece.currentY + piece.height)));
+            });
+        });
+
+        it('gathers just the loose edge pieces', () => {
+            const puzzle = new Puzzle(image, { size: 20, seed: 'ghoul', rotation: 'none' });
+            const middle = puzzle.pieces.find(piece => !piece.isEdge());
+            puzzle.move(middle.id, 100, 100);
+            puzzle.lock(0);
+            puzzle.gatherEdges();
+            expect(puzzle.pieces[0]).to.include({ currentX: 0, currentY: 0 });
+            expect(middle).to.include({ currentX: 100, currentY: 100 });
+            expect(puzzle.pieces.filter(piece => piece.isEdge() && !piece.locked).filter(onBoard)).to.be.empty;
+        });
+    });
+
+    describe('complete', () => {
+        it('is false until every piece is placed', () => {
+            const puzzle = new Puzzle(image, { size: 20, seed: 'ghoul' });
+            expect(puzzle.complete).to.be.false;
+            puzzle.lock(0);
+            expect(puzzle.placed).to.be.at.least(1);
+            expect(puzzle.complete).to.be.false;
+        });
+
+        it('is true once solved', () => {
+            const puzzle = new Puzzle(image, { size: 20, seed: 'ghoul' });
+            puzzle.solve();
+            expect(puzzle.placed).to.equal(puzzle.pieces.length);
+            expect(puzzle.complete).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,31 @@
+// random.js - Seeded pseudo-random number generation.
+
+/**
+ * Hashes a string into a 32-bit unsigned integer (FNV-1a).
+ * @param {string} text
+ * @returns {number}
+ */
+const hash = text => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+    }
+    return h >>> 0;
+};
+
+/**
+ * Creates a deterministic drop-in replacement for Math.random (mulberry32).
+ * The same seed yields the same sequence in every JavaScript engine.
+ * @param {string|number} seed - Any string or number.
+ * @returns {Function} A function returning numbers in [0, 1).
+ */
+export function createRandom(seed) {
+    let state = hash(String(seed));
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,13 @@
+// reference.js - Custom event for showing or hiding the reference image.
+
+/**
+ * Creates a custom 'reference' event.
+ * @param {boolean} [show] - Whether to show the reference panel; toggles it if omitted.
+ * @returns {CustomEvent}
+ */
+export function createReferenceEvent(show) {
+    return new CustomEvent('reference', {
+        bubbles: true, composed: true,
+        detail: { show }
+    });
+}
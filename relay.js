@@ -0,0 +1,55 @@
+// relay.js - Reference relay server for shared boards (see WebSocketTransport).
+// Run with `npm run relay` (port 8080, or $PORT), or start one from tests with createRelay({ port: 0 }).
+// Needs the `ws` package, an optional peer dependency of jigsawyer: install it alongside to run a relay.
+
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer, WebSocket } from 'ws';
+
+const DEFAULT_PORT = 8080;
+
+/**
+ * Starts a relay which passes every message on to the other sockets in the same room, named by
+ * the URL path (`ws://host:port/room`). When a socket closes, the rest of its room is told
+ * `{type: 'bye', client}` so any pieces it was dragging are let go.
+ * @param {Object} [options] - Options for ws's WebSocketServer, e.g. `{ port }` or `{ server }`.
+ * @returns {WebSocketServer} The running server; `address().port` is its port, `close()` stops it.
+ */
+export function createRelay(options = { port: DEFAULT_PORT }) {
+    const server = new WebSocketServer(options);
+    const rooms = new Map(); // Map<path, Set<WebSocket>>
+
+    server.on('connection', (socket, request) => {
+        const room = request.url || '/';
+        if (!rooms.has(room)) rooms.set(room, new Set());
+        const peers = rooms.get(room);
+        peers.add(socket);
+        let client = null; // Sync client id, from the socket's first message
+
+        const broadcast = data => peers.forEach(peer => {
+            if (peer !== socket && peer.readyState === WebSocket.OPEN) peer.send(data);
+        });
+        socket.on('message', data => {
+            const text = data.toString();
+            if (client === null) {
+                try {
+                    client = JSON.parse(text).client || null;
+                } catch (error) {
+                    return; // Not a sync message
+                }
+            }
+            broadcast(text);
+        });
+        socket.on('close', () => {
+            peers.delete(socket);
+            if (peers.size === 0) rooms.delete(room);
+            if (client !== null) broadcast(JSON.stringify({ type: 'bye', client }));
+        });
+    });
+    return server;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+    createRelay({ port });
+    console.log(`Jigsawyer relay listening on ws://localhost:${port}/<room>`);
+}
@@ -0,0 +1,173 @@
+import './test-dom.js';
+import { expect, stub } from 'lovecraft';
+import { WebSocket } from 'ws';
+import { createRelay } from './relay.js';
+import { WebSocketTransport } from './websocket-transport.js';
+import { createSelectEvent } from './select.js';
+import { createPlaceEvent } from './place.js';
+import './jigsaw-puzzle.js';
+
+// Resolves once a test passes, checking every few milliseconds; rejects if it still fails after a while.
+const until = (test, timeout = 2000) => new Promise((resolve, reject) => {
+    const started = Date.now();
+    const check = () => {
+        if (test()) resolve();
+        else if (Date.now() - started > timeout) reject(new Error('Timed out'));
+        else setTimeout(check, 10);
+    };
+    check();
+});
+
+describe('relay', function () {
+    this.timeout(10000); // Puzzles and sockets take a while on a slow machine
+    let relay;
+    let url;
+    let puzzles;
+    let greeted; // Sockets the relay has heard from, so later ones won't hear them say hello
+
+    // A puzzle on the page sharing its board through the relay, once it's taken the board of any already there.
+    const join = async (attributes = { seed: 'friday' }) => {
+        const puzzle = document.createElement('jigsaw-puzzle');
+        Object.entries({ size: 12, rotation: 'none', ...attributes }).forEach(([name, value]) => puzzle.setAttribute(name, value));
+        document.body.append(puzzle);
+        await puzzle.ready;
+        puzzle.connect(new WebSocketTransport(url));
+        puzzles.push(puzzle);
+        await until(() => greeted.size === puzzles.length);
+        if (puzzles.length > 1) {
+            // The board comes before anything sent after it.
+            puzzles[0].movePiece(11, -800, -400);
+            await until(() => Math.abs(puzzle.pieces[11].x + 800) < 1e-6); // Unseeded boards can land a hair off
+        }
+        return puzzle;
+    };
+
+    before(async () => {
+        global.WebSocket = WebSocket; // Node has none of its own before 22
+        relay = createRelay({ port: 0 });
+        greeted = new Set();
+        relay.on('connection', socket => {
+            socket.once('message', () => greeted.add(socket));
+            socket.on('close', () => greeted.delete(socket));
+        });
+        await new Promise(resolve => relay.on('listening', resolve));
+        url = `ws://localhost:${relay.address().port}/friday`;
+    });
+
+    beforeEach(() => {
+        puzzles = [];
+    });
+
+    afterEach(() => {
+        puzzles.forEach(puzzle => puzzle.disconnect());
+        document.body.innerHTML = '';
+    });
+
+    after(async () => {
+        await new Promise(resolve => relay.close(resolve));
+        delete global.WebSocket;
+    });
+
+    it('shares moves between two puzzles', async () => {
+        const first = await join();
+        const second = await join();
+        first.movePiece(0, -500, -400);
+        await until(() => second.pieces[0].x === -500);
+        expect(second.pieces[0]).to.include({ x: -500, y: -400, locked: false });
+    });
+
+    it('shares snaps both ways', async () => {
+        const first = await join();
+        const second = await join();
+        const { correctX, correctY } = second.pieces[3];
+        second.movePiece(3, correctX + 2, correctY + 2);
+        await until(() => first.pieces[3].locked);
+        expect(first.pieces).to.deep.equal(second.pieces);
+        first.solve();
+        await until(() => second.pieces.every(piece => piece.locked));
+        expect(second.pieces).to.deep.equal(first.pieces);
+    });
+
+    it('gives a newcomer the board of whoever was there, seed or not', async () => {
+        const first = await join({});
+        first.movePiece(0, -500, -400);
+        const second = await join({});
+        expect(second.getState().polygons).to.deep.equal(first.getState().polygons);
+        expect(second.pieces).to.deep.equal(first.pieces);
+    });
+
+    it('lets go of a drag that outlasts a shared shuffle', async () => {
+        const first = await join();
+        const second = await join();
+        second.dispatchEvent(createSelectEvent(2, 0, 0, 7));
+        second.movePiece(8, -700, -400); // Arrives after the select
+        await until(() => first.pieces[8].x === -700);
+        expect(first.movePiece(2, 10, 10)).to.be.false;
+        const pieces = second.pieces;
+        first.shuffle();
+        await until(() => second.pieces.some((piece, id) => piece.x !== pieces[id].x));
+        expect(second.pieces[2]).to.deep.equal(pieces[2]);
+        second.dispatchEvent(createPlaceEvent(2, 7));
+        await until(() => first.movePiece(2, -500, -400));
+        await until(() => second.pieces[2].x === -500);
+    });
+
+    it('lets go of a drag when the board is rebuilt', async () => {
+        const first = await join();
+        const second = await join();
+        second.dispatchEvent(createSelectEvent(2, 0, 0, 7));
+        second.movePiece(8, -700, -400); // Arrives after the select
+        await until(() => first.pieces[8].x === -700);
+        expect(first.movePiece(2, 10, 10)).to.be.false;
+        second.reset();
+        await until(() => first.movePiece(2, 10, 10));
+    });
+
+    it('shares undos without touching anyone else\'s history, stats or selection', async () => {
+        const first = await join();
+        const second = await join();
+        second.movePiece(3, -500, -400);
+        second.select(5);
+        first.movePiece(4, -300, -400);
+        await until(() => second.pieces[4].x === -300);
+        first.undo();
+        await until(() => second.pieces[4].x !== -300);
+        expect(second.pieces[4]).to.deep.equal(first.pieces[4]);
+        expect(second.canUndo).to.be.true;
+        expect(second.selection).to.include(5);
+        expect(second.stats.moves).to.equal(1);
+        expect(second.undo()).to.be.true;
+        await until(() => first.pieces[3].x !== -500);
+        expect(first.pieces).to.deep.equal(second.pieces);
+    });
+
+    it('ignores messages that are not sync messages', async () => {
+        const puzzle = await join();
+        const stranger = new WebSocket(url);
+        await new Promise(resolve => stranger.on('open', resolve));
+        stranger.send(JSON.stringify({ client: 'stranger' })); // The relay passes nothing on till it knows who's talking
+        ['null', '42', '"hello"', '[]', '{}', '{"type":"teleport","clock":1}', '{"type":"move","clock":"soon"}'].forEach(data => stranger.send(data));
+        const message = { client: 'stranger', pointerId: 1, pieceId: 1 };
+        stranger.send(JSON.stringify({ ...message, type: 'select', clock: 1 }));
+        stranger.send(JSON.stringify({ ...message, type: 'move', clock: 2, x: -600, y: -400 }));
+        await until(() => puzzle.pieces[1].x === -600);
+        stranger.close();
+    });
+
+    it('ignores malformed messages', async () => {
+        const warn = stub(console, 'warn');
+        try {
+            const puzzle = await join();
+            const stranger = new WebSocket(url);
+            await new Promise(resolve => stranger.on('open', resolve));
+            stranger.send(JSON.stringify({ client: 'stranger' }));
+            stranger.send('{not json');
+            await until(() => warn.called);
+            expect(warn.firstCall.args[0]).to.match(/Ignoring malformed sync message/);
+            stranger.close();
+            expect(puzzle.pieces).to.have.length.above(0);
+        } finally {
+            warn.restore();
+        }
+    });
+});
@@ -0,0 +1,13 @@
+// replay-change.js - Custom event reporting how a replayed timelapse is playing.
+
+/**
+ * Creates a custom 'replay-change' event.
+ * @param {Object} replay - {time, duration, playing, speed} (see JigsawPuzzle#replay).
+ * @returns {CustomEvent}
+ */
+export function createReplayChangeEvent(replay) {
+    return new CustomEvent('replay-change', {
+        bubbles: true, composed: true,
+        detail: replay
+    });
+}
@@ -0,0 +1,62 @@
+// rotate-handle.js - Drag handle for turning the selected piece to any angle.
+
+import { createSelectEvent } from './select.js';
+import { createPlaceEvent } from './place.js';
+import { createRotateEvent } from './rotate.js';
+
+/**
+ * Turns drags of a handle element into a select, then rotate events following the pointer
+ * around a centre, then a place, for the piece named by the handle's `piece-id` attribute.
+ * The rotate events carry the pointerId, so the puzzle settles the piece once, when it's placed.
+ */
+export class RotateHandle {
+    /**
+     * @param {HTMLElement} element - The handle, receiving pointer events and dispatching piece events.
+     * @param {Function} center - Given a piece id, returns the {x, y} client coordinates it turns around.
+     */
+    constructor(element, center) {
+        this._element = element;
+        this._center = center;
+        this._pointerId = null; // Pointer dragging the handle, if any
+        this._pieceId = null;   // Piece it's turning
+        this._angle = 0;        // Last angle of the pointer around the centre, in degrees clockwise
+        element.addEventListener('pointerdown', this._onPointerDown.bind(this));
+        element.addEventListener('pointermove', this._onPointerMove.bind(this));
+        element.addEventListener('pointerup', this._onPointerUp.bind(this));
+        element.addEventListener('pointercancel', this._onPointerUp.bind(this));
+        element.addEventListener('lostpointercapture', this._onPointerUp.bind(this));
+    }
+
+    _angleOf(event) {
+        const { x, y } = this._center(this._pieceId);
+        return Math.atan2(event.clientY - y, event.clientX - x) * 180 / Math.PI;
+    }
+
+    _onPointerDown(event) {
+        const pieceId = parseInt(this._element.getAttribute('piece-id'), 10);
+        if (event.button !== 0 || this._pointerId !== null || isNaN(pieceId)) return;
+        event.preventDefault();
+        event.stopPropagation(); // Turning doesn't pan the view
+        this._element.setPointerCapture(event.pointerId);
+        this._pointerId = event.pointerId;
+        this._pieceId = pieceId;
+        this._angle = this._angleOf(event);
+        this._element.dispatchEvent(createSelectEvent(pieceId, event.clientX, event.clientY, event.pointerId));
+    }
+
+    _onPointerMove(event) {
+        if (event.pointerId !== this._pointerId) return;
+        event.preventDefault();
+        const angle = this._angleOf(event);
+        const degrees = ((angle - this._angle) % 360 + 540) % 360 - 180; // The short way round
+        this._angle = angle;
+        if (degrees !== 0) this._element.dispatchEvent(createRotateEvent(this._pieceId, -degrees / 90, event.pointerId));
+    }
+
+    _onPointerUp(event) {
+        if (event.pointerId !== this._pointerId) return;
+        this._pointerId = null;
+        if (this._element.hasPointerCapture(event.pointerId)) this._element.releasePointerCapture(event.pointerId);
+        this._element.dispatchEvent(createPlaceEvent(this._pieceId, event.pointerId));
+    }
+}
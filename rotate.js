@@ -3,12 +3,14 @@
 /**
  * Creates a custom 'rotate' event.
  * @param {number} pieceId - The ID of the piece to rotate.
- * @param {number} turns - The number of 90-degree counter-clockwise turns.
+ * @param {number} turns - The number of 90-degree counter-clockwise turns (fractions need free rotation).
+ * @param {number|string} [pointerId] - The pointer holding the piece, when it turns mid-drag
+ *     (as with the rotation handle); it then settles once that pointer places it.
  * @returns {CustomEvent}
  */
-export function createRotateEvent(pieceId, turns) {
+export function createRotateEvent(pieceId, turns, pointerId) {
     return new CustomEvent('rotate', {
         bubbles: true, composed: true,
-        detail: { pieceId, turns }
+        detail: { pieceId, turns, pointerId }
     });
-}
\ No newline at end of file
+}
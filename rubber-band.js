@@ -0,0 +1,65 @@
+// rubber-band.js - Turns Shift-, Ctrl- or Cmd-drags on empty space into a selection rectangle.
+
+/**
+ * Stretches a rectangle from where a modified drag on empty space began to the pointer, and reports the
+ * area it covers once the pointer is released. It takes those presses away from PanZoom, so they don't
+ * pan the view; create it first, as it stops the event reaching listeners added after its own.
+ */
+export class RubberBand {
+    /**
+     * @param {HTMLElement} element - Element receiving the presses (pieces stop their own).
+     * @param {HTMLElement} band - Absolutely positioned element drawn as the rectangle, hidden between drags.
+     * @param {Function} onSelect - Called with the {left, top, right, bottom} covered, in pixels from the element's top-left.
+     */
+    constructor(element, band, onSelect) {
+        this._element = element;
+        this._band = band;
+        this._onSelect = onSelect;
+        this._pointerId = null; // Pointer stretching the rectangle, if any
+        this._start = null;     // {x, y} where it began, in element pixels
+        band.hidden = true;
+        element.addEventListener('pointerdown', this._onPointerDown.bind(this));
+        element.addEventListener('pointermove', this._onPointerMove.bind(this));
+        element.addEventListener('pointerup', event => this._onPointerUp(event, true));
+        element.addEventListener('pointercancel', event => this._onPointerUp(event, false));
+    }
+
+    _local(event) {
+        const rect = this._element.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    // The rectangle from where the drag began to a point.
+    _box({ x, y }) {
+        const { x: startX, y: startY } = this._start;
+        return { left: Math.min(startX, x), top: Math.min(startY, y), right: Math.max(startX, x), bottom: Math.max(startY, y) };
+    }
+
+    _onPointerDown(event) {
+        if (event.button !== 0 || this._pointerId !== null || !(event.shiftKey || event.ctrlKey || event.metaKey)) return;
+        event.preventDefault();
+        event.stopImmediatePropagation(); // Not a pan
+        this._element.setPointerCapture(event.pointerId);
+        this._pointerId = event.pointerId;
+        this._start = this._local(event);
+        this._draw(this._box(this._start));
+        this._band.hidden = false;
+    }
+
+    _onPointerMove(event) {
+        if (event.pointerId !== this._pointerId) return;
+        event.preventDefault();
+        this._draw(this._box(this._local(event)));
+    }
+
+    _onPointerUp(event, select) {
+        if (event.pointerId !== this._pointerId) return;
+        this._pointerId = null;
+        this._band.hidden = true;
+        if (select) this._onSelect(this._box(this._local(event)));
+    }
+
+    _draw({ left, top, right, bottom }) {
+        Object.assign(this._band.style, { left: `${left}px`, top: `${top}px`, width: `${right - left}px`, height: `${bottom - top}px` });
+    }
+}
@@ -0,0 +1,14 @@
+// select-colour.js - Custom event for selecting the loose pieces matching a colour on screen.
+
+/**
+ * Creates a custom 'select-colour' event.
+ * @param {number} x - Pixels from the puzzle's left edge to the point whose colour to match.
+ * @param {number} y - Pixels from the puzzle's top edge.
+ * @returns {CustomEvent}
+ */
+export function createSelectColourEvent(x, y) {
+    return new CustomEvent('select-colour', {
+        bubbles: true, composed: true,
+        detail: { x, y }
+    });
+}
@@ -0,0 +1,12 @@
+// select-edges.js - Custom event for selecting every loose edge piece.
+
+/**
+ * Creates a custom 'select-edges' event.
+ * @returns {CustomEvent}
+ */
+export function createSelectEdgesEvent() {
+    return new CustomEvent('select-edges', {
+        bubbles: true, composed: true,
+        detail: {}
+    });
+}
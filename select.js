@@ -1,8 +1,11 @@
 // select.js - Custom event for selecting a puzzle piece.
 
-export function createSelectEvent(pieceId, clientX, clientY) {
+// pointerId tells apart pieces dragged at the same time by different pointers. toggle (a Shift- or Ctrl-tap)
+// adds the piece's cluster to the selection, or takes it out; the puzzle fills in selection, the ids of every
+// selected piece, once it's handled the event.
+export function createSelectEvent(pieceId, clientX, clientY, pointerId = 0, toggle = false, selection = null) {
     return new CustomEvent('select', {
         bubbles: true, composed: true,
-        detail: { pieceId, clientX, clientY }
+        detail: { pieceId, clientX, clientY, pointerId, toggle, selection }
     });
-}
\ No newline at end of file
+}
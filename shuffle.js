@@ -0,0 +1,12 @@
+// shuffle.js - Custom event for scattering the loose pieces again.
+
+/**
+ * Creates a custom 'shuffle' event.
+ * @returns {CustomEvent}
+ */
+export function createShuffleEvent() {
+    return new CustomEvent('shuffle', {
+        bubbles: true, composed: true,
+        detail: {}
+    });
+}
@@ -0,0 +1,14 @@
+// snap.js - Custom event for a piece snapping into its correct position.
+
+/**
+ * Creates a custom 'snap' event.
+ * @param {number} pieceId - The ID of the piece whose drop or rotation caused the snap.
+ * @param {number[]} pieceIds - The IDs of every piece which snapped (and is now locked).
+ * @returns {CustomEvent}
+ */
+export function createSnapEvent(pieceId, pieceIds) {
+    return new CustomEvent('snap', {
+        bubbles: true, composed: true,
+        detail: { pieceId, pieceIds }
+    });
+}
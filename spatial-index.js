@@ -0,0 +1,90 @@
+// spatial-index.js - Uniform grid for finding pieces near a point.
+
+/**
+ * Buckets axis-aligned boxes into square cells, so a point (or box) only needs testing against the
+ * few boxes sharing its cell rather than every box on the board.
+ */
+export class SpatialIndex {
+    /**
+     * @param {number} cellSize - Width and height of a cell; about one box's size works well.
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this._cells = new Map(); // Map<"column,row", Set<id>>
+        this._boxes = new Map(); // Map<id, {left, top, right, bottom}>
+    }
+
+    /**
+     * Adds a box, or moves it if the id is already indexed.
+     * @param {*} id - Identifies the box.
+     * @param {{left: number, top: number, right: number, bottom: number}} box
+     */
+    set(id, box) {
+        this.delete(id);
+        this._boxes.set(id, box);
+        this._keys(box).forEach(key => {
+            if (!this._cells.has(key)) this._cells.set(key, new Set());
+            this._cells.get(key).add(id);
+        });
+    }
+
+    /**
+     * @param {*} id - Identifies the box to forget.
+     */
+    delete(id) {
+        const box = this._boxes.get(id);
+        if (!box) return;
+        this._boxes.delete(id);
+        this._keys(box).forEach(key => {
+            const cell = this._cells.get(key);
+            cell.delete(id);
+            if (cell.size === 0) this._cells.delete(key);
+        });
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @returns {Array} Ids of every box containing the point.
+     */
+    query(x, y) {
+        const cell = this._cells.get(this._key(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize)));
+        if (!cell) return [];
+        return Array.from(cell).filter(id => {
+            const { left, top, right, bottom } = this._boxes.get(id);
+            return x >= left && x <= right && y >= top && y <= bottom;
+        });
+    }
+
+    /**
+     * @param {{left: number, top: number, right: number, bottom: number}} box
+     * @returns {Array} Ids of every box overlapping (or touching) this one.
+     */
+    search(box) {
+        const ids = new Set();
+        this._keys(box).forEach(key => (this._cells.get(key) || []).forEach(id => ids.add(id)));
+        return Array.from(ids).filter(id => {
+            const { left, top, right, bottom } = this._boxes.get(id);
+            return left <= box.right && right >= box.left && top <= box.bottom && bottom >= box.top;
+        });
+    }
+
+    clear() {
+        this._cells.clear();
+        this._boxes.clear();
+    }
+
+    _key(column, row) {
+        return `${column},${row}`;
+    }
+
+    _keys({ left, top, right, bottom }) {
+        const keys = [];
+        for (let column = Math.floor(left / this.cellSize); column <= Math.floor(right / this.cellSize); column++) {
+            for (let row = Math.floor(top / this.cellSize); row <= Math.floor(bottom / this.cellSize); row++) {
+                keys.push(this._key(column, row));
+            }
+        }
+        return keys;
+    }
+}
@@ -0,0 +1,56 @@
+import { expect } from 'lovecraft';
+import { SpatialIndex } from './spatial-index.js';
+
+const box = (left, top, right, bottom) => ({ left, top, right, bottom });
+
+describe('SpatialIndex', () => {
+    let index;
+
+    beforeEach(() => {
+        index = new SpatialIndex(100);
+        index.set('a', box(0, 0, 90, 90));
+        index.set('b', box(50, 50, 250, 150)); // Across three cells
+        index.set('c', box(-300, -300, -200, -200));
+    });
+
+    describe('query', () => {
+        it('finds every box containing a point, edges included', () => {
+            expect(index.query(60, 60)).to.have.members(['a', 'b']);
+            expect(index.query(240, 140)).to.deep.equal(['b']);
+            expect(index.query(90, 10)).to.deep.equal(['a']);
+            expect(index.query(-250, -250)).to.deep.equal(['c']);
+        });
+
+        it('skips boxes sharing the cell but not the point', () => {
+            expect(index.query(20, 95)).to.be.empty;
+            expect(index.query(500, 500)).to.be.empty;
+        });
+    });
+
+    describe('search', () => {
+        it('finds every box overlapping or touching another', () => {
+            expect(index.search(box(240, 140, 400, 400))).to.deep.equal(['b']);
+            expect(index.search(box(-200, -200, 0, 0))).to.have.members(['a', 'c']);
+            expect(index.search(box(95, 0, 99, 40))).to.be.empty;
+        });
+    });
+
+    describe('set', () => {
+        it('moves a box already indexed', () => {
+            index.set('a', box(400, 400, 450, 450));
+            expect(index.query(10, 10)).to.be.empty;
+            expect(index.query(420, 420)).to.deep.equal(['a']);
+        });
+    });
+
+    describe('delete', () => {
+        it('forgets a box, and ignores ones never indexed', () => {
+            index.delete('b');
+            index.delete('z');
+            expect(index.query(60, 60)).to.deep.equal(['a']);
+            expect(index.search(box(-1000, -1000, 1000, 1000))).to.have.members(['a', 'c']);
+            index.clear();
+            expect(index.query(10, 10)).to.be.empty;
+        });
+    });
+});
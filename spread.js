@@ -0,0 +1,12 @@
+// spread.js - Custom event for pushing overlapping loose pieces apart.
+
+/**
+ * Creates a custom 'spread' event.
+ * @returns {CustomEvent}
+ */
+export function createSpreadEvent() {
+    return new CustomEvent('spread', {
+        bubbles: true, composed: true,
+        detail: {}
+    });
+}
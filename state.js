@@ -0,0 +1,89 @@
+// state.js - Serializable snapshots of a puzzle in progress.
+
+import { sharedEdges } from './tessellations.js';
+import { COUNTERS } from './stats.js';
+
+export const STATE_VERSION = 1;
+
+/**
+ * Captures everything needed to rebuild a puzzle exactly: the image, how it was cut,
+ * the shape of every edge, and where each piece lies.
+ * @param {Object} puzzle
+ * @param {ImageInfo} puzzle.imageInfo - The source image.
+ * @param {number} puzzle.size - The requested number of pieces (the `size` attribute).
+ * @param {string|null} puzzle.seed - The `seed` attribute the puzzle was generated from, if any.
+ * @param {string} [puzzle.cut='grid'] - The tessellation the pieces were cut with (the `cut` attribute).
+ * @param {string} [puzzle.rotation='quarter'] - How pieces may turn (the `rotation` attribute).
+ * @param {number} puzzle.rows - Number of rows in the lattice the pieces were laid out on.
+ * @param {number} puzzle.cols - Number of columns in that lattice.
+ * @param {Piece[]} puzzle.pieces - Every piece, in id order.
+ * @param {Object} [puzzle.stats] - Session totals, from Stats#serialize().
+ * @returns {Object} A JSON-compatible snapshot.
+ */
+export function serializeState({ imageInfo, size, seed, cut = 'grid', rotation = 'quarter', rows, cols, pieces, stats }) {
+    return {
+        version: STATE_VERSION,
+        src: imageInfo.name,
+        width: imageInfo.width,
+        height: imageInfo.height,
+        size, seed, cut, rotation, rows, cols,
+        ...(stats ? { stats } : {}),
+        // Grid outlines follow from rows and cols; other cuts keep every piece's polygon.
+        ...(cut === 'grid' ? {} : { polygons: pieces.map(piece => piece.polygon) }),
+        // Joints in the order Joints.connect creates them.
+        joints: pieces.flatMap(piece => piece.joints.sides.filter(joint => joint && joint.pieces[0] === piece)).map(joint => joint.serialize()),
+        pieces: pieces.map(({ currentX: x, currentY: y, rotation, locked, group }) => ({ x, y, rotation, locked, group }))
+    };
+}
+
+/**
+ * Checks that a snapshot can be restored onto a puzzle showing the given image.
+ * @param {Object} state - A snapshot from serializeState (possibly old or tampered with).
+ * @param {ImageInfo} imageInfo - The image currently loaded.
+ * @param {Object} [expected] - Settings the snapshot must also have been made with.
+ * @param {number} [expected.size] - The requested number of pieces.
+ * @param {string|null} [expected.seed] - The `seed` attribute.
+ * @param {string} [expected.cut] - The `cut` attribute.
+ * @param {string} [expected.rotation] - The `rotation` attribute.
+ * @throws {Error} Describing the first problem found.
+ */
+export function validateState(state, imageInfo, { size, seed, cut, rotation } = {}) {
+    const fail = message => { throw new Error(`Invalid puzzle state: ${message}`); };
+    const finite = Number.isFinite;
+
+    if (!state || typeof state !== 'object') fail('not an object');
+    if (state.version !== STATE_VERSION) fail(`unsupported version ${state.version}`);
+    if (!imageInfo || state.src !== imageInfo.name || state.width !== imageInfo.width || state.height !== imageInfo.height) {
+        fail(`saved for a different image (${state.src})`);
+    }
+    if (size !== undefined && state.size !== size) fail(`saved for ${state.size} pieces, not ${size}`);
+    if (seed !== undefined && state.seed !== seed) fail(`saved with seed ${state.seed}, not ${seed}`);
+    const saved = state.cut || 'grid'; // Snapshots from before there were other cuts don't say
+    if (cut !== undefined && saved !== cut) fail(`saved with the ${saved} cut, not ${cut}`);
+    const turning = state.rotation || 'quarter'; // ...nor from before other rotations
+    if (rotation !== undefined && turning !== rotation) fail(`saved with ${turning} rotation, not ${rotation}`);
+
+    const { stats } = state;
+    if (stats !== undefined && !(stats && ['elapsed', ...COUNTERS].every(name => finite(stats[name]) && stats[name] >= 0))) fail('bad stats');
+
+    const { rows, cols, polygons, pieces, joints } = state;
+    if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows < 1 || cols < 1) fail('bad grid dimensions');
+    if (saved === 'grid') {
+        if (!Array.isArray(pieces) || pieces.length !== rows * cols) fail('wrong number of pieces');
+        if (!Array.isArray(joints) || joints.length !== rows * (cols - 1) + cols * (rows - 1)) fail('wrong number of joints');
+    } else {
+        if (!Array.isArray(polygons) || !polygons.every(polygon => Array.isArray(polygon) && polygon.length >= 3 &&
+            polygon.every(point => Array.isArray(point) && point.length === 2 && point.every(finite)))) fail('bad polygons');
+        if (!Array.isArray(pieces) || pieces.length !== polygons.length) fail('wrong number of pieces');
+        if (!Array.isArray(joints) || joints.length !== sharedEdges(polygons).length) fail('wrong number of joints');
+    }
+
+    pieces.forEach((piece, i) => {
+        if (!piece || !finite(piece.x) || !finite(piece.y) || !finite(piece.rotation) || typeof piece.locked !== 'boolean' ||
+            !Number.isInteger(piece.group) || piece.group < 0 || piece.group >= pieces.length) fail(`bad piece ${i}`);
+    });
+    joints.forEach((joint, i) => {
+        if (!joint || typeof joint.outward !== 'boolean' || !finite(joint.size) || !Array.isArray(joint.cut) ||
+            !joint.cut.every(wave => Array.isArray(wave) && wave.length === 2 && wave.every(finite))) fail(`bad joint ${i}`);
+    });
+}
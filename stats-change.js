@@ -0,0 +1,13 @@
+// stats-change.js - Custom event reporting new session stats.
+
+/**
+ * Creates a custom 'stats-change' event.
+ * @param {Object} stats - The puzzle's stats (see JigsawPuzzle#stats).
+ * @returns {CustomEvent}
+ */
+export function createStatsChangeEvent(stats) {
+    return new CustomEvent('stats-change', {
+        bubbles: true, composed: true,
+        detail: stats
+    });
+}
@@ -0,0 +1,53 @@
+// stats.js - Running tally of a puzzle session: active time and what the player did.
+
+export const COUNTERS = ['moves', 'rotations', 'snaps', 'merges', 'hints']; // Everything counted, besides time
+
+/**
+ * A stopwatch of active play plus a counter for each of COUNTERS, which callers increment directly
+ * (e.g. `stats.moves++`). The stopwatch only runs between start() and stop().
+ */
+export class Stats {
+    /**
+     * @param {Object} [saved] - Totals from serialize() to carry on from.
+     * @param {Function} [clock=Date.now] - Returns the current time in milliseconds.
+     */
+    constructor(saved = {}, clock = Date.now) {
+        this._clock = clock;
+        this._elapsed = saved.elapsed || 0; // Milliseconds of play before the stopwatch last started
+        this._since = null; // When the stopwatch last started, while it runs
+        COUNTERS.forEach(name => { this[name] = saved[name] || 0; });
+    }
+
+    /** True while the stopwatch runs. */
+    get running() { return this._since !== null; }
+
+    /** Milliseconds of active play so far. */
+    get elapsed() {
+        return this._elapsed + (this.running ? this._clock() - this._since : 0);
+    }
+
+    /**
+     * Starts the stopwatch, if it isn't running.
+     */
+    start() {
+        if (!this.running) this._since = this._clock();
+    }
+
+    /**
+     * Stops the stopwatch, keeping the time so far.
+     */
+    stop() {
+        if (!this.running) return;
+        this._elapsed = this.elapsed;
+        this._since = null;
+    }
+
+    /**
+     * @returns {Object} JSON-compatible totals: `elapsed` and every counter.
+     */
+    serialize() {
+        const totals = { elapsed: this.elapsed };
+        COUNTERS.forEach(name => { totals[name] = this[name]; });
+        return totals;
+    }
+}
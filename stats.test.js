@@ -0,0 +1,41 @@
+import { expect } from 'lovecraft';
+import { Stats, COUNTERS } from './stats.js';
+
+describe('Stats', () => {
+    let now;
+    const clock = () => now;
+
+    beforeEach(() => {
+        now = 1000;
+    });
+
+    it('times play only while running', () => {
+        const stats = new Stats({}, clock);
+        now += 500;
+        expect(stats.elapsed).to.equal(0);
+        stats.start();
+        now += 300;
+        expect(stats).to.include({ running: true, elapsed: 300 });
+        stats.start(); // Already running: keeps its start
+        now += 200;
+        stats.stop();
+        now += 1000;
+        expect(stats).to.include({ running: false, elapsed: 500 });
+        stats.stop();
+        expect(stats.elapsed).to.equal(500);
+    });
+
+    it('carries on from saved totals', () => {
+        const stats = new Stats({ elapsed: 5000, moves: 7, hints: 1 }, clock);
+        stats.moves++;
+        stats.start();
+        now += 250;
+        expect(stats.serialize()).to.deep.equal({ elapsed: 5250, moves: 8, rotations: 0, snaps: 0, merges: 0, hints: 1 });
+    });
+
+    it('counts nothing to begin with', () => {
+        const totals = new Stats().serialize();
+        expect(Object.keys(totals)).to.have.members(['elapsed', ...COUNTERS]);
+        expect(Object.values(totals).every(total => total === 0)).to.be.true;
+    });
+});
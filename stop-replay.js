@@ -0,0 +1,12 @@
+// stop-replay.js - Custom event for leaving a replayed timelapse, back to the game.
+
+/**
+ * Creates a custom 'stop-replay' event.
+ * @returns {CustomEvent}
+ */
+export function createStopReplayEvent() {
+    return new CustomEvent('stop-replay', {
+        bubbles: true, composed: true,
+        detail: {}
+    });
+}
@@ -0,0 +1,108 @@
+// svg-renderer.js - Draws the board and pieces as jigsaw-board and jigsaw-piece elements.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * The default renderer: every piece is its own jigsaw-piece element (an SVG clip of the image)
+ * inside a container the viewport transforms. Pieces handle their own pointer and keyboard input.
+ *
+ * Renderers share one interface with the puzzle: pieces are views created by createPiece(),
+ * configured through setAttribute() like a jigsaw-piece, and stacked with raise() and lower().
+ */
+export class SvgRenderer {
+    /**
+     * @param {HTMLElement} container - Element holding the board and pieces.
+     */
+    constructor(container) {
+        this._container = container;
+        this._board = null; // JigsawBoard HTMLElement showing the target grid
+        this._ghost = false; // True while the board shows a faint copy of the image
+    }
+
+    /**
+     * Removes every piece and draws an empty board.
+     * @param {ImageInfo} imageInfo - The puzzle's image.
+     * @param {Piece[]} pieces - The pieces the image is cut into, to mark where each belongs.
+     */
+    reset(imageInfo, pieces) {
+        this.clear();
+        this._board = document.createElement('jigsaw-board');
+        this._board.setAttribute('width', imageInfo.width);
+        this._board.setAttribute('height', imageInfo.height);
+        this._board.setAttribute('dots', pieces.map(piece => `${piece.originX + piece.width / 2},${piece.originY + piece.height / 2}`).join(' '));
+        this._board.setAttribute('image-url', imageInfo.url);
+        this._board.toggleAttribute('ghost', this._ghost);
+        this._container.appendChild(this._board);
+    }
+
+    /**
+     * Shows or hides a faint copy of the image on the board, beneath the pieces.
+     * @param {boolean} visible
+     */
+    ghost(visible) {
+        this._ghost = visible;
+        if (this._board) this._board.toggleAttribute('ghost', visible);
+    }
+
+    /**
+     * Briefly outlines where pieces belong, turned the right way up, above every piece.
+     * @param {HTMLElement[]} pieceEls - Pieces whose places to show.
+     * @param {number} duration - Milliseconds to show them for.
+     */
+    highlight(pieceEls, duration) {
+        const marker = document.createElementNS(SVG_NS, 'svg');
+        marker.setAttribute('class', 'hint');
+        marker.setAttribute('part', 'hint');
+        marker.innerHTML = pieceEls.map(pieceEl => {
+            const x = parseFloat(pieceEl.getAttribute('correct-x'));
+            const y = parseFloat(pieceEl.getAttribute('correct-y'));
+            return `<path transform="translate(${x} ${y})" d="${pieceEl.getAttribute('path-data')}"></path>`;
+        }).join('');
+        this._container.appendChild(marker);
+        setTimeout(() => marker.remove(), duration);
+    }
+
+    /**
+     * @returns {HTMLElement} A new jigsaw-piece, shown once raised or lowered.
+     */
+    createPiece() {
+        return document.createElement('jigsaw-piece');
+    }
+
+    /**
+     * Puts a piece on top of every other piece, but beneath any hint still showing.
+     * @param {HTMLElement} pieceEl
+     */
+    raise(pieceEl) {
+        this._container.insertBefore(pieceEl, this._container.querySelector(':scope > .hint'));
+    }
+
+    /**
+     * Puts a piece just above the board, beneath every other piece.
+     * @param {HTMLElement} pieceEl
+     */
+    lower(pieceEl) {
+        this._container.insertBefore(pieceEl, this._board.nextSibling);
+    }
+
+    /**
+     * @returns {number[]} Piece ids from bottom to top.
+     */
+    order() {
+        return Array.from(this._container.children)
+            .filter(el => el.localName === 'jigsaw-piece')
+            .map(el => parseInt(el.getAttribute('piece-id'), 10));
+    }
+
+    /**
+     * @param {Viewport} viewport - Pan/zoom to draw with.
+     */
+    transform(viewport) {
+        this._container.style.transform = viewport.css();
+    }
+
+    clear() {
+        Array.from(this._container.children).forEach(c => c.remove());
+        this._board = null;
+    }
+}
@@ -0,0 +1,151 @@
+// sync.js - Shares a board's piece operations with other puzzles over a transport.
+
+/**
+ * Orders claims on a cluster: the one with the earlier Lamport clock wins, ties going to the
+ * lower client id, so every puzzle settles a conflict the same way without asking the others.
+ */
+const earlier = (a, b) => a.clock < b.clock || (a.clock === b.clock && a.client < b.client);
+
+const key = ({ client, pointerId }) => `${client}/${pointerId}`;
+
+const TYPES = ['hello', 'bye', 'state', 'select', 'move', 'place', 'rotate']; // Messages a puzzle understands
+
+/**
+ * One puzzle's side of a shared board. Local select/move/place/rotate operations are stamped with
+ * this client's id and a Lamport clock and sent to the other puzzles; theirs are checked against
+ * piece ownership and passed to the board to apply.
+ *
+ * Selecting a piece claims its cluster until it's placed. When two people grab the same cluster at
+ * once, the earlier claim wins everywhere: a losing local drag is cancelled, and a losing remote
+ * one is ignored along with its moves.
+ *
+ * Messages: `{type, client, clock, ...}` where type is one of
+ *   - `select` / `move` / `place`: `{pieceId, pointerId, x, y}` (x/y is the piece's new top-left, in image pixels; not on select)
+ *   - `rotate`: `{pieceId, turns, pointerId}` (pointerId only when the piece turns mid-drag, as part of that drag)
+ *   - `state`: `{state, to}` a getState() snapshot, for one newcomer (`to`) or everyone
+ *   - `hello` / `bye`: a puzzle joined (and would like the state) or left
+ */
+export class Sync {
+    /**
+     * @param {Transport} transport - Channel to the other puzzles.
+     * @param {Object} board - The local puzzle:
+     * @param {Function} board.group - Given a piece id, returns its cluster's group.
+     * @param {Function} board.apply - Applies a remote select, move, place or rotate message.
+     * @param {Function} board.cancel - Ends the local drag by a pointerId, whose claim was overruled.
+     * @param {Function} board.state - Returns the current state (see getState()), or null.
+     * @param {Function} board.load - Replaces the board with a state from another puzzle.
+     * @param {string} [client] - Unique id of this puzzle.
+     */
+    constructor(transport, board, client = Math.random().toString(36).slice(2)) {
+        this.client = client;
+        this._transport = transport;
+        this._board = board;
+        this._clock = 0;
+        this._claims = new Map(); // Map<"client/pointerId", select message> of clusters being dragged
+        this._loaded = false; // True once a state has been received, after saying hello
+        this._unsubscribe = transport.subscribe(this._receive.bind(this));
+        this._send({ type: 'hello' });
+    }
+
+    /**
+     * @param {number} pieceId
+     * @returns {boolean} True if someone else is dragging the piece's cluster.
+     */
+    held(pieceId) {
+        return this._heldBy(pieceId, claim => claim.client !== this.client);
+    }
+
+    select(pieceId, pointerId) {
+        const message = this._send({ type: 'select', pieceId, pointerId });
+        this._claims.set(key(message), message);
+    }
+
+    move(pieceId, pointerId, x, y) {
+        this._send({ type: 'move', pieceId, pointerId, x, y });
+    }
+
+    place(pieceId, pointerId, x, y) {
+        this._claims.delete(key({ client: this.client, pointerId }));
+        this._send({ type: 'place', pieceId, pointerId, x, y });
+    }
+
+    rotate(pieceId, turns, pointerId) {
+        this._send({ type: 'rotate', pieceId, turns, pointerId });
+    }
+
+    /**
+     * Replaces everyone's board, after changes (shuffles, undos) that aren't piece operations.
+     * @param {Object} state - A getState() snapshot.
+     */
+    share(state) {
+        this._send({ type: 'state', state });
+    }
+
+    close() {
+        this._send({ type: 'bye' });
+        this._unsubscribe();
+        this._transport.close();
+    }
+
+    _send(message) {
+        const stamped = { ...message, client: this.client, clock: ++this._clock };
+        this._transport.send(stamped);
+        return stamped;
+    }
+
+    _receive(message) {
+        // Anything else (from a broken or newer puzzle, say) is ignored, like messages that aren't JSON at all.
+        if (!message || typeof message !== 'object' || !TYPES.includes(message.type) || !Number.isFinite(message.clock)) return;
+        if (message.client === this.client || (message.to && message.to !== this.client)) return;
+        this._clock = Math.max(this._clock, message.clock);
+
+        const handlers = {
+            hello: () => {
+                const state = this._board.state();
+                if (state) this._send({ type: 'state', state, to: message.client });
+            },
+            bye: () => {
+                this._claims.forEach((claim, k) => { if (claim.client === message.client) this._claims.delete(k); });
+            },
+            state: () => {
+                // A newcomer takes the first state offered; states shared with everyone always apply.
+                if (message.to && this._loaded) return;
+                this._loaded = true;
+                this._board.load(message.state);
+            },
+            select: () => this._claim(message),
+            move: () => this._follow(message),
+            place: () => this._follow(message),
+            rotate: () => {
+                if (message.pointerId !== undefined) this._follow(message);
+                else if (!this._heldBy(message.pieceId, claim => claim.client !== message.client)) this._board.apply(message);
+            }
+        };
+        handlers[message.type]();
+    }
+
+    _claim(message) {
+        const group = this._board.group(message.pieceId);
+        const rivals = Array.from(this._claims.values()).filter(claim => this._board.group(claim.pieceId) === group);
+        if (rivals.some(claim => earlier(claim, message))) return;
+        rivals.forEach(claim => {
+            this._claims.delete(key(claim));
+            if (claim.client === this.client) this._board.cancel(claim.pointerId);
+        });
+        this._claims.set(key(message), message);
+        this._board.apply(message);
+    }
+
+    // Applies a move, place or mid-drag rotate, unless its drag lost the cluster to an earlier claim.
+    _follow(message) {
+        const claim = this._claims.get(key(message));
+        if (!claim || claim.pieceId !== message.pieceId) return;
+        if (message.type === 'place') this._claims.delete(key(message));
+        this._board.apply(message);
+    }
+
+    _heldBy(pieceId, filter) {
+        const group = this._board.group(pieceId);
+        return Array.from(this._claims.values()).some(claim => filter(claim) && this._board.group(claim.pieceId) === group);
+    }
+}
@@ -0,0 +1,43 @@
+// templates.js - Printable cut templates of a puzzle, for making it for real.
+
+const round = n => Math.round(n * 1000) / 1000;
+
+// Escapes text for an XML attribute value, so options can't break out of it.
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+const escape = value => String(value).replace(/[&<>"']/g, character => ENTITIES[character]);
+
+/**
+ * Traces every cut in a puzzle once: shared edges once rather than once per piece, plus the outer border.
+ * @param {Piece[]} pieces - Every piece, with its joints.
+ * @returns {string} SVG path data in image pixels.
+ */
+export function cutPath(pieces) {
+    return pieces.flatMap(piece => piece.cuts()).join(' ');
+}
+
+/**
+ * Builds an SVG file of a puzzle's cut lines, sized for printing or a laser cutter: one unfilled path
+ * drawn with a hairline, over a box the size of the finished puzzle.
+ * @param {Piece[]} pieces - Every piece, with its joints.
+ * @param {number} imageWidth - Width of the image the pieces were cut from, in pixels.
+ * @param {number} imageHeight - Its height.
+ * @param {Object} [options]
+ * @param {number} [options.width] - Width of the finished puzzle in `units`; by default it follows `height`,
+ *     or else the image's pixel width.
+ * @param {number} [options.height] - Height of the finished puzzle in `units`; by default it follows `width`.
+ * @param {string} [options.units='px'] - Any SVG length unit: 'mm', 'cm', 'in', 'pt', 'px'...
+ * @param {string} [options.stroke='red'] - Colour of the cut lines (laser cutters often cut red and engrave black).
+ * @param {number} [options.strokeWidth=0.1] - Width of the cut lines, in `units`.
+ * @returns {string} A standalone SVG document.
+ */
+export function cutTemplate(pieces, imageWidth, imageHeight, { width, height, units = 'px', stroke = 'red', strokeWidth = 0.1 } = {}) {
+    const scale = width !== undefined ? width / imageWidth : height !== undefined ? height / imageHeight : 1; // Units per pixel
+    const unit = escape(units);
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${round(imageWidth * scale)}${unit}" height="${round(imageHeight * scale)}${unit}" viewBox="0 0 ${imageWidth} ${imageHeight}">`,
+        `  <path d="${cutPath(pieces)}" fill="none" stroke="${escape(stroke)}" stroke-width="${round(strokeWidth / scale)}" stroke-linecap="round" stroke-linejoin="round"/>`,
+        '</svg>',
+        ''
+    ].join('\n');
+}
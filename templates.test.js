@@ -0,0 +1,50 @@
+import { expect } from 'lovecraft';
+import { JSDOM } from 'jsdom';
+import { Puzzle } from './puzzle.js';
+import { ImageInfo } from './image-info.js';
+import { cutPath, cutTemplate } from './templates.js';
+
+const image = new ImageInfo('cat.jpg', 1344, 960);
+
+// Names a line by its ends, whichever way it's traced.
+const line = (start, end) => [start, end].map(([x, y]) => `${x.toFixed(2)},${y.toFixed(2)}`).sort().join(' ');
+
+// Every side of every piece's outline, each once, however many pieces share it.
+const sides = pieces => new Set(pieces.flatMap(({ polygon }) => polygon.map((point, i) => line(point, polygon[(i + 1) % polygon.length]))));
+
+// Reads an SVG document back, as a browser or cutter would.
+const parse = svg => new JSDOM(svg, { contentType: 'image/svg+xml' }).window.document;
+
+describe('cutPath', () => {
+    it('cuts each side once, shared or not', () => {
+        ['grid', 'hex', 'random'].forEach(cut => {
+            const { pieces } = new Puzzle(image, { size: 12, seed: 'ghoul', cut });
+            const cuts = cutPath(pieces).split('M ').slice(1).map(side => {
+                const numbers = side.match(/-?[\d.]+/g).map(Number);
+                return line(numbers.slice(0, 2), numbers.slice(-2));
+            });
+            expect(new Set(cuts).size, cut).to.equal(cuts.length);
+            expect(cuts, cut).to.have.members(Array.from(sides(pieces)));
+        });
+    });
+});
+
+describe('cutTemplate', () => {
+    const { pieces } = new Puzzle(image, { size: 12, seed: 'ghoul' });
+
+    it('sizes the template for the finished puzzle', () => {
+        const svg = parse(cutTemplate(pieces, 1344, 960, { width: 280, units: 'mm' })).documentElement;
+        expect(svg.getAttribute('width')).to.equal('280mm');
+        expect(svg.getAttribute('height')).to.equal('200mm');
+        expect(svg.getAttribute('viewBox')).to.equal('0 0 1344 960');
+    });
+
+    it('keeps options to their attributes', () => {
+        const stroke = 'red"/><script>alert(1)</script><path d="';
+        const document = parse(cutTemplate(pieces, 1344, 960, { stroke, units: 'mm"><script/><x y="' }));
+        expect(document.querySelector('parsererror')).to.be.null;
+        expect(document.querySelectorAll('script')).to.have.length(0);
+        expect(document.querySelectorAll('path')).to.have.length(1);
+        expect(document.querySelector('path').getAttribute('stroke')).to.equal(stroke);
+    });
+});
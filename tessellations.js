@@ -0,0 +1,211 @@
+// tessellations.js - Ways of cutting the image into piece outlines.
+
+const WELD_DISTANCE = 0.001; // Vertices of neighbouring polygons closer than this (in image pixels) are the same point
+const JITTER = 0.7;          // How far random cut sites stray from their cell centres, in cell sizes
+
+/**
+ * Signed area of a polygon; positive when clockwise on screen (y points down).
+ * @param {number[][]} polygon - [x, y] vertices.
+ * @returns {number}
+ */
+const area = polygon => polygon.reduce((sum, [x1, y1], i) => {
+    const [x2, y2] = polygon[(i + 1) % polygon.length];
+    return sum + (x1 * y2 - x2 * y1) / 2;
+}, 0);
+
+/**
+ * Clips a polygon to the half-plane where `inside` is true, keeping its vertex order (Sutherland-Hodgman).
+ * @param {number[][]} polygon - [x, y] vertices.
+ * @param {Function} inside - Given [x, y], true if the point is kept.
+ * @param {Function} cross - Given two points either side of the boundary, returns where it crosses between them.
+ * @returns {number[][]}
+ */
+const clip = (polygon, inside, cross) => polygon.flatMap((point, i) => {
+    const previous = polygon[(i + polygon.length - 1) % polygon.length];
+    if (inside(point)) return inside(previous) ? [point] : [cross(previous, point), point];
+    return inside(previous) ? [cross(previous, point)] : [];
+});
+
+// Where a segment crosses the line x = value (axis 0) or y = value (axis 1).
+const crossAxis = (axis, value) => (a, b) => {
+    const t = (value - a[axis]) / (b[axis] - a[axis]);
+    return [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+};
+
+const clipToRectangle = (polygon, width, height) => [
+    [p => p[0] >= 0, crossAxis(0, 0)],
+    [p => p[0] <= width, crossAxis(0, width)],
+    [p => p[1] >= 0, crossAxis(1, 0)],
+    [p => p[1] <= height, crossAxis(1, height)]
+].reduce((clipped, [inside, cross]) => clipped.length ? clip(clipped, inside, cross) : clipped, polygon);
+
+/**
+ * Moves vertices that are almost the same point onto exactly the same point, and drops the
+ * repeated vertices that leaves, so shared edges of separately computed polygons match exactly.
+ * @param {number[][][]} polygons
+ * @returns {number[][][]}
+ */
+const weld = polygons => {
+    const buckets = new Map(); // Map<"x,y" bucket, [x, y][]> of distinct vertices
+    const canonical = ([x, y]) => {
+        const bx = Math.round(x / WELD_DISTANCE);
+        const by = Math.round(y / WELD_DISTANCE);
+        for (let i = -1; i <= 1; i++) {
+            for (let j = -1; j <= 1; j++) {
+                const match = (buckets.get(`${bx + i},${by + j}`) || []).find(([vx, vy]) => Math.hypot(vx - x, vy - y) <= WELD_DISTANCE);
+                if (match) return match;
+            }
+        }
+        const vertex = [x, y];
+        buckets.set(`${bx},${by}`, [...(buckets.get(`${bx},${by}`) || []), vertex]);
+        return vertex;
+    };
+    return polygons.map(polygon => polygon.map(canonical).filter((vertex, i, all) => vertex !== all[(i + all.length - 1) % all.length]));
+};
+
+// Row and column counts giving roughly `count` cells about as tall as they are wide.
+const lattice = (width, height, count) => {
+    const size = Math.min(width, height) / Math.sqrt(count);
+    return { rows: Math.max(1, Math.round(height / size)), cols: Math.max(1, Math.round(width / size)) };
+};
+
+/**
+ * Rectangles in rows and columns, in row-major order.
+ * @param {number} width - Image width.
+ * @param {number} height - Image height.
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {number[][][]} Clockwise [x, y] outlines, starting at each top-left corner.
+ */
+export function grid(width, height, rows, cols) {
+    const w = width / cols;
+    const h = height / rows;
+    const polygons = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            polygons.push([[c * w, r * h], [(c + 1) * w, r * h], [(c + 1) * w, (r + 1) * h], [c * w, (r + 1) * h]]);
+        }
+    }
+    return polygons;
+}
+
+// Rows of bricks, every other row shifted by half a brick (with half bricks at its ends).
+const brick = (width, height, rows, cols) => {
+    const w = width / cols;
+    const h = height / rows;
+    // Where bricks in a row meet, from the left edge to the right.
+    const joins = r => {
+        const xs = [0];
+        for (let c = r % 2 ? 0.5 : 1; c < cols; c++) xs.push(c * w);
+        return [...xs, width];
+    };
+    const polygons = [];
+    for (let r = 0; r < rows; r++) {
+        const xs = joins(r);
+        for (let c = 0; c + 1 < xs.length; c++) {
+            const [left, right] = [xs[c], xs[c + 1]];
+            // Joins in the rows above and below split this brick's edges, so each part has one neighbour.
+            const within = row => row < 0 || row >= rows ? [] : joins(row).filter(x => x > left && x < right);
+            polygons.push([
+                [left, r * h], ...within(r - 1).map(x => [x, r * h]), [right, r * h],
+                [right, (r + 1) * h], ...within(r + 1).reverse().map(x => [x, (r + 1) * h]), [left, (r + 1) * h]
+            ]);
+        }
+    }
+    return polygons;
+};
+
+// Flat-topped hexagons in staggered columns, trimmed to the image. They're stretched a little, one way or the other,
+// so the image's edges run through the middle of the outermost hexagons (halving them, and quartering those in the
+// corners) rather than shaving slivers off them.
+const hex = (width, height, count) => {
+    const side = Math.sqrt(width * height / count / (3 * Math.sqrt(3) / 2)); // Of a regular hexagon of the right size
+    const spans = Math.max(1, Math.round(width / (1.5 * side))); // Columns from the left edge to the right
+    const stacks = Math.max(1, Math.round(height / (Math.sqrt(3) * side))); // Hexagons from the top edge to the bottom
+    const across = width / spans / 1.5; // Half a hexagon's width, stretched to fit
+    const rise = height / stacks / 2; // Half a hexagon's height, stretched to fit
+    const cols = spans + 1;
+    const rows = stacks + 1;
+    const polygons = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            const x = c * 1.5 * across;
+            const y = r * 2 * rise + (c % 2 ? rise : 0);
+            const outline = [[x + across, y], [x + across / 2, y + rise], [x - across / 2, y + rise], [x - across, y], [x - across / 2, y - rise], [x + across / 2, y - rise]];
+            polygons.push(clipToRectangle(outline, width, height));
+        }
+    }
+    return { rows, cols, polygons };
+};
+
+// Voronoi cells around one randomly nudged site per grid cell.
+const voronoi = (width, height, rows, cols, random) => {
+    const w = width / cols;
+    const h = height / rows;
+    const sites = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            sites.push([(c + 0.5 + JITTER * (random() - 0.5)) * w, (r + 0.5 + JITTER * (random() - 0.5)) * h]);
+        }
+    }
+    return sites.map(([sx, sy], id) => {
+        const r = Math.floor(id / cols);
+        const c = id % cols;
+        let cell = [[0, 0], [width, 0], [width, height], [0, height]];
+        // Sites stray less than a cell, so only those two cells away or nearer can share an edge.
+        for (let nr = Math.max(0, r - 2); nr <= Math.min(rows - 1, r + 2); nr++) {
+            for (let nc = Math.max(0, c - 2); nc <= Math.min(cols - 1, c + 2); nc++) {
+                if (nr === r && nc === c) continue;
+                const [tx, ty] = sites[nr * cols + nc];
+                const [mx, my] = [(sx + tx) / 2, (sy + ty) / 2];
+                const side = ([x, y]) => (x - mx) * (tx - sx) + (y - my) * (ty - sy);
+                cell = clip(cell, point => side(point) <= 0, (a, b) => {
+                    const t = side(a) / (side(a) - side(b));
+                    return [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+                });
+            }
+        }
+        return cell;
+    });
+};
+
+export const CUTS = ['grid', 'brick', 'hex', 'random'];
+
+/**
+ * Cuts an image into roughly `count` polygons which tile it exactly. Every polygon runs clockwise,
+ * and wherever two meet they share identical vertices, traversed in opposite directions.
+ * @param {string} cut - One of CUTS: `grid`, `brick` (offset rows), `hex` or `random` (Voronoi).
+ * @param {number} width - Image width.
+ * @param {number} height - Image height.
+ * @param {number} count - Roughly how many pieces to cut.
+ * @param {Function} [random=Math.random] - Source of random numbers in [0, 1); only `random` cuts use it.
+ * @returns {{rows: number, cols: number, polygons: number[][][]}} The lattice the cut was laid out on, and the outlines.
+ */
+export function tessellate(cut, width, height, count, random = Math.random) {
+    const { rows, cols } = lattice(width, height, count);
+    if (cut === 'hex') {
+        const cells = hex(width, height, count);
+        return { ...cells, polygons: weld(cells.polygons).filter(polygon => polygon.length >= 3 && area(polygon) > WELD_DISTANCE) };
+    }
+    if (cut === 'brick') return { rows, cols, polygons: brick(width, height, rows, cols) };
+    if (cut === 'random') return { rows, cols, polygons: weld(voronoi(width, height, rows, cols, random)) };
+    return { rows, cols, polygons: grid(width, height, rows, cols) };
+}
+
+/**
+ * Finds every edge two polygons share.
+ * @param {number[][][]} polygons - Outlines from tessellate().
+ * @returns {number[][]} [polygon, side, other polygon, other side] for each shared edge, where side i
+ *     runs from vertex i to the next. Listed by the first polygon, then side; the other polygon always comes later.
+ */
+export function sharedEdges(polygons) {
+    const key = (a, b) => `${a[0]},${a[1]}>${b[0]},${b[1]}`;
+    const sides = new Map(); // Map<"from>to", [polygon, side]>
+    polygons.forEach((polygon, p) => polygon.forEach((point, i) => sides.set(key(point, polygon[(i + 1) % polygon.length]), [p, i])));
+    const edges = [];
+    polygons.forEach((polygon, p) => polygon.forEach((point, i) => {
+        const other = sides.get(key(polygon[(i + 1) % polygon.length], point));
+        if (other && other[0] > p) edges.push([p, i, ...other]);
+    }));
+    return edges;
+}
@@ -0,0 +1,37 @@
+import { expect } from 'lovecraft';
+import { tessellate, CUTS } from './tessellations.js';
+import { createRandom } from './random.js';
+
+const IMAGES = [[1344, 960], [960, 1344], [1000, 1000], [1920, 1080], [300, 2000]];
+const SIZES = [4, 12, 40, 100, 500];
+
+// The shorter side of the box around a polygon.
+const thickness = polygon => {
+    const xs = polygon.map(([x]) => x);
+    const ys = polygon.map(([, y]) => y);
+    return Math.min(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+};
+
+const area = polygon => polygon.reduce((sum, [x1, y1], i) => {
+    const [x2, y2] = polygon[(i + 1) % polygon.length];
+    return sum + (x1 * y2 - x2 * y1) / 2;
+}, 0);
+
+describe('tessellate', () => {
+    it('tiles the whole image', () => {
+        CUTS.forEach(cut => IMAGES.forEach(([width, height]) => {
+            const { polygons } = tessellate(cut, width, height, 40, createRandom('ghoul'));
+            const total = polygons.reduce((sum, polygon) => sum + area(polygon), 0);
+            expect(total, `${cut} ${width}×${height}`).to.be.closeTo(width * height, 1e-6 * width * height);
+        }));
+    });
+
+    it('cuts no slivers', () => {
+        CUTS.forEach(cut => IMAGES.forEach(([width, height]) => SIZES.forEach(size => {
+            const { polygons } = tessellate(cut, width, height, size, createRandom('ghoul'));
+            const sides = polygons.map(thickness).sort((a, b) => a - b);
+            const median = sides[Math.floor(sides.length / 2)];
+            expect(sides[0], `${cut} ${width}×${height}, ${size} pieces`).to.be.at.least(median / 3);
+        })));
+    });
+});
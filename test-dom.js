@@ -0,0 +1,43 @@
+// test-dom.js - A jsdom window for the component tests: imported first by each, it's set up just once.
+
+import globalJsdom from 'jsdom-global';
+
+globalJsdom('<!DOCTYPE html><body></body>', { pretendToBeVisual: true, url: 'http://localhost/' });
+
+// jsdom-global copies most of the window over, but not these.
+['customElements', 'localStorage', 'requestAnimationFrame', 'cancelAnimationFrame', 'PointerEvent'].forEach(name => {
+    global[name] = window[name];
+});
+
+// jsdom lays nothing out, so nothing ever resizes.
+global.ResizeObserver = class {
+    observe() {}
+    disconnect() {}
+};
+
+// jsdom loads no pictures, nor makes object URLs. These stand-ins load any picture (1344 × 960, as the placeholder)
+// straight after its src is set, but for URLs with "missing" in them, which fail.
+let objectUrls = 0;
+URL.createObjectURL = () => `blob:http://localhost/${++objectUrls}`;
+URL.revokeObjectURL = () => {};
+global.Image = window.Image = class {
+    get src() { return this._src; }
+    set src(url) {
+        this._src = url;
+        Object.assign(this, { naturalWidth: 1344, naturalHeight: 960 });
+        setTimeout(() => (url.includes('missing') ? this.onerror() : this.onload()));
+    }
+};
+
+// Nor pointer events. Pointers here are mice with ids, and capturing one changes nothing.
+global.PointerEvent = window.PointerEvent = class extends window.MouseEvent {
+    constructor(type, init = {}) {
+        super(type, init);
+        this.pointerId = init.pointerId || 0;
+    }
+};
+Object.assign(window.Element.prototype, {
+    setPointerCapture() {},
+    releasePointerCapture() {},
+    hasPointerCapture() { return false; }
+});
@@ -0,0 +1,331 @@
+// timelapse.js - Records how a puzzle came together, and plays the recording back.
+
+import { validateState } from './state.js';
+
+export const TIMELAPSE_VERSION = 1;
+
+// How each step is played back on a puzzle. Pieces picked up and let go change nothing there; the view shows them.
+const STEPS = {
+    select: () => {},
+    place: () => {},
+    move: (puzzle, [pieceId, x, y, ...together]) => puzzle.move(pieceId, x, y, together),
+    rotate: (puzzle, [pieceId, turns, ...together]) => puzzle.rotate(pieceId, turns, together),
+    // Settling again joins and snaps exactly as it did; the second of a merge and snap finds the piece placed already.
+    merge: (puzzle, [pieceId]) => puzzle.settle(pieceId),
+    snap: (puzzle, [pieceId]) => puzzle.settle(pieceId),
+    lock: (puzzle, [pieceId]) => puzzle.lock(pieceId),
+    restore: (puzzle, [pieces]) => puzzle.restore(pieces),
+    tolerance: (puzzle, [tolerance, angleTolerance]) => Object.assign(puzzle, { tolerance, angleTolerance })
+};
+
+const finite = Number.isFinite;
+const isId = (value, count) => Number.isInteger(value) && value >= 0 && value < count;
+const areIds = (values, count) => values.every(value => isId(value, count));
+const isPlacement = (entry, count) => Array.isArray(entry) && entry.length === 2 && isId(entry[0], count) &&
+    Array.isArray(entry[1]) && entry[1].length === 5 && entry[1].slice(0, 3).every(finite) &&
+    typeof entry[1][3] === 'boolean' && isId(entry[1][4], count);
+
+// Whether each step's arguments are what it plays back with, on a puzzle of some number of pieces.
+const ARGUMENTS = {
+    select: ([pieceId, ...together], count) => isId(pieceId, count) && areIds(together, count),
+    place: ([pieceId, ...together], count) => isId(pieceId, count) && areIds(together, count),
+    move: ([pieceId, x, y, ...together], count) => isId(pieceId, count) && finite(x) && finite(y) && areIds(together, count),
+    rotate: ([pieceId, turns, ...together], count) => isId(pieceId, count) && finite(turns) && areIds(together, count),
+    merge: (args, count) => args.length === 1 && isId(args[0], count),
+    snap: (args, count) => args.length === 1 && isId(args[0], count),
+    lock: (args, count) => args.length === 1 && isId(args[0], count),
+    restore: (args, count) => args.length === 1 && Array.isArray(args[0]) && args[0].every(entry => isPlacement(entry, count)),
+    tolerance: args => args.length === 2 && args.every(value => finite(value) && value >= 0)
+};
+
+// Where pieces lie, as Puzzle#restore takes them.
+const placements = pieces => pieces.map(({ id, currentX, currentY, rotation, locked, group }) => [id, [currentX, currentY, rotation, locked, group]]);
+
+// Everything about a puzzle but where its pieces lie, which a puzzle rebuilt from one of its own snapshots shares.
+const shape = puzzle => {
+    const { pieces, ...rest } = puzzle.serialize();
+    return JSON.stringify(rest);
+};
+
+/**
+ * Checks that a recording can be played back on a puzzle showing the given image: every step, arguments and all,
+ * so nothing can go wrong once it's playing.
+ * @param {Object} recording - From Recorder#serialize() (possibly old or tampered with).
+ * @param {ImageInfo} imageInfo - The image currently loaded.
+ * @throws {Error} Describing the first problem found.
+ */
+export function validateTimelapse(recording, imageInfo) {
+    const fail = message => { throw new Error(`Invalid timelapse: ${message}`); };
+    if (!recording || typeof recording !== 'object') fail('not an object');
+    if (recording.version !== TIMELAPSE_VERSION) fail(`unsupported version ${recording.version}`);
+    validateState(recording.state, imageInfo);
+    const { duration, steps } = recording;
+    if (!finite(duration) || duration < 0) fail('bad duration');
+    if (!ARGUMENTS.tolerance([recording.tolerance, recording.angleTolerance])) fail('bad tolerances');
+    if (!Array.isArray(steps)) fail('no steps');
+    const count = recording.state.pieces.length;
+    steps.reduce((last, step, i) => {
+        if (!Array.isArray(step) || !finite(step[0]) || step[0] < last || step[0] > duration ||
+            !Object.prototype.hasOwnProperty.call(ARGUMENTS, step[1]) || !ARGUMENTS[step[1]](step.slice(2), count)) fail(`bad step ${i}`);
+        return step[0];
+    }, 0);
+}
+
+/**
+ * Records a puzzle being solved: the board as it was to begin with, then every change the puzzle reports
+ * (moves, turns, merges, snaps and locks, each with what it takes to make it again exactly, and rearrangements
+ * and undos as where the pieces ended up), plus the pieces picked up and let go and any change of tolerances,
+ * each stamped with the time.
+ *
+ * Recordings are JSON-compatible: `{version, state, tolerance, angleTolerance, duration, steps}`, where `state` is a
+ * serialize() snapshot, the tolerances are the puzzle's when recording began (see the `tolerance` step), and each step is `[milliseconds, type, ...arguments]`:
+ *   - `select` / `place`: `pieceId, ...together` a piece (and other pieces of the group dragged with it) picked up or let go
+ *   - `move`: `pieceId, x, y, ...together`, and `rotate`: `pieceId, turns, ...together`, as Puzzle#move and Puzzle#rotate take them
+ *   - `merge` / `snap` / `lock`: `pieceId` a piece settled into a bigger cluster or its place, or put there by solving
+ *   - `restore`: `pieces` where rearranged pieces ended up, as Puzzle#restore takes them
+ *   - `tolerance`: `tolerance, angleTolerance` the puzzle's new tolerances, recorded before the next step after they change
+ */
+export class Recorder {
+    /**
+     * @param {Puzzle} puzzle - The puzzle to record, from as it is now.
+     * @param {Function} [clock=Date.now] - Returns the current time in milliseconds.
+     */
+    constructor(puzzle, clock = Date.now) {
+        this._clock = clock;
+        this._started = clock();
+        this._stopped = null; // When stop() was called
+        this._state = puzzle.serialize();
+        this._tolerances = { tolerance: puzzle.tolerance, angleTolerance: puzzle.angleTolerance };
+        this._tuned = this._tolerances; // The tolerances as last recorded
+        this._shape = shape(puzzle);
+        this._steps = [];
+        this._puzzle = null; // The puzzle being listened to
+        this._unsubscribe = null;
+        this._listen(puzzle);
+    }
+
+    /** True until stop(). */
+    get recording() { return this._stopped === null; }
+
+    /**
+     * Records something the puzzle doesn't hear of: a piece picked up ('select') or let go ('place').
+     * @param {string} type - 'select' or 'place'.
+     * @param {number} pieceId
+     * @param {number[]} [together=[]] - Pieces of the other clusters of a group dragged along with it.
+     */
+    record(type, pieceId, together = []) {
+        if (this.recording) this._push([type, pieceId, ...together]);
+    }
+
+    /**
+     * Carries on with a puzzle rebuilt from a snapshot of the one being recorded (when a shared board is loaded,
+     * say), recording where every piece now lies. Any other puzzle stops the recording.
+     * @param {Puzzle} puzzle
+     * @returns {boolean} True if it's still recording.
+     */
+    follow(puzzle) {
+        if (!this.recording) return false;
+        if (shape(puzzle) !== this._shape) {
+            this.stop();
+            return false;
+        }
+        this._unsubscribe();
+        this._listen(puzzle);
+        this._push(['restore', placements(puzzle.pieces)]);
+        return true;
+    }
+
+    /**
+     * Stops recording, for good.
+     */
+    stop() {
+        if (!this.recording) return;
+        this._retune();
+        this._unsubscribe();
+        this._stopped = this._clock();
+    }
+
+    /**
+     * @returns {Object} JSON-compatible recording of everything so far (see above).
+     */
+    serialize() {
+        return {
+            version: TIMELAPSE_VERSION,
+            state: this._state,
+            ...this._tolerances,
+            duration: Math.round((this.recording ? this._clock() : this._stopped) - this._started),
+            steps: this._steps.map(step => [...step])
+        };
+    }
+
+    // Records every change a puzzle reports.
+    _listen(puzzle) {
+        this._puzzle = puzzle;
+        this._unsubscribe = puzzle.subscribe(change => {
+            const { type, pieceId, pieces, x, y, turns, together } = change;
+            if (type === 'move') this._push([type, pieceId, x, y, ...together]);
+            else if (type === 'rotate') this._push([type, pieceId, turns, ...together]);
+            else if (type === 'merge' || type === 'snap' || type === 'lock') this._push([type, pieceId]);
+            else this._push(['restore', placements(pieces.map(id => puzzle.pieces[id]))]);
+        });
+    }
+
+    // Adds a step, after the puzzle's tolerances if they've changed, so it settles the same way when played back.
+    _push(step) {
+        this._retune();
+        this._stamp(step);
+    }
+
+    // Records the puzzle's tolerances, if they've changed since last recorded.
+    _retune() {
+        const { tolerance, angleTolerance } = this._puzzle;
+        if (tolerance === this._tuned.tolerance && angleTolerance === this._tuned.angleTolerance) return;
+        this._tuned = { tolerance, angleTolerance };
+        this._stamp(['tolerance', tolerance, angleTolerance]);
+    }
+
+    // Stamps a step with the time and adds it.
+    _stamp(step) {
+        this._steps.push([Math.round(this._clock() - this._started), ...step]);
+    }
+}
+
+/**
+ * Plays a recording back on a puzzle built from its `state`, making every change again exactly as it was made,
+ * at the pace it was made (or faster, or slower). It can pause, and skip to any moment, back or forth.
+ */
+export class Player {
+    /**
+     * @param {Object} recording - From Recorder#serialize(), validated.
+     * @param {Puzzle} puzzle - A fresh puzzle of the recording's `state`; it's given the recording's tolerances.
+     * @param {Object} [view] - Shows the playback:
+     * @param {Function} [view.step] - Called with each step (see Recorder) once it's been played.
+     * @param {Function} [view.rewind] - Called after the puzzle is put back as it began, to play from the start again.
+     * @param {Function} [view.change] - Called when it starts, stops, skips or changes speed.
+     * @param {Function} [clock=Date.now] - Returns the current time in milliseconds.
+     */
+    constructor(recording, puzzle, { step = () => {}, rewind = () => {}, change = () => {} } = {}, clock = Date.now) {
+        this._recording = recording;
+        this._puzzle = puzzle;
+        this._view = { step, rewind, change };
+        this._clock = clock;
+        this._start = recording.state.pieces.map(({ x, y, rotation, locked, group }, id) => [id, [x, y, rotation, locked, group]]);
+        this._tolerances = { tolerance: recording.tolerance, angleTolerance: recording.angleTolerance };
+        Object.assign(puzzle, this._tolerances);
+        this._next = 0; // Index of the first step not played yet
+        this._time = 0; // Milliseconds into the recording, as of _since
+        this._since = null; // When it last started playing or changed speed, while playing
+        this._speed = 1;
+        this._timer = 0; // setTimeout handle for the next step, while playing
+    }
+
+    /** Milliseconds the recording lasts. */
+    get duration() { return this._recording.duration; }
+
+    /** Milliseconds into the recording. */
+    get time() {
+        return Math.min(this.duration, this._time + (this.playing ? (this._clock() - this._since) * this._speed : 0));
+    }
+
+    /** True while it plays. */
+    get playing() { return this._since !== null; }
+
+    /** How many times faster than it was recorded it plays. */
+    get speed() { return this._speed; }
+
+    set speed(speed) {
+        if (!(speed > 0) || speed === this._speed || !this._puzzle) return;
+        this._rebase();
+        this._speed = speed;
+        this._schedule();
+        this._view.change();
+    }
+
+    /**
+     * Plays on from the current time, or from the start once it's played to the end.
+     */
+    play() {
+        if (this.playing || !this._puzzle) return;
+        if (this._time >= this.duration) this.seek(0);
+        this._since = this._clock();
+        this._view.change();
+        this._tick();
+    }
+
+    /**
+     * Stops where it is, until play().
+     */
+    pause() {
+        if (!this.playing) return;
+        this._time = this.time;
+        this._since = null;
+        clearTimeout(this._timer);
+        this._view.change();
+    }
+
+    /**
+     * Shows the puzzle as it was at a moment of the recording, playing on from there if it was playing.
+     * @param {number} time - Milliseconds into the recording.
+     */
+    seek(time) {
+        if (!this._puzzle) return;
+        const target = Math.max(0, Math.min(this.duration, time));
+        if (target < this._time) {
+            Object.assign(this._puzzle, this._tolerances);
+            this._puzzle.restore(this._start);
+            this._next = 0;
+            this._view.rewind();
+        }
+        this._time = target;
+        if (this.playing) this._since = this._clock();
+        this._advance(target);
+        this._schedule();
+        this._view.change();
+    }
+
+    /**
+     * Stops playing, for good: it leaves the puzzle alone from then on.
+     */
+    stop() {
+        this.pause();
+        this._puzzle = null;
+    }
+
+    // Plays every step due by now, then waits for the next, stopping at the end.
+    _tick() {
+        const time = this.time;
+        this._advance(time);
+        if (time < this.duration) {
+            this._schedule();
+            return;
+        }
+        this._time = this.duration;
+        this._since = null;
+        this._view.change();
+    }
+
+    // Plays the steps up to a time.
+    _advance(time) {
+        const { steps } = this._recording;
+        while (this._next < steps.length && steps[this._next][0] <= time) {
+            const [, type, ...args] = steps[this._next++];
+            STEPS[type](this._puzzle, args);
+            this._view.step([type, ...args]);
+        }
+    }
+
+    // Sets the timer for the next step (or the end), while playing.
+    _schedule() {
+        clearTimeout(this._timer);
+        if (!this.playing) return;
+        const next = this._recording.steps[this._next];
+        const at = next ? next[0] : this.duration;
+        this._timer = setTimeout(() => this._tick(), Math.max(0, (at - this.time) / this._speed));
+    }
+
+    // Counts the time so far from now, before the speed changes.
+    _rebase() {
+        this._time = this.time;
+        if (this.playing) this._since = this._clock();
+    }
+}
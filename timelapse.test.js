@@ -0,0 +1,252 @@
+import './test-dom.js';
+import { expect } from 'lovecraft';
+import { Recorder, Player, validateTimelapse } from './timelapse.js';
+import { Puzzle } from './puzzle.js';
+import { ImageInfo } from './image-info.js';
+import './jigsaw-puzzle.js';
+
+const image = new ImageInfo('cat.jpg', 1344, 960);
+const where = puzzle => puzzle.pieces.map(({ currentX, currentY, rotation, locked, group }) => [currentX, currentY, rotation, locked, group]);
+
+// A clock that only moves when told to.
+const createClock = () => {
+    let now = 1000;
+    const clock = () => now;
+    clock.tick = milliseconds => { now += milliseconds; };
+    return clock;
+};
+
+// Drops a piece beside its right-hand neighbour, so they join.
+const join = (puzzle, pieceId) => {
+    const piece = puzzle.pieces[pieceId];
+    const neighbour = puzzle.pieces[pieceId + 1];
+    puzzle.move(neighbour.id, piece.currentX + neighbour.originX - piece.originX + 1, piece.currentY + neighbour.originY - piece.originY);
+    puzzle.settle(neighbour.id);
+};
+
+describe('timelapse', () => {
+    describe('Recorder and Player', () => {
+        let puzzle;
+        let clock;
+        let recorder;
+
+        beforeEach(() => {
+            puzzle = new Puzzle(image, { size: 20, seed: 'ghoul', rotation: 'none' });
+            clock = createClock();
+            recorder = new Recorder(puzzle, clock);
+        });
+
+        // Solves some of the puzzle, a step a second.
+        const play = () => {
+            [[0, 1], [4, 2], [7, 3]].forEach(([pieceId, together]) => {
+                clock.tick(1000);
+                recorder.record('select', pieceId);
+                puzzle.move(pieceId, puzzle.minimum.x + 50 * pieceId, puzzle.minimum.y, [together]);
+                recorder.record('place', pieceId);
+            });
+            clock.tick(1000);
+            join(puzzle, 10);
+            clock.tick(1000);
+            const piece = puzzle.pieces[12];
+            puzzle.move(12, piece.originX + 2, piece.originY + 2);
+            puzzle.settle(12);
+            clock.tick(1000);
+            puzzle.shuffle();
+            clock.tick(1000);
+            puzzle.lock(15);
+        };
+
+        // Plays a recording back to its end on a puzzle of its start.
+        const replay = recording => {
+            const copy = new Puzzle(image, { state: recording.state });
+            const player = new Player(JSON.parse(JSON.stringify(recording)), copy, {}, createClock());
+            player.seek(player.duration);
+            return copy;
+        };
+
+        it('records every step with its time', () => {
+            play();
+            recorder.stop();
+            const recording = recorder.serialize();
+            expect(() => validateTimelapse(recording, image)).not.to.throw();
+            expect(recording.duration).to.equal(7000);
+            expect(recording.steps.slice(0, 3)).to.deep.equal([
+                [1000, 'select', 0],
+                [1000, 'move', 0, puzzle.minimum.x, puzzle.minimum.y, 1],
+                [1000, 'place', 0]
+            ]);
+            expect(recording.steps.map(step => step[1])).to.include.members(['merge', 'snap', 'restore', 'lock']);
+        });
+
+        it('plays back to exactly the board recorded', () => {
+            play();
+            recorder.stop();
+            expect(where(replay(recorder.serialize()))).to.deep.equal(where(puzzle));
+        });
+
+        it('skips back to the start and forward again', () => {
+            play();
+            recorder.stop();
+            const recording = recorder.serialize();
+            const copy = new Puzzle(image, { state: recording.state });
+            const start = where(copy);
+            const player = new Player(recording, copy, {}, createClock());
+            player.seek(recording.duration);
+            player.seek(0);
+            expect(where(copy)).to.deep.equal(start);
+            player.seek(recording.duration);
+            expect(where(copy)).to.deep.equal(where(puzzle));
+        });
+
+        it('plays back as the tolerances were when each step was made', () => {
+            // Near enough its neighbour to join it at the first tolerance, but not the second.
+            const [piece, neighbour] = [puzzle.pieces[12], puzzle.pieces[13]];
+            puzzle.move(13, neighbour.originX + 20, neighbour.originY);
+            clock.tick(1000);
+            puzzle.tolerance = 0.01;
+            puzzle.move(12, piece.originX, piece.originY);
+            puzzle.settle(12);
+            expect(piece.locked).to.be.true;
+            expect(neighbour.locked).to.be.false;
+            recorder.stop();
+            const recording = recorder.serialize();
+            expect(recording.tolerance).to.equal(0.2);
+            expect(recording.steps).to.deep.include([1000, 'tolerance', 0.01, 10]);
+            const copy = replay(recording);
+            expect(where(copy)).to.deep.equal(where(puzzle));
+            expect(copy.tolerance).to.equal(0.01);
+        });
+
+        it('notes tolerances changed after the last step', () => {
+            puzzle.move(0, 0, 0);
+            clock.tick(1000);
+            puzzle.angleTolerance = 5;
+            recorder.stop();
+            expect(recorder.serialize().steps.pop()).to.deep.equal([1000, 'tolerance', 0.2, 5]);
+        });
+
+        it('follows a puzzle rebuilt from its own state', () => {
+            play();
+            const rebuilt = new Puzzle(image, { state: puzzle.serialize() });
+            expect(recorder.follow(rebuilt)).to.be.true;
+            rebuilt.lock(0);
+            recorder.stop();
+            expect(where(replay(recorder.serialize()))).to.deep.equal(where(rebuilt));
+        });
+
+        it('stops at any other puzzle', () => {
+            expect(recorder.follow(new Puzzle(image, { size: 20, seed: 'ghast' }))).to.be.false;
+            expect(recorder.recording).to.be.false;
+        });
+    });
+
+    describe('validateTimelapse', () => {
+        const puzzle = new Puzzle(image, { size: 20, seed: 'ghoul' });
+        const count = puzzle.pieces.length;
+        const recording = steps => ({ version: 1, state: puzzle.serialize(), tolerance: 0.2, angleTolerance: 10, duration: 100, steps });
+
+        it('accepts every kind of step', () => {
+            expect(() => validateTimelapse(recording([
+                [0, 'select', 0, 1], [1, 'move', 0, 10.5, -20, 1], [2, 'place', 0, 1], [3, 'rotate', 2, 0.5],
+                [4, 'merge', 3], [5, 'snap', 3], [6, 'lock', 4], [7, 'restore', [[5, [1, 2, 90, false, 5]]]], [8, 'tolerance', 0.1, 5]
+            ]), image)).not.to.throw();
+        });
+
+        it('rejects steps that could not be played', () => {
+            [
+                [0, 'jump', 0],
+                [0, 'select'],
+                [0, 'select', count],
+                [0, 'select', 0, -1],
+                [0, 'move', 0.5, 1, 2],
+                [0, 'move', 0, NaN, 2],
+                [0, 'move', 0, 1, '2'],
+                [0, 'rotate', 0, Infinity],
+                [0, 'merge', 0, 1],
+                [0, 'lock', '0'],
+                [0, 'restore', [[0, [1, 2, 0, 'no', 0]]]],
+                [0, 'restore', [[0, [1, 2, 0, false, count]]]],
+                [0, 'restore', [[0, [1, 2, 0, false]]]],
+                [0, 'restore', {}],
+                [0, 'tolerance', -1, 10],
+                [200, 'lock', 0],
+                'lock'
+            ].forEach(step => {
+                expect(() => validateTimelapse(recording([step]), image), JSON.stringify(step)).to.throw(/bad step 0/);
+            });
+        });
+
+        it('rejects steps out of order', () => {
+            expect(() => validateTimelapse(recording([[5, 'lock', 0], [4, 'lock', 1]]), image)).to.throw(/bad step 1/);
+        });
+
+        it('rejects recordings of another picture', () => {
+            expect(() => validateTimelapse(recording([]), new ImageInfo('dog.jpg', 1344, 960))).to.throw(/different image/);
+        });
+    });
+
+    describe('jigsaw-puzzle', () => {
+        // A puzzle of the placeholder picture, built as soon as it's on the page.
+        const create = async attributes => {
+            const puzzle = document.createElement('jigsaw-puzzle');
+            Object.entries({ size: 12, rotation: 'none', ...attributes }).forEach(([name, value]) => puzzle.setAttribute(name, value));
+            document.body.append(puzzle);
+            await puzzle.ready;
+            return puzzle;
+        };
+
+        afterEach(() => {
+            document.body.innerHTML = '';
+        });
+
+        it('replays a game to exactly the board it ended on', async () => {
+            const puzzle = await create({ seed: 'friday' });
+            expect(puzzle.startRecording()).to.be.true;
+            const { correctX, correctY } = puzzle.pieces[0];
+            puzzle.movePiece(0, correctX + 2, correctY);
+            puzzle.movePiece(3, -500, -400);
+            puzzle.setAttribute('tolerance', '0.01');
+            puzzle.movePiece(5, puzzle.pieces[5].correctX + 5, puzzle.pieces[5].correctY);
+            puzzle.shuffle();
+            puzzle.undo();
+            const pieces = puzzle.pieces;
+            const recording = JSON.parse(JSON.stringify(puzzle.stopRecording()));
+
+            const other = await create({ seed: 'saturday' });
+            const player = other.replay(recording, { play: false });
+            expect(other.hasAttribute('replaying')).to.be.true;
+            player.seek(player.duration);
+            expect(other.pieces).to.deep.equal(pieces);
+            expect(other.movePiece(3, 0, 0)).to.be.false;
+            other.stopReplay();
+            expect(other.hasAttribute('replaying')).to.be.false;
+        });
+
+        it('puts the game back after a replay', async () => {
+            const puzzle = await create({ seed: 'friday' });
+            puzzle.startRecording();
+            puzzle.movePiece(3, -500, -400);
+            const recording = puzzle.stopRecording();
+            puzzle.movePiece(4, -300, -400);
+            const pieces = puzzle.pieces;
+            puzzle.replay(recording, { play: false }).seek(0);
+            expect(puzzle.pieces).not.to.deep.equal(pieces);
+            puzzle.stopReplay();
+            expect(puzzle.pieces).to.deep.equal(pieces);
+            expect(puzzle.undo()).to.be.true;
+        });
+
+        it('rejects a bad recording before touching the game', async () => {
+            const puzzle = await create({ seed: 'friday' });
+            puzzle.startRecording();
+            puzzle.movePiece(3, -500, -400);
+            const recording = puzzle.stopRecording();
+            const pieces = puzzle.pieces;
+            recording.steps.push([recording.duration, 'move', 99, 0, 0]);
+            expect(() => puzzle.replay(recording)).to.throw(/Invalid timelapse/);
+            expect(puzzle.hasAttribute('replaying')).to.be.false;
+            expect(puzzle.pieces).to.deep.equal(pieces);
+            expect(puzzle.canUndo).to.be.true;
+        });
+    });
+});
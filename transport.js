@@ -0,0 +1,36 @@
+// transport.js - Base class for the channels a shared board's operations travel over.
+
+/**
+ * Carries sync messages (plain JSON-compatible objects) between puzzles sharing a board.
+ * Subclasses implement send() and close(), and hand every message arriving from other
+ * puzzles to _receive(). Messages a transport sends are never delivered back to it.
+ */
+export class Transport {
+    constructor() {
+        this._listeners = new Set();
+    }
+
+    /**
+     * @param {Object} message - Message for every other puzzle on the board.
+     */
+    send(message) {
+        throw new Error(`${this.constructor.name} can't send ${message.type} messages`);
+    }
+
+    /**
+     * @param {Function} listener - Called with each message received.
+     * @returns {Function} Stops calling the listener.
+     */
+    subscribe(listener) {
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    }
+
+    close() {
+        this._listeners.clear();
+    }
+
+    _receive(message) {
+        this._listeners.forEach(listener => listener(message));
+    }
+}
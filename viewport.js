@@ -0,0 +1,144 @@
+// viewport.js - Pan/zoom state mapping the puzzle element's pixels onto the board.
+
+import { Position } from './position.js';
+
+const MAX_SCALE = 8;     // Screen pixels per board unit, zoomed all the way in
+const MIN_FIT_RATIO = 0.5; // How far past "fit to view" the board can be zoomed out
+
+/**
+ * Maps viewport pixels (relative to the element's top-left) to board coordinates and back.
+ */
+export class Viewport {
+    /**
+     * @param {number} width - Width of the viewable area, in pixels.
+     * @param {number} height - Height of the viewable area, in pixels.
+     * @param {Position} minimum - Top-left of the board, in board coordinates.
+     * @param {Position} maximum - Bottom-right of the board, in board coordinates.
+     */
+    constructor(width = 0, height = 0, minimum = new Position(0, 0), maximum = new Position(0, 0)) {
+        this.width = width;
+        this.height = height;
+        this.minimum = minimum;
+        this.maximum = maximum;
+        this.origin = new Position(0, 0); // Board position at the centre of the viewport
+        this.scale = 1;                   // Pixels per board unit
+        this.fit();
+    }
+
+    /**
+     * Changes the board's extent and fits it into view.
+     * @param {Position} minimum - Top-left of the board, in board coordinates.
+     * @param {Position} maximum - Bottom-right of the board, in board coordinates.
+     */
+    bound(minimum, maximum) {
+        this.minimum = minimum;
+        this.maximum = maximum;
+        this.fit();
+    }
+
+    /**
+     * Grows the board's extent to take in an area, leaving the view where it is.
+     * @param {Position} minimum - Top-left of the area, in board coordinates.
+     * @param {Position} maximum - Bottom-right of the area, in board coordinates.
+     */
+    extend(minimum, maximum) {
+        this.minimum = new Position(Math.min(this.minimum.x, minimum.x), Math.min(this.minimum.y, minimum.y));
+        this.maximum = new Position(Math.max(this.maximum.x, maximum.x), Math.max(this.maximum.y, maximum.y));
+    }
+
+    /**
+     * Centres the board and zooms so all of it is visible.
+     */
+    fit() {
+        this.origin = new Position((this.minimum.x + this.maximum.x) / 2, (this.minimum.y + this.maximum.y) / 2);
+        const scale = this._fitScale();
+        if (scale > 0) this.scale = Math.min(MAX_SCALE, scale);
+    }
+
+    /**
+     * Moves the view by a distance in pixels; the board follows the pointer.
+     * @param {number} dx - Pixels panned horizontally.
+     * @param {number} dy - Pixels panned vertically.
+     */
+    pan(dx, dy) {
+        this._moveTo(this.origin.x - dx / this.scale, this.origin.y - dy / this.scale);
+    }
+
+    /**
+     * Zooms by powers of two, keeping the board point under (px, py) in place.
+     * @param {number} dz - Change in scale; +1 doubles it and -1 halves it.
+     * @param {number} [px] - Focal X, in viewport pixels (defaults to the centre).
+     * @param {number} [py] - Focal Y, in viewport pixels (defaults to the centre).
+     */
+    zoom(dz, px = this.width / 2, py = this.height / 2) {
+        const before = this.transform(px, py);
+        this.scale = this._clampScale(this.scale * Math.pow(2, dz));
+        const after = this.transform(px, py);
+        this._moveTo(this.origin.x + before.x - after.x, this.origin.y + before.y - after.y);
+    }
+
+    /**
+     * Translates from viewport pixel space to board space.
+     * @param {number} px - X, in pixels from the viewport's left edge.
+     * @param {number} py - Y, in pixels from the viewport's top edge.
+     * @returns {Position}
+     */
+    transform(px, py) {
+        return new Position(
+            this.origin.x + (px - this.width / 2) / this.scale,
+            this.origin.y + (py - this.height / 2) / this.scale
+        );
+    }
+
+    /**
+     * Translates from board space to viewport pixel space; the inverse of transform().
+     * @param {number} x - X, in board coordinates.
+     * @param {number} y - Y, in board coordinates.
+     * @returns {Position}
+     */
+    screen(x, y) {
+        return new Position(
+            this.width / 2 + (x - this.origin.x) * this.scale,
+            this.height / 2 + (y - this.origin.y) * this.scale
+        );
+    }
+
+    /**
+     * Updates the viewable area, fitting the board the first time it has a size.
+     * @param {number} width - Width of the viewable area, in pixels.
+     * @param {number} height - Height of the viewable area, in pixels.
+     */
+    resize(width, height) {
+        const unsized = this.width <= 0 || this.height <= 0;
+        this.width = width;
+        this.height = height;
+        if (unsized) this.fit();
+        else this.scale = this._clampScale(this.scale);
+    }
+
+    /**
+     * @returns {string} CSS transform placing board coordinates into the viewport.
+     */
+    css() {
+        const { x, y } = this.screen(0, 0);
+        return `translate(${x}px, ${y}px) scale(${this.scale})`;
+    }
+
+    _fitScale() {
+        const w = this.maximum.x - this.minimum.x;
+        const h = this.maximum.y - this.minimum.y;
+        if (this.width <= 0 || this.height <= 0 || w <= 0 || h <= 0) return 0;
+        return Math.min(this.width / w, this.height / h);
+    }
+
+    _clampScale(scale) {
+        return Math.min(MAX_SCALE, Math.max(this._fitScale() * MIN_FIT_RATIO, scale));
+    }
+
+    _moveTo(x, y) {
+        this.origin = new Position(
+            Math.min(this.maximum.x, Math.max(this.minimum.x, x)),
+            Math.min(this.maximum.y, Math.max(this.minimum.y, y))
+        );
+    }
+}
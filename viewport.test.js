@@ -0,0 +1,72 @@
+import { expect } from 'lovecraft';
+import { Viewport } from './viewport.js';
+import { Position } from './position.js';
+
+// A 800×600 view of a board from (-100, -100) to (1900, 900).
+const create = () => new Viewport(800, 600, new Position(-100, -100), new Position(1900, 900));
+
+describe('Viewport', () => {
+    describe('fit', () => {
+        it('centres the board, zoomed so all of it shows', () => {
+            const viewport = create();
+            expect(viewport.origin).to.include({ x: 900, y: 400 });
+            expect(viewport.scale).to.equal(0.4); // 2000 across into 800 pixels
+            expect(viewport.screen(-100, 400)).to.include({ x: 0, y: 300 });
+            expect(viewport.screen(1900, 400)).to.include({ x: 800, y: 300 });
+        });
+
+        it('waits for the view to have a size', () => {
+            const viewport = new Viewport(0, 0, new Position(0, 0), new Position(1000, 500));
+            expect(viewport.scale).to.equal(1);
+            viewport.resize(500, 500);
+            expect(viewport.scale).to.equal(0.5);
+            viewport.zoom(1);
+            viewport.resize(250, 250); // Already sized: keeps the zoom
+            expect(viewport.scale).to.equal(1);
+        });
+
+        it("doesn't zoom tiny boards in past the limit", () => {
+            expect(new Viewport(800, 600, new Position(0, 0), new Position(10, 10)).scale).to.equal(8);
+        });
+    });
+
+    describe('zoom', () => {
+        it('keeps the point under the pointer in place', () => {
+            const viewport = create();
+            const before = viewport.transform(200, 150);
+            viewport.zoom(1, 200, 150);
+            expect(viewport.scale).to.equal(0.8);
+            expect(viewport.transform(200, 150)).to.deep.include({ x: before.x, y: before.y });
+        });
+
+        it('goes no further out than half the fit, nor in than 8×', () => {
+            const viewport = create();
+            viewport.zoom(-5);
+            expect(viewport.scale).to.equal(0.2);
+            viewport.zoom(10);
+            expect(viewport.scale).to.equal(8);
+        });
+    });
+
+    describe('pan', () => {
+        it('moves the board with the pointer, but not off the edge', () => {
+            const viewport = create();
+            viewport.pan(40, -20);
+            expect(viewport.origin).to.include({ x: 800, y: 450 });
+            viewport.pan(10000, 10000);
+            expect(viewport.origin).to.include({ x: -100, y: -100 });
+        });
+    });
+
+    describe('transform', () => {
+        it('maps the view to the board and screen() maps it back', () => {
+            const viewport = create();
+            viewport.zoom(1.5, 123, 456);
+            viewport.pan(17, 31);
+            const { x, y } = viewport.transform(321, 654);
+            const point = viewport.screen(x, y);
+            expect(point.x).to.be.closeTo(321, 1e-9);
+            expect(point.y).to.be.closeTo(654, 1e-9);
+        });
+    });
+});
@@ -0,0 +1,36 @@
+// wave.js - Domain model for one sinusoidal component of a cut.
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * A sinusoid that perturbs a cut away from a straight line.
+ * Positions along an edge run from 0 to 1, and offsets are measured in edge lengths.
+ */
+export class Wave {
+    /**
+     * @param {number} period - Number of half-cycles along the edge (rounded, clamped to 1-20).
+     * @param {number} amplitude - Peak offset in edge lengths (clamped to 0.01-0.05).
+     */
+    constructor(period, amplitude) {
+        this.period = Math.round(clamp(period, 1, 20));
+        this.amplitude = clamp(amplitude, 0.01, 0.05);
+    }
+
+    /**
+     * Samples the waveform. Whole half-cycles keep both ends at zero, so cuts meet cleanly at corners.
+     * @param {number} t - Position along the edge (0-1).
+     * @returns {number} Offset from the straight edge, in edge lengths.
+     */
+    sample(t) {
+        return this.amplitude * Math.sin(Math.PI * this.period * t);
+    }
+
+    /**
+     * Creates a gentle wave with a low period and amplitude.
+     * @param {Function} [random=Math.random] - Source of random numbers in [0, 1).
+     * @returns {Wave}
+     */
+    static random(random = Math.random) {
+        return new Wave(1 + Math.floor(random() * 3), 0.01 + random() * 0.02);
+    }
+}
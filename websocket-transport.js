@@ -0,0 +1,44 @@
+// websocket-transport.js - Sync transport through a WebSocket relay server.
+
+import { Transport } from './transport.js';
+
+/**
+ * Shares a board through a relay server (see relay.js) which passes each message on to every
+ * other socket in the same room. Messages sent before the socket opens are queued.
+ */
+export class WebSocketTransport extends Transport {
+    /**
+     * @param {string} url - Relay URL; its path names the room, e.g. `ws://localhost:8080/my-puzzle`.
+     */
+    constructor(url) {
+        super();
+        this._queue = []; // JSON messages waiting for the socket to open
+        this._socket = new WebSocket(url);
+        this._socket.onopen = () => {
+            this._queue.forEach(data => this._socket.send(data));
+            this._queue = [];
+        };
+        this._socket.onmessage = event => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.warn(`Ignoring malformed sync message: ${error.message}`);
+                return;
+            }
+            this._receive(message);
+        };
+        this._socket.onerror = () => console.warn(`Sync connection to ${url} failed`);
+    }
+
+    send(message) {
+        const data = JSON.stringify(message);
+        if (this._socket.readyState === WebSocket.OPEN) this._socket.send(data);
+        else if (this._socket.readyState === WebSocket.CONNECTING) this._queue.push(data);
+    }
+
+    close() {
+        super.close();
+        this._socket.close();
+    }
+}
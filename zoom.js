@@ -0,0 +1,15 @@
+// zoom.js - Custom event for zooming the puzzle view.
+
+/**
+ * Creates a custom 'zoom' event.
+ * @param {number} dz - Change in scale, in powers of two (+1 doubles, -1 halves).
+ * @param {number} [x] - Focal X, in pixels from the puzzle's left edge (defaults to its centre).
+ * @param {number} [y] - Focal Y, in pixels from the puzzle's top edge (defaults to its centre).
+ * @returns {CustomEvent}
+ */
+export function createZoomEvent(dz, x, y) {
+    return new CustomEvent('zoom', {
+        bubbles: true, composed: true,
+        detail: { dz, x, y }
+    });
+}